@@ -0,0 +1,138 @@
+const fs = require('fs')
+const path = require('path')
+const QRCode = require('qrcode')
+const PDFDocument = require('pdfkit')
+const { initializeAdmin, parseArgs, requireEventOption } = require('./lib/cli')
+const { createCheckpointToken } = require('./lib/checkpoints')
+const { stageNumber } = require('./lib/stages')
+
+// Initialize Firebase Admin
+// Make sure to set GOOGLE_APPLICATION_CREDENTIALS environment variable
+// or provide service account key file path
+const admin = initializeAdmin()
+const db = admin.firestore()
+
+const USAGE = 'QR_TOKEN_SECRET=... node generate-qr-sheets.js --event <eventId> [--out ./qr-sheets] [--format png|pdf|both]'
+
+// Size of the generated QR images in pixels
+const QR_IMAGE_SIZE = 1024
+const FORMATS = ['png', 'pdf', 'both']
+
+/**
+ * Loads the event's QR stages, sorted by stage number.
+ */
+async function loadQrStages(eventRef) {
+  const snapshot = await eventRef.collection('stages').get()
+
+  return snapshot.docs
+    .map((doc) => ({ stageNum: stageNumber(doc.id), ...doc.data() }))
+    .filter((stage) => stage.type === 'qr')
+    .sort((a, b) => a.stageNum - b.stageNum)
+}
+
+/**
+ * Writes one PNG per stage, named stage{N}-qr.png.
+ */
+async function writePngs(outDir, codes) {
+  for (const code of codes) {
+    const file = path.join(outDir, `stage${code.stageNum}-qr.png`)
+    await QRCode.toFile(file, code.token, { width: QR_IMAGE_SIZE, margin: 2, errorCorrectionLevel: 'M' })
+    console.log(`  ${file}`)
+  }
+}
+
+/**
+ * Writes a single PDF with one A4 page per stage, ready to print and post
+ * at the checkpoints.
+ */
+async function writePdf(outDir, eventName, codes) {
+  const file = path.join(outDir, 'qr-sheets.pdf')
+  const doc = new PDFDocument({ size: 'A4', margin: 50, autoFirstPage: false })
+  const finished = new Promise((resolve, reject) => {
+    const stream = fs.createWriteStream(file)
+    stream.on('finish', resolve)
+    stream.on('error', reject)
+    doc.pipe(stream)
+  })
+
+  for (const code of codes) {
+    const image = await QRCode.toBuffer(code.token, { width: QR_IMAGE_SIZE, margin: 2, errorCorrectionLevel: 'M' })
+    doc.addPage()
+
+    const pageWidth = doc.page.width - doc.page.margins.left - doc.page.margins.right
+    const qrSize = Math.min(pageWidth, 400)
+
+    doc.fontSize(28).text(eventName, { align: 'center' })
+    doc.moveDown(0.5)
+    doc.fontSize(18).text(code.stageName, { align: 'center' })
+    doc.moveDown(1)
+    doc.image(image, doc.page.margins.left + (pageWidth - qrSize) / 2, doc.y, { width: qrSize })
+    doc.y += qrSize + 20
+    doc.fontSize(14).text('Scan this code in the City Hunt app to check in.', { align: 'center' })
+    doc.moveDown(2)
+    // Small reference for organizers; the token itself is not printed so it
+    // cannot be typed in from a photo of the page
+    doc.fontSize(9).fillColor('#888888').text(`Stage ${code.stageNum}`, { align: 'center' })
+    doc.fillColor('#000000')
+  }
+
+  doc.end()
+  await finished
+  console.log(`  ${file}`)
+}
+
+async function main() {
+  const { options } = parseArgs(process.argv.slice(2))
+  const outDir = options.out && options.out !== true ? options.out : './qr-sheets'
+  const format = options.format && options.format !== true ? options.format : 'both'
+
+  if (!FORMATS.includes(format)) {
+    console.error(`Error: --format must be one of ${FORMATS.join(', ')}`)
+    console.error(`Usage: ${USAGE}`)
+    process.exit(1)
+  }
+
+  // Codes must be signed with the same secret as the deployed functions
+  const secret = process.env.QR_TOKEN_SECRET
+  if (!secret) {
+    console.error('Error: QR_TOKEN_SECRET is not set. Use the same value as in the functions\' .env file.')
+    console.error(`Usage: ${USAGE}`)
+    process.exit(1)
+  }
+
+  const eventRef = await requireEventOption(db, options, USAGE)
+  const eventSnapshot = await eventRef.get()
+  const eventName = eventSnapshot.get('name') || eventRef.id
+
+  const stages = await loadQrStages(eventRef)
+  if (stages.length === 0) {
+    console.log(`No QR stages (type: "qr") found in event "${eventRef.id}"`)
+    return
+  }
+
+  const codes = stages.map((stage) => ({
+    stageNum: stage.stageNum,
+    stageName: stage.stageName || `Stage ${stage.stageNum}`,
+    token: createCheckpointToken(secret, eventRef.id, stage.stageNum, stage.qrKey)
+  }))
+
+  fs.mkdirSync(outDir, { recursive: true })
+  console.log(`Writing QR codes for ${codes.length} stage(s) to ${outDir}:`)
+
+  if (format === 'png' || format === 'both') {
+    await writePngs(outDir, codes)
+  }
+  if (format === 'pdf' || format === 'both') {
+    await writePdf(outDir, eventName, codes)
+  }
+}
+
+// Run the script
+main()
+  .then(() => {
+    process.exit(0)
+  })
+  .catch((error) => {
+    console.error('Fatal error:', error)
+    process.exit(1)
+  })
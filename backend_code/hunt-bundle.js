@@ -0,0 +1,531 @@
+const crypto = require('crypto')
+const fs = require('fs')
+const { pipeline } = require('stream/promises')
+const zlib = require('zlib')
+const { initializeAdmin, parseArgs, requireEventIdOption, requireEventOption, commitInBatches } = require('./lib/cli')
+const { hashSecret } = require('./lib/hashing')
+const { checkStages } = require('./lib/stage-schema')
+
+// Initialize Firebase Admin
+// Make sure to set GOOGLE_APPLICATION_CREDENTIALS environment variable
+// or provide service account key file path
+const admin = initializeAdmin()
+const db = admin.firestore()
+
+const USAGE = [
+  'node hunt-bundle.js export --event <eventId> [--include-pins] [bundle-file]',
+  '       node hunt-bundle.js import --event <eventId> [--name "Event name"] [--bucket <bucket>] [--replace-media] <bundle-file>'
+].join('\n')
+
+/**
+ * A hunt bundle is one gzipped JSON Lines file holding everything needed to
+ * run the hunt again, in another event or another project. The first line
+ * describes the hunt:
+ *
+ *   { format, version, exportedAt, eventId,
+ *     event: { name, scoring },
+ *     stages: [{ docId, data }],
+ *     groups: [{ groupId, data, pinHash }],   pinHash only with --include-pins
+ *     files: [{ source, path, contentType, cacheControl, metadata, md5Hash, size }] }
+ *
+ * and every further line is a piece of one of the files, in the order they
+ * are listed, as { file: <index in files>, data: <base64> }. A file is
+ * written and read a piece at a time, so large media never has to fit in
+ * memory.
+ *
+ * `files` are the Storage objects the stages link to, and `source` is the
+ * gs:// address they were exported from. Answers stay hashed as they are in
+ * Firestore. Progress, submissions and logs are not part of a bundle.
+ */
+const BUNDLE_FORMAT = 'cityhunt-hunt-bundle'
+const BUNDLE_VERSION = 2
+
+// Event fields that describe the hunt rather than one run of it
+const EVENT_FIELDS = ['name', 'scoring']
+
+// Links inside stage text, e.g. media URLs or links in a description,
+// without the punctuation that ends a sentence
+const URL_PATTERN = /(?:gs|https?):\/\/[^\s"'<>()]*[^\s"'<>().,;:!?]/g
+
+/**
+ * The Storage object a link points to, as { bucket, path }, or null for
+ * links elsewhere. Understands gs:// addresses, Firebase download URLs
+ * (including the emulator's) and storage.googleapis.com URLs.
+ */
+function parseStorageUrl(url) {
+  const gsMatch = url.match(/^gs:\/\/([^/]+)\/(.+)$/)
+  if (gsMatch) {
+    return { bucket: gsMatch[1], path: gsMatch[2] }
+  }
+
+  let parsed
+  try {
+    parsed = new URL(url)
+  } catch (error) {
+    return null
+  }
+
+  const downloadMatch = parsed.pathname.match(/^\/v0\/b\/([^/]+)\/o\/(.+)$/)
+  if (downloadMatch) {
+    return { bucket: decodeURIComponent(downloadMatch[1]), path: decodeURIComponent(downloadMatch[2]) }
+  }
+
+  const publicMatch = parsed.hostname === 'storage.googleapis.com' && parsed.pathname.match(/^\/([^/]+)\/(.+)$/)
+  if (publicMatch) {
+    return { bucket: publicMatch[1], path: decodeURIComponent(publicMatch[2]) }
+  }
+
+  return null
+}
+
+const storageAddress = ({ bucket, path }) => `gs://${bucket}/${path}`
+
+/**
+ * Calls fn on every string in a Firestore value and returns a copy with
+ * the strings fn returned.
+ */
+function mapStrings(value, fn) {
+  if (typeof value === 'string') {
+    return fn(value)
+  }
+  if (Array.isArray(value)) {
+    return value.map((item) => mapStrings(item, fn))
+  }
+  if (value && typeof value === 'object') {
+    const mapped = {}
+    Object.entries(value).forEach(([key, item]) => {
+      mapped[key] = mapStrings(item, fn)
+    })
+    return mapped
+  }
+  return value
+}
+
+/**
+ * The gs:// addresses of every Storage object the stages link to.
+ */
+function findStorageObjects(stages) {
+  const addresses = new Set()
+
+  stages.forEach(({ data }) => mapStrings(data, (text) => {
+    (text.match(URL_PATTERN) || []).forEach((url) => {
+      const object = parseStorageUrl(url)
+      if (object) {
+        addresses.add(storageAddress(object))
+      }
+    })
+    return text
+  }))
+
+  return [...addresses]
+}
+
+/**
+ * Replaces links to Storage objects in the stages with the links in
+ * urlsByAddress (keyed by the old gs:// address). gs:// addresses become
+ * gs:// addresses in the new bucket, other links become download URLs.
+ */
+function rewriteStorageUrls(stages, urlsByAddress) {
+  return stages.map(({ docId, data }) => ({
+    docId,
+    data: mapStrings(data, (text) => text.replace(URL_PATTERN, (url) => {
+      const object = parseStorageUrl(url)
+      const target = object && urlsByAddress.get(storageAddress(object))
+      if (!target) {
+        return url
+      }
+      return url.startsWith('gs://') ? target.address : target.downloadUrl
+    }))
+  }))
+}
+
+/**
+ * The download URL of an object with the given download token, pointing at
+ * the Storage emulator when FIREBASE_STORAGE_EMULATOR_HOST is set.
+ */
+function downloadUrl(file, token) {
+  const emulatorHost = process.env.FIREBASE_STORAGE_EMULATOR_HOST
+  const origin = emulatorHost
+    ? (emulatorHost.startsWith('http') ? emulatorHost : `http://${emulatorHost}`)
+    : 'https://firebasestorage.googleapis.com'
+  return `${origin}/v0/b/${file.bucket.name}/o/${encodeURIComponent(file.name)}?alt=media&token=${token}`
+}
+
+/**
+ * Looks up the Storage objects for a bundle. Objects that cannot be read
+ * are left out with a warning, and the stages keep linking to the old ones.
+ */
+async function describeFiles(addresses) {
+  const files = []
+
+  for (const address of addresses) {
+    const { bucket, path } = parseStorageUrl(address)
+
+    try {
+      const [metadata] = await admin.storage().bucket(bucket).file(path).getMetadata()
+      // Download tokens are per project, import creates new ones
+      const { firebaseStorageDownloadTokens, ...customMetadata } = metadata.metadata || {}
+      files.push({
+        source: address,
+        path: path,
+        contentType: metadata.contentType || null,
+        cacheControl: metadata.cacheControl || null,
+        metadata: customMetadata,
+        md5Hash: metadata.md5Hash || null,
+        size: Number(metadata.size)
+      })
+    } catch (error) {
+      console.warn(`Warning: ${address} could not be read and is not in the bundle (${error.message})`)
+    }
+  }
+
+  return files
+}
+
+// Files are stored in pieces of this many bytes, the last one may be shorter
+const PIECE_SIZE = 192 * 1024
+
+// An empty file is one empty piece
+const pieceCount = (size) => Math.max(1, Math.ceil(size / PIECE_SIZE))
+
+/**
+ * Regroups the chunks of a stream into PIECE_SIZE pieces.
+ */
+async function * inPieces(stream) {
+  let buffered = Buffer.alloc(0)
+  let yielded = false
+
+  for await (const chunk of stream) {
+    buffered = Buffer.concat([buffered, chunk])
+    while (buffered.length >= PIECE_SIZE) {
+      yield buffered.subarray(0, PIECE_SIZE)
+      buffered = buffered.subarray(PIECE_SIZE)
+      yielded = true
+    }
+  }
+
+  if (buffered.length > 0 || !yielded) {
+    yield buffered
+  }
+}
+
+/**
+ * The lines of a bundle: the hunt, then the files, downloaded one piece at
+ * a time.
+ */
+async function * bundleLines(bundle) {
+  yield `${JSON.stringify(bundle)}\n`
+
+  for (const [index, bundled] of bundle.files.entries()) {
+    const { bucket, path } = parseStorageUrl(bundled.source)
+    const download = admin.storage().bucket(bucket).file(path).createReadStream()
+    let pieces = 0
+
+    for await (const piece of inPieces(download)) {
+      yield `${JSON.stringify({ file: index, data: piece.toString('base64') })}\n`
+      pieces++
+    }
+
+    if (pieces !== pieceCount(bundled.size)) {
+      throw new Error(`${bundled.source} changed while it was being exported, please export again`)
+    }
+    console.log(`  ${bundled.source} (${bundled.size} bytes)`)
+  }
+}
+
+async function exportBundle(eventRef, bundleFile, { includePins }) {
+  const [eventSnapshot, stagesSnapshot, groupsSnapshot, pinsSnapshot] = await Promise.all([
+    eventRef.get(),
+    eventRef.collection('stages').get(),
+    eventRef.collection('groups').get(),
+    includePins ? eventRef.collection('groupPins').get() : null
+  ])
+
+  const event = {}
+  EVENT_FIELDS.forEach((field) => {
+    if (eventSnapshot.get(field) !== undefined) {
+      event[field] = eventSnapshot.get(field)
+    }
+  })
+
+  const stages = stagesSnapshot.docs.map((doc) => ({ docId: doc.id, data: doc.data() }))
+
+  // PINs only leave Firestore as salted hashes, older plain-text PINs are hashed here
+  const pinHashes = new Map()
+  if (pinsSnapshot) {
+    await Promise.all(pinsSnapshot.docs.map(async (doc) => {
+      const { pinHash, pin } = doc.data()
+      if (pinHash !== undefined || pin !== undefined) {
+        pinHashes.set(doc.id, pinHash !== undefined ? pinHash : await hashSecret(String(pin)))
+      }
+    }))
+  }
+  const groups = groupsSnapshot.docs.map((doc) => ({
+    groupId: doc.id,
+    data: doc.data(),
+    pinHash: pinHashes.get(doc.id) || null
+  }))
+
+  const addresses = findStorageObjects(stages)
+  const files = await describeFiles(addresses)
+
+  const bundle = {
+    format: BUNDLE_FORMAT,
+    version: BUNDLE_VERSION,
+    exportedAt: new Date().toISOString(),
+    eventId: eventRef.id,
+    event,
+    stages,
+    groups,
+    files
+  }
+
+  console.log(`Downloading ${files.length} Storage object(s)...`)
+  try {
+    await pipeline(bundleLines(bundle), zlib.createGzip(), fs.createWriteStream(bundleFile))
+  } catch (error) {
+    // A bundle that stops halfway cannot be imported
+    fs.rmSync(bundleFile, { force: true })
+    throw error
+  }
+
+  console.log(`Exported ${stages.length} stage(s), ${groups.length} group(s) and ${files.length} file(s) to ${bundleFile}`)
+  if (!includePins && groups.length > 0) {
+    console.log('PINs were left out, add --include-pins to keep the current (hashed) PINs')
+  }
+}
+
+/**
+ * The lines of a bundle file, parsed, one at a time.
+ */
+async function * readBundleLines(bundleFile) {
+  const input = fs.createReadStream(bundleFile).pipe(zlib.createGunzip())
+  input.setEncoding('utf8')
+  let rest = ''
+
+  for await (const chunk of input) {
+    const lines = (rest + chunk).split('\n')
+    rest = lines.pop()
+    for (const line of lines) {
+      yield JSON.parse(line)
+    }
+  }
+
+  if (rest) {
+    yield JSON.parse(rest)
+  }
+}
+
+/**
+ * Reads the hunt from the first line of a bundle. Returns { bundle, pieces },
+ * where pieces yields the lines with the files that follow.
+ */
+async function openBundle(bundleFile) {
+  const pieces = readBundleLines(bundleFile)
+  let bundle
+  try {
+    bundle = (await pieces.next()).value
+  } catch (error) {
+    console.error(`Error reading ${bundleFile}:`, error.message)
+    process.exit(1)
+  }
+
+  if (!bundle || bundle.format !== BUNDLE_FORMAT) {
+    console.error(`Error: ${bundleFile} is not a hunt bundle`)
+    process.exit(1)
+  }
+  if (bundle.version !== BUNDLE_VERSION) {
+    console.error(`Error: ${bundleFile} is a version ${bundle.version} bundle, this script reads version ${BUNDLE_VERSION}`)
+    process.exit(1)
+  }
+
+  return { bundle, pieces }
+}
+
+/**
+ * The contents of the file at index in the bundle, read from pieces a piece
+ * at a time. Has to be read to the end before the next file.
+ */
+async function * fileContents(pieces, index, size) {
+  for (let count = 0; count < pieceCount(size); count++) {
+    const { value, done } = await pieces.next()
+    if (done || !value || value.file !== index) {
+      throw new Error('The bundle is incomplete, please export it again')
+    }
+    yield Buffer.from(value.data, 'base64')
+  }
+}
+
+/**
+ * The bucket to import files into: --bucket, or the project's default.
+ */
+function getTargetBucket(options) {
+  try {
+    return admin.storage().bucket(typeof options.bucket === 'string' ? options.bucket : undefined)
+  } catch (error) {
+    console.error('Error: no default Storage bucket is configured, pass --bucket <bucket>')
+    console.error(`Usage: ${USAGE}`)
+    process.exit(1)
+  }
+}
+
+/**
+ * Uploads the bundle's files to the same paths in the target bucket, one
+ * piece at a time, and returns their new links, keyed by the gs:// address
+ * they were exported from. An object that is already there with the same
+ * content is reused; one with different content is only replaced with
+ * replaceMedia, otherwise nothing is uploaded.
+ */
+async function importFiles(bucket, files, pieces, { replaceMedia }) {
+  const existing = await Promise.all(files.map(async ({ path }) => {
+    const [exists] = await bucket.file(path).exists()
+    return exists ? (await bucket.file(path).getMetadata())[0] : null
+  }))
+
+  const conflicts = files.filter((file, index) => existing[index] && existing[index].md5Hash !== file.md5Hash)
+  if (conflicts.length > 0 && !replaceMedia) {
+    conflicts.forEach(({ path }) => console.error(`Error: gs://${bucket.name}/${path} already exists with different content`))
+    console.error('Nothing was imported. Run with --replace-media to overwrite these files.')
+    process.exit(1)
+  }
+
+  const urlsByAddress = new Map()
+
+  for (const [index, bundled] of files.entries()) {
+    const file = bucket.file(bundled.path)
+    const current = existing[index]
+    const contents = fileContents(pieces, index, bundled.size)
+    let token
+
+    if (current && current.md5Hash === bundled.md5Hash) {
+      // Already uploaded, skip over the file's pieces
+      while (!(await contents.next()).done) {}
+      token = ((current.metadata && current.metadata.firebaseStorageDownloadTokens) || '').split(',')[0]
+      if (!token) {
+        token = crypto.randomUUID()
+        await file.setMetadata({ metadata: { firebaseStorageDownloadTokens: token } })
+      }
+      console.log(`  gs://${bucket.name}/${bundled.path} (already there)`)
+    } else {
+      token = crypto.randomUUID()
+      await pipeline(contents, file.createWriteStream({
+        resumable: false,
+        contentType: bundled.contentType || undefined,
+        metadata: {
+          cacheControl: bundled.cacheControl || undefined,
+          metadata: { ...bundled.metadata, firebaseStorageDownloadTokens: token }
+        }
+      }))
+      console.log(`  gs://${bucket.name}/${bundled.path}`)
+    }
+
+    urlsByAddress.set(bundled.source, {
+      address: `gs://${bucket.name}/${bundled.path}`,
+      downloadUrl: downloadUrl(file, token)
+    })
+  }
+
+  return urlsByAddress
+}
+
+async function importBundle(eventRef, { bundle, pieces }, options) {
+  // Importing is for new hunts; upload-stages.js and upload-groups.js edit existing ones
+  const [eventSnapshot, stagesSnapshot, groupsSnapshot] = await Promise.all([
+    eventRef.get(),
+    eventRef.collection('stages').limit(1).get(),
+    eventRef.collection('groups').limit(1).get()
+  ])
+  if (!stagesSnapshot.empty || !groupsSnapshot.empty) {
+    console.error(`Error: Event "${eventRef.id}" already has stages or groups. Import into a new event instead.`)
+    process.exit(1)
+  }
+
+  // Stage documents are checked like a stages file (see lib/stage-schema.js)
+  const check = checkStages(bundle.stages.map(({ data }) => data))
+  check.warnings.forEach((warning) => console.warn(`Warning: ${warning}`))
+  if (check.errors.length > 0) {
+    check.errors.forEach((error) => console.error(`Error: ${error}`))
+    console.error(`${check.errors.length} error(s) found in the bundle's stages, nothing was imported`)
+    process.exit(1)
+  }
+
+  let stages = bundle.stages
+  if (bundle.files.length > 0) {
+    const bucket = getTargetBucket(options)
+    console.log(`Uploading ${bundle.files.length} file(s) to gs://${bucket.name}...`)
+    const urlsByAddress = await importFiles(bucket, bundle.files, pieces, { replaceMedia: options['replace-media'] === true })
+    stages = rewriteStorageUrls(stages, urlsByAddress)
+  }
+
+  const eventData = { ...bundle.event }
+  if (typeof options.name === 'string') {
+    eventData.name = options.name
+  } else if (!eventSnapshot.exists && !eventData.name) {
+    eventData.name = eventRef.id
+  }
+  if (!eventSnapshot.exists) {
+    eventData.active = true
+  }
+
+  const writes = [
+    (batch) => batch.set(eventRef, eventData, { merge: true }),
+    ...stages.map(({ docId, data }) => (batch) => batch.set(eventRef.collection('stages').doc(docId), data)),
+    ...bundle.groups.map(({ groupId, data }) => (batch) => batch.set(eventRef.collection('groups').doc(groupId), data)),
+    ...bundle.groups
+      .filter(({ pinHash }) => pinHash)
+      .map(({ groupId, pinHash }) => (batch) => batch.set(eventRef.collection('groupPins').doc(groupId), { pinHash }))
+  ]
+  const batchCount = await commitInBatches(db, writes)
+  console.log(`Committed ${writes.length} write(s) in ${batchCount} batch(es)`)
+
+  console.log(`Imported ${stages.length} stage(s), ${bundle.groups.length} group(s) and ${bundle.files.length} file(s) from "${bundle.eventId}" into event "${eventRef.id}"`)
+
+  // What the bundle does not carry over
+  if (bundle.groups.some(({ pinHash }) => !pinHash)) {
+    console.log('Some groups have no PIN and cannot log in yet. Set PINs with:')
+    console.log(`  node upload-groups.js --event ${eventRef.id} ./groups-data.json`)
+  }
+  if (stages.some(({ data }) => data.type === 'qr') && bundle.eventId !== eventRef.id) {
+    console.log('QR codes are bound to the event, print new ones with:')
+    console.log(`  node generate-qr-sheets.js --event ${eventRef.id}`)
+  }
+  console.log('The hunt has no start or end time yet. Set them with:')
+  console.log(`  node setup-event.js ${eventRef.id} --starts-at 2026-05-01T10:00 --ends-at 2026-05-01T13:00`)
+}
+
+async function main() {
+  const { positional, options } = parseArgs(process.argv.slice(2), { flags: ['include-pins', 'replace-media'] })
+  const [command, bundleArg] = positional
+
+  if (command === 'export') {
+    const eventRef = await requireEventOption(db, options, USAGE)
+    await exportBundle(eventRef, bundleArg || `./${eventRef.id}.hunt.jsonl.gz`, { includePins: options['include-pins'] === true })
+    return
+  }
+
+  if (command !== 'import') {
+    console.error('Error: the first argument must be export or import')
+    console.error(`Usage: ${USAGE}`)
+    process.exit(1)
+  }
+
+  const eventId = requireEventIdOption(options, USAGE)
+  if (!bundleArg || !fs.existsSync(bundleArg)) {
+    console.error(`Error: Bundle file not found: ${bundleArg || ''}`)
+    console.error(`Usage: ${USAGE}`)
+    process.exit(1)
+  }
+
+  // The event is created by the import if it does not exist yet
+  await importBundle(db.collection('events').doc(eventId), await openBundle(bundleArg), options)
+}
+
+// Run the script
+main()
+  .then(() => {
+    process.exit(0)
+  })
+  .catch((error) => {
+    console.error('Fatal error:', error)
+    process.exit(1)
+  })
@@ -1,41 +1,78 @@
 const functions = require('firebase-functions')
 const admin = require('firebase-admin')
+const { ORGANIZER_AUTHORIZATION_TTL_MS, requireAuth, isOrganizer, requireOrganizer, parsePlayerName, grantGroupAccess, getPlayerName, requireGroupAccess, revokeGroupAccess, restoreGroupAccess } = require('./lib/authorization')
+const { getProgress, completeStage, resetProgress, setStageCompleted, moveToStage, recordWrongAttempt, markStarted } = require('./lib/progress')
+const { stageNumber, getStage, isStageUnlocked, assertStageUnlocked } = require('./lib/stages')
+const { getAttemptLimits, reserveAttempt, recordAttemptResult, clearAttemptLimits, reserveLoginAttempt, recordLoginResult } = require('./lib/rate-limit')
+const { recordAttempt, queryAttempts } = require('./lib/attempts')
+const { requireReason, recordAuditEntry } = require('./lib/audit')
+const { listGroups, getGroup } = require('./lib/groups')
+const { requireEvent, listEvents } = require('./lib/events')
+const { getSchedule, assertHuntStarted, assertHuntOpen, pauseHunt, resumeHunt, extendHunt } = require('./lib/schedule')
+const { getScoringWeights, updateLeaderboardEntry, rebuildLeaderboard } = require('./lib/scoring')
+const { getStageHints, getUnlockedHints, toPublicHints, unlockNextHint } = require('./lib/hints')
+const { parsePosition, checkGeofence, formatPosition } = require('./lib/geo')
+const { getQrSecret, createCheckpointToken, tokensMatch } = require('./lib/checkpoints')
+const { parsePhoto, submitPhoto, reviewPhoto } = require('./lib/photos')
+const { parseSubmissionId, claimSubmission, finishSubmission, releaseSubmission } = require('./lib/submissions')
+const { parsePushToken, parseNotification, registerPushToken, sendNotification } = require('./lib/push')
+const { parseMessageText, postTeamMessage, postOrganizerMessage } = require('./lib/messages')
+const { getValidationRules, matchesRules, describeRules } = require('./lib/validation')
+const { verifySecret } = require('./lib/hashing')
+const { isAnswerType, getAnswerInput, getCorrectAnswer, parseAnswer, formatAnswer, matchesChoice, withinTolerance, sequenceMatches, fieldsMatch } = require('./lib/answer-types')
 
 admin.initializeApp()
 
 const db = admin.firestore()
-const rtdb = admin.database()
 
 /**
- * Validation functions for different stages
- * Each stage can have its own validation logic
+ * Validation functions by stage type
+ * Text stages describe their checks declaratively (see lib/validation.js);
+ * the other stage types each have a fixed validation function.
  */
 const validationFunctions = {
-  // Default validation: exact match (case-insensitive, trimmed)
-  default: (userAnswer, correctAnswer) => {
-    return userAnswer.trim().toLowerCase() === correctAnswer.trim().toLowerCase()
+  // Text stages: any of the stage's validation rules must accept the answer.
+  // Async, as hashed answers are verified with scrypt (see lib/validation.js)
+  rules: (userAnswer, rules) => {
+    return matchesRules(userAnswer, rules)
   },
-  
-  // Stage 1: Exact match
-  stage1: (userAnswer, correctAnswer) => {
-    return userAnswer.trim().toLowerCase() === correctAnswer.trim().toLowerCase()
+
+  // Location stages: the submitted position must be inside the stage's
+  // geofence (see lib/geo.js)
+  geofence: (position, location) => {
+    return checkGeofence(position, location).inside
+  },
+
+  // QR stages: the scanned token must be the stage's signed token
+  // (see lib/checkpoints.js)
+  qrToken: (scannedToken, expectedToken) => {
+    return tokensMatch(scannedToken, expectedToken)
+  },
+
+  // Structured answer types (see lib/answer-types.js)
+  choice: (choice, acceptedOptions) => {
+    return matchesChoice(choice, acceptedOptions)
+  },
+
+  number: (value, expected) => {
+    return withinTolerance(value, expected)
   },
-  
-  // Stage 2: Multiple possible answers (comma-separated)
-  stage2: (userAnswer, correctAnswer) => {
-    const user = userAnswer.trim().toLowerCase()
-    const correctAnswers = correctAnswer.split(',').map(a => a.trim().toLowerCase())
-    return correctAnswers.includes(user)
+
+  sequence: (order, items) => {
+    return sequenceMatches(order, items)
   },
-  
-  // Stage 3: Contains keyword
-  stage3: (userAnswer, correctAnswer) => {
-    const user = userAnswer.trim().toLowerCase()
-    const keyword = correctAnswer.trim().toLowerCase()
-    return user.includes(keyword)
+
+  fields: (values, fieldAnswers) => {
+    return fieldsMatch(values, fieldAnswers)
   }
 }
 
+/*
+ * Every callable below (except listEvents and authorizeOrganizer) takes an
+ * eventId and resolves it with requireEvent before doing anything else, so
+ * stages, groups, PINs and progress are always scoped to a single hunt.
+ */
+
 /**
  * Cloud Function: authorizeGroupAccess
  * 
@@ -43,24 +80,19 @@ const validationFunctions = {
  * 
  * Flow:
  * 1. Verify the PIN against Firestore (where PINs are stored securely)
- * 2. If valid, create an authorization "blessing" in RTDB
+ * 2. If valid, create an authorization "blessing" in RTDB, with the optional
+ *    playerName teammates see when this player solves a stage
  * 3. Return success to the client
  * 
  * Security:
- * - PINs are stored in Firestore, only readable by this function
- * - Authorization blessings are stored in RTDB under /authorizations/{groupId}/{uid}
+ * - PINs are stored in Firestore as salted hashes, only readable by this function
+ * - Authorization blessings are stored in RTDB under /events/{eventId}/authorizations/{groupId}/{uid}
  */
 exports.authorizeGroupAccess = functions.https.onCall(async (data, context) => {
   // Verify that the user is authenticated (anonymous auth)
-  if (!context.auth) {
-    throw new functions.https.HttpsError(
-      'unauthenticated',
-      'User must be authenticated to access this function.'
-    )
-  }
+  const uid = requireAuth(context)
 
-  const { groupId, pin } = data
-  const uid = context.auth.uid
+  const { eventId, groupId, pin } = data
 
   // Validate input
   if (!groupId || !pin) {
@@ -78,35 +110,66 @@ exports.authorizeGroupAccess = functions.https.onCall(async (data, context) => {
     )
   }
 
+  // Optional name shown to teammates when this player solves a stage
+  const playerName = parsePlayerName(data.playerName)
+
   try {
+    // Resolve the hunt this login is for
+    const scope = await requireEvent(eventId)
+
+    // Wrong PINs are rate limited per user and per IP address (see lib/rate-limit.js)
+    const loginLimits = scope.ref('loginAttempts')
+    await reserveLoginAttempt(loginLimits, context)
+
+    // Groups that organizers have switched off cannot be logged into
+    const group = await getGroup(scope, groupId)
+    if (group && !group.active) {
+      throw new functions.https.HttpsError(
+        'permission-denied',
+        'This group is not active.'
+      )
+    }
+
     // Step 1: Verify PIN against Firestore
-    // Firestore structure: /groupPins/{groupId} with field: pin
-    const groupPinDoc = await db.collection('groupPins').doc(groupId).get()
+    // Firestore structure: /events/{eventId}/groupPins/{groupId} with field:
+    // pinHash (salted hash, see lib/hashing.js)
+    const groupPinDoc = await scope.collection('groupPins').doc(groupId).get()
 
     if (!groupPinDoc.exists) {
+      await recordLoginResult(loginLimits, context, false)
       throw new functions.https.HttpsError(
         'not-found',
         'Group not found.'
       )
     }
 
-    const storedPin = groupPinDoc.data().pin
+    const { pinHash } = groupPinDoc.data()
+    if (pinHash === undefined) {
+      // Plain text PINs from older uploads are no longer accepted
+      console.error(`Group ${groupId} in event ${scope.eventId} has no pinHash; run migrate-pins.js`)
+      throw new functions.https.HttpsError(
+        'failed-precondition',
+        'This group cannot log in yet. Please contact an organizer.'
+      )
+    }
 
-    if (storedPin !== pin) {
+    if (!(await verifySecret(pin, pinHash))) {
+      await recordLoginResult(loginLimits, context, false)
       throw new functions.https.HttpsError(
         'permission-denied',
         'Invalid PIN.'
       )
     }
+    await recordLoginResult(loginLimits, context, true)
 
     // Step 2: Create authorization blessing in RTDB
-    // Structure: /authorizations/{groupId}/{uid} = { timestamp, groupId, uid }
-    const authorizationRef = rtdb.ref(`authorizations/${groupId}/${uid}`)
-    await authorizationRef.set({
-      timestamp: admin.database.ServerValue.TIMESTAMP,
-      groupId: groupId,
-      uid: uid
-    })
+    // Structure: /events/{eventId}/authorizations/{groupId}/{uid} = { timestamp, expiresAt, groupId, uid, playerName }
+    await grantGroupAccess(scope, groupId, uid, playerName)
+
+    // The group's clock starts at its first login (unless the event has a
+    // start time) and it shows up on the leaderboard from then on
+    await markStarted(scope, groupId)
+    await updateLeaderboardEntry(scope, groupId)
 
     // Step 3: Return success
     return {
@@ -130,6 +193,165 @@ exports.authorizeGroupAccess = functions.https.onCall(async (data, context) => {
   }
 })
 
+/**
+ * Cloud Function: listEvents
+ * 
+ * Public. Returns the hunts that can be played, for the event selector on
+ * the login page. Organizers can pass includeInactive to see every event.
+ */
+exports.listEvents = functions.https.onCall(async (data, context) => {
+  const includeInactive = Boolean(data && data.includeInactive) &&
+    isOrganizer(context)
+
+  try {
+    const events = await listEvents({ includeInactive })
+
+    return {
+      success: true,
+      events: events
+    }
+  } catch (error) {
+    console.error('Error in listEvents:', error)
+    throw new functions.https.HttpsError(
+      'internal',
+      'An error occurred while fetching events.',
+      error.message
+    )
+  }
+})
+
+/**
+ * Cloud Function: listGroups
+ * 
+ * Public. Returns the groups players can log into, for the login dropdown
+ * and the top bar. Organizers can pass includeInactive to see every group.
+ * Never returns PINs - those live in the event's separate groupPins collection.
+ */
+exports.listGroups = functions.https.onCall(async (data, context) => {
+  const { eventId } = data || {}
+  const includeInactive = Boolean(data && data.includeInactive) &&
+    isOrganizer(context)
+
+  try {
+    const scope = await requireEvent(eventId)
+    const groups = await listGroups(scope, { includeInactive })
+
+    return {
+      success: true,
+      groups: groups
+    }
+  } catch (error) {
+    if (error instanceof functions.https.HttpsError) {
+      throw error
+    }
+
+    console.error('Error in listGroups:', error)
+    throw new functions.https.HttpsError(
+      'internal',
+      'An error occurred while fetching groups.',
+      error.message
+    )
+  }
+})
+
+/**
+ * Cloud Function: authorizeOrganizer
+ * 
+ * Validates an organizer PIN and grants the organizer role to the user.
+ * 
+ * Flow:
+ * 1. Verify the PIN against the hashes in Firestore
+ *    (/organizerPins/{organizerId} with fields: pinHash, name)
+ * 2. If valid, set the `organizer` custom claim on the user's auth token,
+ *    valid until `organizerExpiresAt`
+ * 3. The client refreshes its ID token to pick up the claim
+ * 
+ * Security:
+ * - Organizer PINs are stored in Firestore as salted hashes, only readable by Cloud Functions
+ * - Wrong PINs are rate limited per user and per IP address
+ * - Organizer-only callables and security rules check the claim and its expiry;
+ *   `organizers.js revoke` takes it away early
+ */
+exports.authorizeOrganizer = functions.https.onCall(async (data, context) => {
+  const uid = requireAuth(context)
+
+  const { pin } = data
+
+  if (!pin) {
+    throw new functions.https.HttpsError(
+      'invalid-argument',
+      'pin is required.'
+    )
+  }
+
+  if (!/^\d+$/.test(pin)) {
+    throw new functions.https.HttpsError(
+      'invalid-argument',
+      'PIN must be numeric.'
+    )
+  }
+
+  try {
+    // Wrong PINs are rate limited per user and per IP address (see lib/rate-limit.js)
+    const loginLimits = admin.database().ref('organizerLoginAttempts')
+    await reserveLoginAttempt(loginLimits, context)
+
+    // PINs are salted hashes, so they cannot be queried; check each organizer
+    const organizerSnapshot = await db.collection('organizerPins').get()
+    let organizerDoc = null
+
+    for (const doc of organizerSnapshot.docs) {
+      if (doc.get('pinHash') === undefined) {
+        console.error(`Organizer ${doc.id} has no pinHash; run migrate-pins.js`)
+      } else if (await verifySecret(pin, doc.get('pinHash'))) {
+        organizerDoc = doc
+        break
+      }
+    }
+
+    if (!organizerDoc) {
+      await recordLoginResult(loginLimits, context, false)
+      throw new functions.https.HttpsError(
+        'permission-denied',
+        'Invalid organizer PIN.'
+      )
+    }
+    await recordLoginResult(loginLimits, context, true)
+
+    const organizerName = organizerDoc.data().name || organizerDoc.id
+    const expiresAt = Date.now() + ORGANIZER_AUTHORIZATION_TTL_MS
+
+    // Keep any existing claims and add the organizer role, which expires
+    // (see isOrganizer in lib/authorization.js)
+    const user = await admin.auth().getUser(uid)
+    await admin.auth().setCustomUserClaims(uid, {
+      ...(user.customClaims || {}),
+      organizer: true,
+      organizerId: organizerDoc.id,
+      organizerName: organizerName,
+      organizerExpiresAt: expiresAt
+    })
+
+    return {
+      success: true,
+      message: 'Organizer access granted',
+      organizerName: organizerName,
+      expiresAt: expiresAt
+    }
+  } catch (error) {
+    if (error instanceof functions.https.HttpsError) {
+      throw error
+    }
+
+    console.error('Error in authorizeOrganizer:', error)
+    throw new functions.https.HttpsError(
+      'internal',
+      'An error occurred while processing your request.',
+      error.message
+    )
+  }
+})
+
 /**
  * Cloud Function: getStageContent
  * 
@@ -138,14 +360,9 @@ exports.authorizeGroupAccess = functions.https.onCall(async (data, context) => {
  */
 exports.getStageContent = functions.https.onCall(async (data, context) => {
   // Verify authentication
-  if (!context.auth) {
-    throw new functions.https.HttpsError(
-      'unauthenticated',
-      'User must be authenticated to access this function.'
-    )
-  }
+  requireAuth(context)
 
-  const { groupId, stageId } = data
+  const { eventId, groupId, stageId } = data
 
   // Validate input
   if (!groupId || stageId === undefined) {
@@ -156,37 +373,33 @@ exports.getStageContent = functions.https.onCall(async (data, context) => {
   }
 
   try {
-    // Get group progress to check if stage is unlocked
-    const progressRef = rtdb.ref(`groupProgress/${groupId}`)
-    const progressSnapshot = await progressRef.once('value')
-    const progress = progressSnapshot.val() || {}
-    const currentStage = progress.currentStage || 0
-    const completedStages = progress.completedStages || []
-
-    // Check if stage is unlocked (stageId must be <= currentStage + 1)
-    const stageNum = parseInt(stageId)
-    if (stageNum > currentStage + 1) {
-      throw new functions.https.HttpsError(
-        'permission-denied',
-        'This stage is locked. Complete previous stages first.'
-      )
-    }
+    // Resolve the hunt and verify the caller is logged in to this group in it
+    const scope = await requireEvent(eventId)
+    await requireGroupAccess(context, scope, groupId)
+
+    // Stage content is hidden until the hunt starts (see lib/schedule.js)
+    assertHuntStarted(scope.event)
 
     // Get stage content from Firestore
-    // stageId can be a number or string, ensure it's formatted as stage1, stage2, etc.
-    const stageDocId = typeof stageId === 'number' ? `stage${stageId}` : stageId.startsWith('stage') ? stageId : `stage${stageId}`
-    const stageDoc = await db.collection('stages').doc(stageDocId).get()
+    // stageId can be a number or string (1, '1' or 'stage1')
+    const stageNum = stageNumber(stageId)
+    const stageData = await getStage(scope, stageId)
 
-    if (!stageDoc.exists) {
-      throw new functions.https.HttpsError(
-        'not-found',
-        `Stage ${stageId} not found.`
-      )
-    }
+    // Get group progress and check that the stage is unlocked (see lib/stages.js)
+    const progress = await getProgress(scope, groupId)
+    const { completedStages } = progress
+    assertStageUnlocked(stageData, stageNum, progress)
 
-    const stageData = stageDoc.data()
     const isCompleted = completedStages.includes(stageNum)
-    const hasAnswer = stageData.answer !== undefined && stageData.answer !== null && stageData.answer !== ''
+    // Location, QR and photo stages are answered with the team's position, a
+    // scanned code or a photo (see lib/geo.js, lib/checkpoints.js and lib/photos.js)
+    // and structured stages with their own input (see lib/answer-types.js)
+    const hasAnswer = ['location', 'qr', 'photo'].includes(stageData.type) ||
+      (isAnswerType(stageData.type) && getCorrectAnswer(stageData) !== undefined) ||
+      (stageData.validation !== undefined && stageData.validation !== null) ||
+      (stageData.answer !== undefined && stageData.answer !== null && stageData.answer !== '')
+    // Only hints the group has unlocked are sent (see lib/hints.js)
+    const stageHints = getStageHints(stageData, getScoringWeights(scope.event).hintPenalty)
 
     // Return stage content (without the answer)
     return {
@@ -197,9 +410,13 @@ exports.getStageContent = functions.https.onCall(async (data, context) => {
       description: stageData.description || '',
       media: stageData.media || [],
       mediaType: stageData.mediaType || 'none', // 'none', 'image', 'video', 'both'
+      type: stageData.type || 'text', // 'text', 'location', 'qr', 'photo' or an answer type - the target location is never sent
       isCompleted: isCompleted,
       isUnlocked: true,
-      hasAnswer: hasAnswer
+      hasAnswer: hasAnswer,
+      // options, unit, shuffled items or field labels of structured stages
+      ...(isAnswerType(stageData.type) ? getAnswerInput(stageData) : {}),
+      ...toPublicHints(stageHints, getUnlockedHints(progress, stageNum))
     }
   } catch (error) {
     if (error instanceof functions.https.HttpsError) {
@@ -220,40 +437,92 @@ exports.getStageContent = functions.https.onCall(async (data, context) => {
  * 
  * Validates a user's answer for a specific stage.
  * Uses the validation function specified in the stage data.
+ * Answers sent with a submissionId are processed once; sending the same
+ * submissionId again returns the first response (see lib/submissions.js).
  */
 exports.validateAnswer = functions.https.onCall(async (data, context) => {
   // Verify authentication
-  if (!context.auth) {
-    throw new functions.https.HttpsError(
-      'unauthenticated',
-      'User must be authenticated to access this function.'
-    )
-  }
+  const uid = requireAuth(context)
 
-  const { groupId, stageId, answer } = data
+  const { eventId, groupId, stageId, answer } = data
 
-  // Validate input
-  if (!groupId || stageId === undefined || !answer) {
+  // Validate input (0 is a valid answer for number stages)
+  if (!groupId || stageId === undefined || answer === undefined || answer === null || answer === '') {
     throw new functions.https.HttpsError(
       'invalid-argument',
       'groupId, stageId, and answer are required.'
     )
   }
 
+  // Set by clients that queue answers while offline (see lib/submissions.js)
+  const submissionId = parseSubmissionId(data.submissionId)
+  let scope = null
+  let claimed = false
+
   try {
+    // Resolve the hunt and verify the caller is logged in to this group in it
+    scope = await requireEvent(eventId)
+    const authorization = await requireGroupAccess(context, scope, groupId)
+
+    // A replayed submission gets the response it got the first time, even
+    // if the hunt has ended since
+    if (submissionId) {
+      const previousResponse = await claimSubmission(scope, groupId, submissionId)
+      if (previousResponse) {
+        return { ...previousResponse, replayed: true }
+      }
+      claimed = true
+    }
+
+    // Answers are only accepted while the hunt is running
+    assertHuntOpen(scope.event)
+
     // Get stage data from Firestore
-    const stageDocId = typeof stageId === 'number' ? `stage${stageId}` : stageId.startsWith('stage') ? stageId : `stage${stageId}`
-    const stageDoc = await db.collection('stages').doc(stageDocId).get()
+    const stageNum = stageNumber(stageId)
+    const stageData = await getStage(scope, stageId)
+
+    // Apply the same unlock rules as getStageContent before accepting an answer
+    const progress = await getProgress(scope, groupId)
+    assertStageUnlocked(stageData, stageNum, progress)
+
+    // A teammate already solved this stage - later answers must not count as
+    // wrong attempts or use up the rate limit
+    if (progress.completedStages.includes(stageNum)) {
+      return finishSubmission(scope, groupId, submissionId, {
+        success: true,
+        correct: true,
+        alreadyCompleted: true,
+        message: 'Your team has already completed this stage.'
+      })
+    }
 
-    if (!stageDoc.exists) {
+    // Photo stages are completed by an organizer approving the team's photo
+    if (stageData.type === 'photo') {
       throw new functions.https.HttpsError(
-        'not-found',
-        `Stage ${stageId} not found.`
+        'failed-precondition',
+        'This stage is completed by submitting a photo.'
       )
     }
 
-    const stageData = stageDoc.data()
-    const correctAnswer = stageData.answer
+    // Location stages are answered with the browser's geolocation and QR
+    // stages with a scanned token instead of text; both always use their own
+    // validation function
+    const isLocationStage = stageData.type === 'location'
+    const isQrStage = stageData.type === 'qr'
+    // Choice, number, sequence and fields stages send structured answers
+    const isStructuredStage = isAnswerType(stageData.type)
+    // Text stages are checked against their validation rules, which throws
+    // failed-precondition if the stage is misconfigured (see lib/validation.js)
+    let correctAnswer
+    if (isLocationStage) {
+      correctAnswer = stageData.location
+    } else if (isQrStage) {
+      correctAnswer = createCheckpointToken(getQrSecret(), scope.eventId, stageNum, stageData.qrKey)
+    } else if (isStructuredStage) {
+      correctAnswer = getCorrectAnswer(stageData)
+    } else {
+      correctAnswer = getValidationRules(stageData)
+    }
     
     // If stage doesn't have an answer field, it's considered the last stage and doesn't accept submissions
     if (correctAnswer === undefined || correctAnswer === null || correctAnswer === '') {
@@ -262,56 +531,131 @@ exports.validateAnswer = functions.https.onCall(async (data, context) => {
         'This stage does not accept answer submissions.'
       )
     }
-    
-    const validationFunctionName = stageData.validationFunction || 'default'
-    const hint = stageData.hint || 'Try again!'
 
-    // Get validation function
-    const validationFunction = validationFunctions[validationFunctionName] || validationFunctions.default
+    if (!isLocationStage && !isStructuredStage && typeof answer !== 'string') {
+      throw new functions.https.HttpsError(
+        'invalid-argument',
+        'answer must be a string.'
+      )
+    }
+    let submittedAnswer = answer
+    if (isLocationStage) {
+      submittedAnswer = parsePosition(answer)
+    } else if (isStructuredStage) {
+      submittedAnswer = parseAnswer(stageData, answer)
+    }
+
+    // Get the validation function for the stage type
+    let validationFunctionName = 'rules'
+    if (isLocationStage) {
+      validationFunctionName = 'geofence'
+    } else if (isQrStage) {
+      validationFunctionName = 'qrToken'
+    } else if (isStructuredStage) {
+      validationFunctionName = stageData.type
+    }
+    const validationFunction = validationFunctions[validationFunctionName]
+
+    // Every submission, including rate limited ones, goes into the attempt
+    // history. Answers that may be correct (accepted ones and rate limited
+    // ones, which are never checked) are recorded without their text
+    // (see lib/attempts.js)
+    const attempt = {
+      groupId: groupId,
+      uid: uid,
+      stageId: stageNum,
+      answer: isLocationStage
+        ? formatPosition(submittedAnswer)
+        : isStructuredStage ? formatAnswer(stageData.type, submittedAnswer) : answer,
+      // For text stages, the rules that were applied (e.g. 'anyOf|fuzzy')
+      validationFunction: validationFunctionName === 'rules' ? describeRules(correctAnswer) : validationFunctionName
+    }
+
+    // Reserve an attempt - throws resource-exhausted while the group is
+    // rate limited, cooling down or locked out of this stage
+    const attemptLimits = getAttemptLimits(stageData)
+    try {
+      await reserveAttempt(scope, groupId, stageNum, attemptLimits)
+    } catch (error) {
+      if (error instanceof functions.https.HttpsError && error.code === 'resource-exhausted') {
+        await recordAttempt(scope, { ...attempt, correct: false, rateLimited: true })
+      }
+      throw error
+    }
 
     // Validate answer
-    const isValid = validationFunction(answer, correctAnswer)
+    const isValid = await validationFunction(submittedAnswer, correctAnswer)
+    const limitState = await recordAttemptResult(scope, groupId, stageNum, isValid, attemptLimits)
+    await recordAttempt(scope, { ...attempt, correct: isValid })
 
     if (isValid) {
-      // Answer is correct - update progress
-      const progressRef = rtdb.ref(`groupProgress/${groupId}`)
-      const progressSnapshot = await progressRef.once('value')
-      const progress = progressSnapshot.val() || { currentStage: 0, completedStages: [] }
-
-      const stageNum = parseInt(stageId)
-      const currentStage = progress.currentStage || 0
-      const completedStages = progress.completedStages || []
-
-      // Add to completed stages if not already there
-      if (!completedStages.includes(stageNum)) {
-        completedStages.push(stageNum)
+      // Answer is correct - update progress in a transaction so that
+      // simultaneous correct answers from teammates are merged, not lost.
+      // The unlock rules are checked again inside the transaction, and the
+      // solver is recorded for the teammates' devices.
+      const { committed, blocked } = await completeStage(
+        scope,
+        groupId,
+        stageNum,
+        (progress) => isStageUnlocked(stageData, stageNum, progress),
+        { uid, name: authorization.playerName }
+      )
+
+      if (blocked) {
+        throw new functions.https.HttpsError(
+          'permission-denied',
+          'This stage is locked. Complete previous stages first.'
+        )
       }
 
-      // Update current stage if this is the next stage
-      const newCurrentStage = Math.max(currentStage, stageNum)
+      if (!committed) {
+        throw new Error(`Progress transaction for ${groupId} was not committed`)
+      }
 
-      // Update progress in RTDB
-      await progressRef.update({
-        currentStage: newCurrentStage,
-        completedStages: completedStages,
-        lastUpdated: admin.database.ServerValue.TIMESTAMP
-      })
+      await updateLeaderboardEntry(scope, groupId)
 
-      return {
+      return finishSubmission(scope, groupId, submissionId, {
         success: true,
         correct: true,
         message: 'Correct answer! You can proceed to the next stage.'
-      }
+      })
     } else {
-      // Answer is incorrect - return hint
-      return {
+      // Answer is incorrect - wrong answers cost points on the leaderboard.
+      // Hints are not given away here; teams unlock them with requestHint.
+      await recordWrongAttempt(scope, groupId, stageNum)
+      await updateLeaderboardEntry(scope, groupId)
+
+      const response = {
         success: true,
         correct: false,
-        hint: hint,
-        message: 'Incorrect answer. Try again!'
+        message: 'Incorrect answer. Try again!',
+        retryAfterSeconds: limitState.retryAfterSeconds,
+        lockedOut: limitState.lockedOut
       }
+
+      if (isLocationStage) {
+        // Report the GPS accuracy so the team knows whether a better fix
+        // could help; the distance to the target is not revealed
+        const { accuracyMeters, accuracyTooLow } = checkGeofence(submittedAnswer, correctAnswer)
+        response.message = accuracyTooLow
+          ? `Your location is not accurate enough (±${accuracyMeters} m). Move to open sky and try again.`
+          : 'You are not at the right place yet. Keep looking!'
+        response.accuracyMeters = accuracyMeters
+        response.accuracyTooLow = accuracyTooLow
+      } else if (isQrStage) {
+        response.message = 'This QR code does not belong to this stage.'
+      }
+
+      return finishSubmission(scope, groupId, submissionId, response)
     }
   } catch (error) {
+    // Let the client send a failed submission again
+    if (claimed) {
+      await releaseSubmission(scope, groupId, submissionId).catch((releaseError) => {
+        console.error('Error releasing submission:', releaseError)
+      })
+    }
+
     if (error instanceof functions.https.HttpsError) {
       throw error
     }
@@ -326,57 +670,987 @@ exports.validateAnswer = functions.https.onCall(async (data, context) => {
 })
 
 /**
- * Cloud Function: getGroupProgress
+ * Cloud Function: submitPhoto
  * 
- * Gets the current progress for a group.
+ * Uploads a team's photo for a photo stage and puts the stage into review.
+ * photo is { contentType, data } with base64 data; the client resizes it
+ * first. An organizer approves or rejects it with adminReviewPhoto, and the
+ * team follows the review live in RTDB (see lib/photos.js).
  */
-exports.getGroupProgress = functions.https.onCall(async (data, context) => {
+exports.submitPhoto = functions.https.onCall(async (data, context) => {
   // Verify authentication
-  if (!context.auth) {
+  const uid = requireAuth(context)
+
+  const { eventId, groupId, stageId } = data
+
+  if (!groupId || stageId === undefined) {
     throw new functions.https.HttpsError(
-      'unauthenticated',
-      'User must be authenticated to access this function.'
+      'invalid-argument',
+      'groupId and stageId are required.'
     )
   }
 
-  const { groupId } = data
+  const photo = parsePhoto(data.photo)
 
-  if (!groupId) {
+  try {
+    // Resolve the hunt and verify the caller is logged in to this group in it
+    const scope = await requireEvent(eventId)
+    await requireGroupAccess(context, scope, groupId)
+
+    // Photos are only accepted while the hunt is running
+    assertHuntOpen(scope.event)
+
+    const stageNum = stageNumber(stageId)
+    const stageData = await getStage(scope, stageId)
+    const progress = await getProgress(scope, groupId)
+    assertStageUnlocked(stageData, stageNum, progress)
+
+    if (stageData.type !== 'photo') {
+      throw new functions.https.HttpsError(
+        'failed-precondition',
+        'This stage does not accept photos.'
+      )
+    }
+
+    if (progress.completedStages.includes(stageNum)) {
+      throw new functions.https.HttpsError(
+        'failed-precondition',
+        'This stage is already completed.'
+      )
+    }
+
+    const review = await submitPhoto(scope, groupId, stageNum, uid, photo)
+
+    return {
+      success: true,
+      status: review.status,
+      message: 'Photo submitted! An organizer will review it shortly.'
+    }
+  } catch (error) {
+    if (error instanceof functions.https.HttpsError) {
+      throw error
+    }
+
+    console.error('Error in submitPhoto:', error)
+    throw new functions.https.HttpsError(
+      'internal',
+      'An error occurred while submitting the photo.',
+      error.message
+    )
+  }
+})
+
+/**
+ * Cloud Function: requestHint
+ * 
+ * Unlocks the next hint of a stage for a group. Each hint costs points on
+ * the leaderboard; the hint is stored in the group's progress so every
+ * teammate sees it. `tier` is the number of hints the client already shows,
+ * so two teammates pressing the button at once only pay for one hint.
+ */
+exports.requestHint = functions.https.onCall(async (data, context) => {
+  // Verify authentication
+  requireAuth(context)
+
+  const { eventId, groupId, stageId, tier } = data
+
+  if (!groupId || stageId === undefined) {
     throw new functions.https.HttpsError(
       'invalid-argument',
-      'groupId is required.'
+      'groupId and stageId are required.'
     )
   }
 
   try {
-    const progressRef = rtdb.ref(`groupProgress/${groupId}`)
-    const progressSnapshot = await progressRef.once('value')
-    const progress = progressSnapshot.val() || { currentStage: 0, completedStages: [] }
+    // Resolve the hunt and verify the caller is logged in to this group in it
+    const scope = await requireEvent(eventId)
+    await requireGroupAccess(context, scope, groupId)
 
-    // Get total number of stages from Firestore
-    // Stages are stored as stage1, stage2, etc., so we count all documents
-    // Return the actual total (includes finish stage) for display purposes
-    // Frontend will use (totalStages - 1) for playable stages logic
-    const stagesSnapshot = await db.collection('stages').get()
-    const totalStages = stagesSnapshot.size
+    // Hints are part of playing, so only while the hunt is running
+    assertHuntOpen(scope.event)
+
+    const stageNum = stageNumber(stageId)
+    const stageData = await getStage(scope, stageId)
+    const progress = await getProgress(scope, groupId)
+    assertStageUnlocked(stageData, stageNum, progress)
+
+    if (progress.completedStages.includes(stageNum)) {
+      throw new functions.https.HttpsError(
+        'failed-precondition',
+        'This stage is already completed.'
+      )
+    }
+
+    const stageHints = getStageHints(stageData, getScoringWeights(scope.event).hintPenalty)
+    const unlockedHints = await unlockNextHint(scope, groupId, stageNum, stageHints, {
+      expectedTier: typeof tier === 'number' ? tier : undefined
+    })
+    await updateLeaderboardEntry(scope, groupId)
 
     return {
       success: true,
-      currentStage: progress.currentStage || 0,
-      completedStages: progress.completedStages || [],
-      totalStages: totalStages
+      ...toPublicHints(stageHints, unlockedHints)
     }
   } catch (error) {
     if (error instanceof functions.https.HttpsError) {
       throw error
     }
 
-    console.error('Error in getGroupProgress:', error)
+    console.error('Error in requestHint:', error)
     throw new functions.https.HttpsError(
       'internal',
-      'An error occurred while fetching progress.',
+      'An error occurred while unlocking the hint.',
       error.message
     )
   }
 })
 
+/**
+ * Cloud Function: getGroupProgress
+ * 
+ * Gets the current progress for a group. The game also follows
+ * /events/{eventId}/groupProgress/{groupId} live in RTDB, so teammates see
+ * each other's solves; this callable adds totalStages.
+ */
+exports.getGroupProgress = functions.https.onCall(async (data, context) => {
+  // Verify authentication
+  requireAuth(context)
+
+  const { eventId, groupId } = data
+
+  if (!groupId) {
+    throw new functions.https.HttpsError(
+      'invalid-argument',
+      'groupId is required.'
+    )
+  }
+
+  try {
+    // Resolve the hunt and verify the caller is logged in to this group in it
+    const scope = await requireEvent(eventId)
+    await requireGroupAccess(context, scope, groupId)
+
+    const progress = await getProgress(scope, groupId)
+
+    // Get total number of stages from Firestore
+    // Stages are stored as stage1, stage2, etc., so we count all documents
+    // Return the actual total (includes finish stage) for display purposes
+    // Frontend will use (totalStages - 1) for playable stages logic
+    const stagesSnapshot = await scope.collection('stages').get()
+    const totalStages = stagesSnapshot.size
+
+    return {
+      success: true,
+      currentStage: progress.currentStage,
+      completedStages: progress.completedStages,
+      totalStages: totalStages
+    }
+  } catch (error) {
+    if (error instanceof functions.https.HttpsError) {
+      throw error
+    }
+
+    console.error('Error in getGroupProgress:', error)
+    throw new functions.https.HttpsError(
+      'internal',
+      'An error occurred while fetching progress.',
+      error.message
+    )
+  }
+})
+
+/**
+ * Cloud Function: registerPushToken
+ * 
+ * Registers this device's push token for the group it is logged in to, so
+ * it receives the organizers' notifications (see lib/push.js). Devices call
+ * it again on every visit because tokens can change.
+ */
+exports.registerPushToken = functions.https.onCall(async (data, context) => {
+  // Verify authentication
+  const uid = requireAuth(context)
+
+  const { eventId, groupId } = data
+  const token = parsePushToken(data.token)
+
+  try {
+    // Resolve the hunt and verify the caller is logged in to this group in it
+    const scope = await requireEvent(eventId)
+    await requireGroupAccess(context, scope, groupId)
+
+    await registerPushToken(scope, groupId, uid, token)
+
+    return {
+      success: true
+    }
+  } catch (error) {
+    if (error instanceof functions.https.HttpsError) {
+      throw error
+    }
+
+    console.error('Error in registerPushToken:', error)
+    throw new functions.https.HttpsError(
+      'internal',
+      'An error occurred while registering for notifications.',
+      error.message
+    )
+  }
+})
+
+/**
+ * Cloud Function: sendGroupMessage
+ * 
+ * Sends a message from a team to the organizers, e.g. a question or, with
+ * help: true, a request for help that is highlighted on the organizer
+ * dashboard. The conversation is at /events/{eventId}/sessions/{groupId}
+ * (see lib/messages.js).
+ */
+exports.sendGroupMessage = functions.https.onCall(async (data, context) => {
+  // Verify authentication
+  const uid = requireAuth(context)
+
+  const { eventId, groupId } = data
+  const text = parseMessageText(data.text)
+
+  if (!groupId) {
+    throw new functions.https.HttpsError(
+      'invalid-argument',
+      'groupId is required.'
+    )
+  }
+
+  try {
+    // Resolve the hunt and verify the caller is logged in to this group in it
+    const scope = await requireEvent(eventId)
+    const authorization = await requireGroupAccess(context, scope, groupId)
+
+    const messageId = await postTeamMessage(scope, groupId, { uid, name: authorization.playerName }, text, data.help === true)
+
+    return {
+      success: true,
+      messageId: messageId
+    }
+  } catch (error) {
+    if (error instanceof functions.https.HttpsError) {
+      throw error
+    }
+
+    console.error('Error in sendGroupMessage:', error)
+    throw new functions.https.HttpsError(
+      'internal',
+      'An error occurred while sending the message.',
+      error.message
+    )
+  }
+})
+
+/**
+ * Cloud Function: getHuntSchedule
+ * 
+ * Returns the start and end time of a hunt and whether it is upcoming,
+ * running, paused or ended. serverTime lets the client correct for clock
+ * drift when showing the countdown.
+ */
+exports.getHuntSchedule = functions.https.onCall(async (data, context) => {
+  // Verify authentication
+  requireAuth(context)
+
+  try {
+    const scope = await requireEvent(data.eventId)
+
+    return {
+      success: true,
+      ...getSchedule(scope.event),
+      serverTime: Date.now()
+    }
+  } catch (error) {
+    if (error instanceof functions.https.HttpsError) {
+      throw error
+    }
+
+    console.error('Error in getHuntSchedule:', error)
+    throw new functions.https.HttpsError(
+      'internal',
+      'An error occurred while fetching the hunt schedule.',
+      error.message
+    )
+  }
+})
+
+/**
+ * Cloud Function: getAttemptHistory
+ * 
+ * Organizer-only. Returns the answer submissions recorded by validateAnswer,
+ * newest first, optionally filtered by group, stage and time range.
+ */
+exports.getAttemptHistory = functions.https.onCall(async (data, context) => {
+  // Only organizers may read other groups' answers
+  requireOrganizer(context)
+
+  const { eventId, groupId, stageId, from, to, limit } = data || {}
+
+  if ((from && isNaN(Number(from))) || (to && isNaN(Number(to)))) {
+    throw new functions.https.HttpsError(
+      'invalid-argument',
+      'from and to must be timestamps in milliseconds.'
+    )
+  }
+
+  try {
+    const scope = await requireEvent(eventId)
+    const attempts = await queryAttempts(scope, { groupId, stageId, from, to, limit })
+
+    return {
+      success: true,
+      attempts: attempts
+    }
+  } catch (error) {
+    if (error instanceof functions.https.HttpsError) {
+      throw error
+    }
+
+    console.error('Error in getAttemptHistory:', error)
+    throw new functions.https.HttpsError(
+      'internal',
+      'An error occurred while fetching attempt history.',
+      error.message
+    )
+  }
+})
+
+/*
+ * Organizer actions
+ * 
+ * All of the callables below require the organizer custom claim and a
+ * reason, and every change is written to the auditLog collection.
+ */
+
+/**
+ * Cloud Function: adminResetProgress
+ * 
+ * Organizer-only. Clears all progress for a group.
+ */
+exports.adminResetProgress = functions.https.onCall(async (data, context) => {
+  requireOrganizer(context)
+
+  const { eventId, groupId } = data
+  const reason = requireReason(data.reason)
+
+  if (!groupId) {
+    throw new functions.https.HttpsError(
+      'invalid-argument',
+      'groupId is required.'
+    )
+  }
+
+  try {
+    const scope = await requireEvent(eventId)
+    const progress = await resetProgress(scope, groupId)
+    await updateLeaderboardEntry(scope, groupId)
+    await recordAuditEntry(context, scope, { action: 'resetProgress', groupId, reason })
+
+    return {
+      success: true,
+      progress: progress
+    }
+  } catch (error) {
+    if (error instanceof functions.https.HttpsError) {
+      throw error
+    }
+
+    console.error('Error in adminResetProgress:', error)
+    throw new functions.https.HttpsError(
+      'internal',
+      'An error occurred while resetting progress.',
+      error.message
+    )
+  }
+})
+
+/**
+ * Cloud Function: adminSetStageCompletion
+ * 
+ * Organizer-only. Marks a stage complete or incomplete for a group,
+ * e.g. when a physical clue has gone missing.
+ */
+exports.adminSetStageCompletion = functions.https.onCall(async (data, context) => {
+  requireOrganizer(context)
+
+  const { eventId, groupId, stageId, completed } = data
+  const reason = requireReason(data.reason)
+
+  if (!groupId || stageId === undefined) {
+    throw new functions.https.HttpsError(
+      'invalid-argument',
+      'groupId and stageId are required.'
+    )
+  }
+
+  const stageNum = stageNumber(stageId)
+  if (!Number.isInteger(stageNum) || stageNum < 1) {
+    throw new functions.https.HttpsError(
+      'invalid-argument',
+      'stageId must be a positive stage number.'
+    )
+  }
+
+  try {
+    const scope = await requireEvent(eventId)
+    const progress = await setStageCompleted(scope, groupId, stageNum, completed !== false)
+    await updateLeaderboardEntry(scope, groupId)
+    await recordAuditEntry(context, scope, {
+      action: completed !== false ? 'completeStage' : 'uncompleteStage',
+      groupId,
+      stageId: stageNum,
+      reason
+    })
+
+    return {
+      success: true,
+      progress: progress
+    }
+  } catch (error) {
+    if (error instanceof functions.https.HttpsError) {
+      throw error
+    }
+
+    console.error('Error in adminSetStageCompletion:', error)
+    throw new functions.https.HttpsError(
+      'internal',
+      'An error occurred while updating stage completion.',
+      error.message
+    )
+  }
+})
+
+/**
+ * Cloud Function: adminSetCurrentStage
+ * 
+ * Organizer-only. Moves a group to a stage: all earlier stages are marked
+ * complete and that stage and every later one is cleared.
+ */
+exports.adminSetCurrentStage = functions.https.onCall(async (data, context) => {
+  requireOrganizer(context)
+
+  const { eventId, groupId, stageId } = data
+  const reason = requireReason(data.reason)
+
+  if (!groupId || stageId === undefined) {
+    throw new functions.https.HttpsError(
+      'invalid-argument',
+      'groupId and stageId are required.'
+    )
+  }
+
+  const stageNum = stageNumber(stageId)
+  if (!Number.isInteger(stageNum) || stageNum < 1) {
+    throw new functions.https.HttpsError(
+      'invalid-argument',
+      'stageId must be a positive stage number.'
+    )
+  }
+
+  try {
+    const scope = await requireEvent(eventId)
+    const previous = await getProgress(scope, groupId)
+    const progress = await moveToStage(scope, groupId, stageNum)
+    await updateLeaderboardEntry(scope, groupId)
+    await recordAuditEntry(context, scope, {
+      action: 'moveToStage',
+      groupId,
+      stageId: stageNum,
+      reason,
+      details: { previousCompletedStages: previous.completedStages }
+    })
+
+    return {
+      success: true,
+      progress: progress
+    }
+  } catch (error) {
+    if (error instanceof functions.https.HttpsError) {
+      throw error
+    }
+
+    console.error('Error in adminSetCurrentStage:', error)
+    throw new functions.https.HttpsError(
+      'internal',
+      'An error occurred while moving the group.',
+      error.message
+    )
+  }
+})
+
+/**
+ * Cloud Function: adminGrantHint
+ * 
+ * Organizer-only. Unlocks the next hint tier of a stage for a group, free
+ * of charge. The hint is returned by getStageContent from then on.
+ */
+exports.adminGrantHint = functions.https.onCall(async (data, context) => {
+  requireOrganizer(context)
+
+  const { eventId, groupId, stageId } = data
+  const reason = requireReason(data.reason)
+
+  if (!groupId || stageId === undefined) {
+    throw new functions.https.HttpsError(
+      'invalid-argument',
+      'groupId and stageId are required.'
+    )
+  }
+
+  const stageNum = stageNumber(stageId)
+  if (!Number.isInteger(stageNum) || stageNum < 1) {
+    throw new functions.https.HttpsError(
+      'invalid-argument',
+      'stageId must be a positive stage number.'
+    )
+  }
+
+  try {
+    const scope = await requireEvent(eventId)
+    const stageData = await getStage(scope, stageNum)
+    const stageHints = getStageHints(stageData, getScoringWeights(scope.event).hintPenalty)
+    await unlockNextHint(scope, groupId, stageNum, stageHints, { free: true })
+    await updateLeaderboardEntry(scope, groupId)
+    const progress = await getProgress(scope, groupId)
+    await recordAuditEntry(context, scope, { action: 'grantHint', groupId, stageId: stageNum, reason })
+
+    return {
+      success: true,
+      progress: progress
+    }
+  } catch (error) {
+    if (error instanceof functions.https.HttpsError) {
+      throw error
+    }
+
+    console.error('Error in adminGrantHint:', error)
+    throw new functions.https.HttpsError(
+      'internal',
+      'An error occurred while granting the hint.',
+      error.message
+    )
+  }
+})
+
+/**
+ * Cloud Function: adminClearLockout
+ * 
+ * Organizer-only. Clears answer rate limits, cooldowns and the hard
+ * lockout for a group on one stage.
+ */
+exports.adminClearLockout = functions.https.onCall(async (data, context) => {
+  requireOrganizer(context)
+
+  const { eventId, groupId, stageId } = data
+  const reason = requireReason(data.reason)
+
+  if (!groupId || stageId === undefined) {
+    throw new functions.https.HttpsError(
+      'invalid-argument',
+      'groupId and stageId are required.'
+    )
+  }
+
+  const stageNum = stageNumber(stageId)
+  if (!Number.isInteger(stageNum) || stageNum < 1) {
+    throw new functions.https.HttpsError(
+      'invalid-argument',
+      'stageId must be a positive stage number.'
+    )
+  }
+
+  try {
+    const scope = await requireEvent(eventId)
+    await clearAttemptLimits(scope, groupId, stageNum)
+    const progress = await getProgress(scope, groupId)
+    await recordAuditEntry(context, scope, { action: 'clearLockout', groupId, stageId: stageNum, reason })
+
+    return {
+      success: true,
+      progress: progress
+    }
+  } catch (error) {
+    if (error instanceof functions.https.HttpsError) {
+      throw error
+    }
+
+    console.error('Error in adminClearLockout:', error)
+    throw new functions.https.HttpsError(
+      'internal',
+      'An error occurred while clearing the lockout.',
+      error.message
+    )
+  }
+})
+
+/**
+ * Cloud Function: adminSetGroupAccess
+ * 
+ * Organizer-only. Revokes (revoked: true) or restores (revoked: false) one
+ * player's access to a group. A revoked player is sent back to the login
+ * page and cannot log in to the group again until access is restored.
+ */
+exports.adminSetGroupAccess = functions.https.onCall(async (data, context) => {
+  requireOrganizer(context)
+
+  const { eventId, groupId, uid, revoked } = data
+  const reason = requireReason(data.reason)
+
+  if (!groupId || !uid || typeof uid !== 'string' || typeof revoked !== 'boolean') {
+    throw new functions.https.HttpsError(
+      'invalid-argument',
+      'groupId, uid and revoked are required.'
+    )
+  }
+
+  try {
+    const scope = await requireEvent(eventId)
+    if (revoked) {
+      await revokeGroupAccess(scope, groupId, uid)
+    } else {
+      await restoreGroupAccess(scope, groupId, uid)
+    }
+    await recordAuditEntry(context, scope, {
+      action: revoked ? 'revokeAccess' : 'restoreAccess',
+      groupId,
+      reason,
+      details: { uid }
+    })
+
+    return {
+      success: true
+    }
+  } catch (error) {
+    if (error instanceof functions.https.HttpsError) {
+      throw error
+    }
+
+    console.error('Error in adminSetGroupAccess:', error)
+    throw new functions.https.HttpsError(
+      'internal',
+      'An error occurred while updating group access.',
+      error.message
+    )
+  }
+})
+
+/**
+ * Cloud Function: adminReviewPhoto
+ * 
+ * Organizer-only. Approves or rejects a group's pending photo. Approving
+ * completes the stage; rejecting needs a comment, which the team sees
+ * before submitting a new photo.
+ */
+exports.adminReviewPhoto = functions.https.onCall(async (data, context) => {
+  requireOrganizer(context)
+
+  const { eventId, groupId, stageId, approved } = data
+
+  if (!groupId || stageId === undefined || typeof approved !== 'boolean') {
+    throw new functions.https.HttpsError(
+      'invalid-argument',
+      'groupId, stageId and approved are required.'
+    )
+  }
+
+  const stageNum = stageNumber(stageId)
+  if (!Number.isInteger(stageNum) || stageNum < 1) {
+    throw new functions.https.HttpsError(
+      'invalid-argument',
+      'stageId must be a positive stage number.'
+    )
+  }
+
+  const comment = typeof data.comment === 'string' ? data.comment.trim() : ''
+  if (!approved && !comment) {
+    throw new functions.https.HttpsError(
+      'invalid-argument',
+      'A comment is required when rejecting a photo.'
+    )
+  }
+
+  try {
+    const scope = await requireEvent(eventId)
+    const token = context.auth.token || {}
+    const review = await reviewPhoto(scope, groupId, stageNum, approved, comment, token.organizerName || token.organizerId || context.auth.uid)
+
+    if (approved) {
+      // The player who sent the photo is credited with solving the stage
+      const solvedBy = review.submittedBy
+        ? { uid: review.submittedBy, name: await getPlayerName(scope, groupId, review.submittedBy) }
+        : null
+      const { committed } = await completeStage(scope, groupId, stageNum, null, solvedBy)
+      if (!committed) {
+        throw new Error(`Progress transaction for ${groupId} was not committed`)
+      }
+      await updateLeaderboardEntry(scope, groupId)
+    }
+
+    await recordAuditEntry(context, scope, {
+      action: approved ? 'approvePhoto' : 'rejectPhoto',
+      groupId,
+      stageId: stageNum,
+      reason: comment || 'Photo approved',
+      details: { photoPath: review.photoPath }
+    })
+
+    return {
+      success: true,
+      review: review,
+      progress: await getProgress(scope, groupId)
+    }
+  } catch (error) {
+    if (error instanceof functions.https.HttpsError) {
+      throw error
+    }
+
+    console.error('Error in adminReviewPhoto:', error)
+    throw new functions.https.HttpsError(
+      'internal',
+      'An error occurred while reviewing the photo.',
+      error.message
+    )
+  }
+})
+
+/**
+ * Cloud Function: adminPauseHunt
+ * 
+ * Organizer-only. Pauses a running hunt: answers are refused until it is
+ * resumed.
+ */
+exports.adminPauseHunt = functions.https.onCall(async (data, context) => {
+  requireOrganizer(context)
+
+  const { eventId } = data
+  const reason = requireReason(data.reason)
+
+  try {
+    const scope = await requireEvent(eventId)
+    const schedule = await pauseHunt(scope)
+    await recordAuditEntry(context, scope, { action: 'pauseHunt', reason })
+
+    return {
+      success: true,
+      schedule: schedule
+    }
+  } catch (error) {
+    if (error instanceof functions.https.HttpsError) {
+      throw error
+    }
+
+    console.error('Error in adminPauseHunt:', error)
+    throw new functions.https.HttpsError(
+      'internal',
+      'An error occurred while pausing the hunt.',
+      error.message
+    )
+  }
+})
+
+/**
+ * Cloud Function: adminResumeHunt
+ * 
+ * Organizer-only. Resumes a paused hunt. The end time moves back by the
+ * length of the pause.
+ */
+exports.adminResumeHunt = functions.https.onCall(async (data, context) => {
+  requireOrganizer(context)
+
+  const { eventId } = data
+  const reason = requireReason(data.reason)
+
+  try {
+    const scope = await requireEvent(eventId)
+    const schedule = await resumeHunt(scope)
+    await recordAuditEntry(context, scope, { action: 'resumeHunt', reason })
+
+    return {
+      success: true,
+      schedule: schedule
+    }
+  } catch (error) {
+    if (error instanceof functions.https.HttpsError) {
+      throw error
+    }
+
+    console.error('Error in adminResumeHunt:', error)
+    throw new functions.https.HttpsError(
+      'internal',
+      'An error occurred while resuming the hunt.',
+      error.message
+    )
+  }
+})
+
+/**
+ * Cloud Function: adminExtendHunt
+ * 
+ * Organizer-only. Moves the end of the hunt back by `minutes`.
+ */
+exports.adminExtendHunt = functions.https.onCall(async (data, context) => {
+  requireOrganizer(context)
+
+  const { eventId } = data
+  const reason = requireReason(data.reason)
+  const minutes = Number(data.minutes)
+
+  try {
+    const scope = await requireEvent(eventId)
+    const schedule = await extendHunt(scope, minutes)
+    await recordAuditEntry(context, scope, { action: 'extendHunt', reason, details: { minutes, endsAt: schedule.endsAt } })
+
+    return {
+      success: true,
+      schedule: schedule
+    }
+  } catch (error) {
+    if (error instanceof functions.https.HttpsError) {
+      throw error
+    }
+
+    console.error('Error in adminExtendHunt:', error)
+    throw new functions.https.HttpsError(
+      'internal',
+      'An error occurred while extending the hunt.',
+      error.message
+    )
+  }
+})
+
+/**
+ * Cloud Function: adminSendNotification
+ * 
+ * Organizer-only. Sends a push notification ({ title, body }) to the
+ * devices of one group, or of every group when groupId is not given, e.g.
+ * "30 minutes left" or "Return to base". The notification is recorded in
+ * the audit log.
+ */
+exports.adminSendNotification = functions.https.onCall(async (data, context) => {
+  requireOrganizer(context)
+
+  const { eventId } = data
+  const groupId = data.groupId || null
+  const notification = parseNotification(data)
+
+  try {
+    const scope = await requireEvent(eventId)
+
+    if (groupId && !(await getGroup(scope, groupId))) {
+      throw new functions.https.HttpsError(
+        'not-found',
+        'Group not found.'
+      )
+    }
+
+    const result = await sendNotification(scope, groupId, notification)
+    await recordAuditEntry(context, scope, {
+      action: 'sendNotification',
+      groupId,
+      reason: notification.title,
+      details: { body: notification.body, recipients: result.recipients, delivered: result.delivered }
+    })
+
+    return {
+      success: true,
+      ...result
+    }
+  } catch (error) {
+    if (error instanceof functions.https.HttpsError) {
+      throw error
+    }
+
+    console.error('Error in adminSendNotification:', error)
+    throw new functions.https.HttpsError(
+      'internal',
+      'An error occurred while sending the notification.',
+      error.message
+    )
+  }
+})
+
+/**
+ * Cloud Function: adminPostMessage
+ * 
+ * Organizer-only. Posts a message to one group's conversation, or an
+ * announcement to every active group when groupId is not given. Teams see
+ * it as a banner and in their inbox. Recorded in the audit log.
+ */
+exports.adminPostMessage = functions.https.onCall(async (data, context) => {
+  requireOrganizer(context)
+
+  const { eventId } = data
+  const groupId = data.groupId || null
+  const text = parseMessageText(data.text)
+
+  try {
+    const scope = await requireEvent(eventId)
+
+    if (groupId && !(await getGroup(scope, groupId))) {
+      throw new functions.https.HttpsError(
+        'not-found',
+        'Group not found.'
+      )
+    }
+
+    const token = context.auth.token || {}
+    const sender = { uid: context.auth.uid, name: token.organizerName || null }
+    const groupCount = await postOrganizerMessage(scope, groupId, sender, text)
+    await recordAuditEntry(context, scope, {
+      action: groupId ? 'sendMessage' : 'postAnnouncement',
+      groupId,
+      reason: text,
+      details: { groupCount }
+    })
+
+    return {
+      success: true,
+      groupCount: groupCount
+    }
+  } catch (error) {
+    if (error instanceof functions.https.HttpsError) {
+      throw error
+    }
+
+    console.error('Error in adminPostMessage:', error)
+    throw new functions.https.HttpsError(
+      'internal',
+      'An error occurred while posting the message.',
+      error.message
+    )
+  }
+})
+
+/**
+ * Cloud Function: adminRebuildLeaderboard
+ * 
+ * Organizer-only. Recomputes every group's leaderboard entry, e.g. after
+ * the event's scoring weights have been changed.
+ */
+exports.adminRebuildLeaderboard = functions.https.onCall(async (data, context) => {
+  requireOrganizer(context)
+
+  try {
+    const scope = await requireEvent(data.eventId)
+    const groupCount = await rebuildLeaderboard(scope)
+
+    return {
+      success: true,
+      groupCount: groupCount
+    }
+  } catch (error) {
+    if (error instanceof functions.https.HttpsError) {
+      throw error
+    }
+
+    console.error('Error in adminRebuildLeaderboard:', error)
+    throw new functions.https.HttpsError(
+      'internal',
+      'An error occurred while rebuilding the leaderboard.',
+      error.message
+    )
+  }
+})
@@ -0,0 +1,216 @@
+const functions = require('firebase-functions')
+
+/**
+ * Structured answer types
+ *
+ * Besides free text, a stage can ask for one of these answers, chosen with
+ * the stage's `type`:
+ *
+ *   choice    options: [string], answer: string or [string]
+ *             The team picks one option; `answer` lists the accepted ones.
+ *   number    answer: number, tolerance: number (default 0), unit: string
+ *             Accepted when within `tolerance` of `answer`.
+ *   sequence  items: [string] in the correct order
+ *             The team puts the items in order; they are sent shuffled.
+ *   fields    fields: [{ label, answer }]
+ *             One text answer per field; `answer` may be a string or a
+ *             list of accepted strings.
+ *
+ * Each type is checked by the validation function of the same name in
+ * index.js. Text comparisons ignore case and surrounding whitespace.
+ */
+
+const ANSWER_TYPES = ['choice', 'number', 'sequence', 'fields']
+
+function isAnswerType(type) {
+  return ANSWER_TYPES.includes(type)
+}
+
+function normalizeText(value) {
+  return String(value).normalize('NFC').trim().toLowerCase()
+}
+
+function toList(value) {
+  if (value === undefined || value === null) {
+    return []
+  }
+  return Array.isArray(value) ? value : [value]
+}
+
+function textMatches(userValue, accepted) {
+  return toList(accepted).some((acceptedValue) => normalizeText(userValue) === normalizeText(acceptedValue))
+}
+
+// A comma is a decimal comma when it is the only separator and 1 or 2
+// digits follow it ("3,5", "12,75"), and a thousands separator between
+// groups of three digits ("1,000", "1,000,000.5"). Any other comma is
+// ambiguous and the answer is refused.
+const DECIMAL_COMMA_PATTERN = /^[-+]?\d+,\d{1,2}$/
+const THOUSANDS_PATTERN = /^[-+]?\d{1,3}(,\d{3})+(\.\d+)?$/
+const NUMBER_PATTERN = /^[-+]?(\d+\.?\d*|\.\d+)$/
+
+/**
+ * Reads a number typed by a team, accepting a decimal comma ("3,14") and
+ * thousands separators ("1,000"). Returns NaN if it is not a number or the
+ * comma could mean either.
+ */
+function parseNumber(value) {
+  if (typeof value === 'number') {
+    return value
+  }
+  let text = String(value).trim().replace(/\s/g, '')
+  if (DECIMAL_COMMA_PATTERN.test(text)) {
+    text = text.replace(',', '.')
+  } else if (THOUSANDS_PATTERN.test(text)) {
+    text = text.replace(/,/g, '')
+  }
+  return NUMBER_PATTERN.test(text) ? Number(text) : NaN
+}
+
+/**
+ * Shuffles items so the order shown to teams never gives the answer away.
+ */
+function shuffle(items) {
+  const shuffled = [...items]
+  for (let index = shuffled.length - 1; index > 0; index--) {
+    const swapIndex = Math.floor(Math.random() * (index + 1))
+    ;[shuffled[index], shuffled[swapIndex]] = [shuffled[swapIndex], shuffled[index]]
+  }
+  // A shuffle can land on the correct order; rotate it by one in that case
+  if (shuffled.length > 1 && shuffled.every((item, index) => item === items[index])) {
+    shuffled.push(shuffled.shift())
+  }
+  return shuffled
+}
+
+/**
+ * The part of a structured stage that the client needs to show the input,
+ * without revealing the answer.
+ */
+function getAnswerInput(stageData) {
+  switch (stageData.type) {
+    case 'choice':
+      return { options: toList(stageData.options).map(String) }
+    case 'number':
+      return { unit: stageData.unit || '' }
+    case 'sequence':
+      return { items: shuffle(toList(stageData.items).map(String)) }
+    case 'fields':
+      return { fields: toList(stageData.fields).map((field) => ({ label: String(field.label || '') })) }
+    default:
+      return {}
+  }
+}
+
+/**
+ * Returns what the validation function of a structured stage compares
+ * against, or undefined if the stage is missing its answer.
+ */
+function getCorrectAnswer(stageData) {
+  switch (stageData.type) {
+    case 'choice':
+      return toList(stageData.answer).length > 0 ? toList(stageData.answer) : undefined
+    case 'number': {
+      const value = parseNumber(stageData.answer)
+      return Number.isFinite(value)
+        ? { value, tolerance: Math.abs(Number(stageData.tolerance) || 0) }
+        : undefined
+    }
+    case 'sequence':
+      return toList(stageData.items).length > 1 ? toList(stageData.items) : undefined
+    case 'fields':
+      return toList(stageData.fields).length > 0
+        ? toList(stageData.fields).map((field) => field.answer)
+        : undefined
+    default:
+      return undefined
+  }
+}
+
+function invalidAnswer(message) {
+  return new functions.https.HttpsError('invalid-argument', message)
+}
+
+/**
+ * Checks the shape of a submitted answer for a structured stage and returns
+ * it normalized. Throws invalid-argument if it does not fit the stage.
+ */
+function parseAnswer(stageData, answer) {
+  switch (stageData.type) {
+    case 'choice':
+      if (typeof answer !== 'string' || !toList(stageData.options).map(String).includes(answer)) {
+        throw invalidAnswer('answer must be one of the options.')
+      }
+      return answer
+    case 'number': {
+      const value = parseNumber(answer)
+      if (!Number.isFinite(value)) {
+        throw invalidAnswer('answer must be a number, e.g. 1500, 1,500 or 3.5.')
+      }
+      return value
+    }
+    case 'sequence': {
+      const items = toList(stageData.items).map(String)
+      if (!Array.isArray(answer) || answer.length !== items.length ||
+          [...answer].map(String).sort().join('\n') !== [...items].sort().join('\n')) {
+        throw invalidAnswer('answer must contain every item exactly once.')
+      }
+      return answer.map(String)
+    }
+    case 'fields':
+      if (!Array.isArray(answer) || answer.length !== toList(stageData.fields).length ||
+          answer.some((value) => typeof value !== 'string')) {
+        throw invalidAnswer('answer must have one text value per field.')
+      }
+      return answer
+    default:
+      return answer
+  }
+}
+
+/**
+ * Formats a parsed answer for the attempt history.
+ */
+function formatAnswer(type, answer) {
+  if (type === 'sequence') {
+    return answer.join(' → ')
+  }
+  if (type === 'fields') {
+    return answer.join(' | ')
+  }
+  return String(answer)
+}
+
+// Validators, used by the validation functions of the same name in index.js
+
+function matchesChoice(choice, acceptedOptions) {
+  return textMatches(choice, acceptedOptions)
+}
+
+function withinTolerance(value, { value: expected, tolerance }) {
+  // Small epsilon so that e.g. 0.1 + 0.2 style rounding does not fail an exact answer
+  return Math.abs(value - expected) <= tolerance + 1e-9
+}
+
+function sequenceMatches(order, items) {
+  return order.length === items.length &&
+    order.every((item, index) => normalizeText(item) === normalizeText(items[index]))
+}
+
+function fieldsMatch(values, fieldAnswers) {
+  return values.length === fieldAnswers.length &&
+    values.every((value, index) => textMatches(value, fieldAnswers[index]))
+}
+
+module.exports = {
+  ANSWER_TYPES,
+  isAnswerType,
+  getAnswerInput,
+  getCorrectAnswer,
+  parseAnswer,
+  formatAnswer,
+  matchesChoice,
+  withinTolerance,
+  sequenceMatches,
+  fieldsMatch
+}
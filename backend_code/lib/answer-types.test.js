@@ -0,0 +1,108 @@
+const {
+  getCorrectAnswer,
+  parseAnswer,
+  formatAnswer,
+  matchesChoice,
+  withinTolerance,
+  sequenceMatches,
+  fieldsMatch
+} = require('./answer-types')
+
+const CHOICE_STAGE = { type: 'choice', options: ['Big Ben', 'Tower Bridge', 'The Shard'], answer: ['Big Ben', 'The Shard'] }
+const NUMBER_STAGE = { type: 'number', answer: 1889, tolerance: 2 }
+const SEQUENCE_STAGE = { type: 'sequence', items: ['Tudor', 'Stuart', 'Georgian'] }
+const FIELDS_STAGE = { type: 'fields', fields: [{ label: 'Street', answer: 'Baker Street' }, { label: 'Number', answer: ['221b', '221 b'] }] }
+
+// Parses an answer and checks it the way validateAnswer does
+function check(stage, answer) {
+  const validators = { choice: matchesChoice, number: withinTolerance, sequence: sequenceMatches, fields: fieldsMatch }
+  return validators[stage.type](parseAnswer(stage, answer), getCorrectAnswer(stage))
+}
+
+describe('choice', () => {
+  test('accepts any of the listed answers', () => {
+    expect(check(CHOICE_STAGE, 'Big Ben')).toBe(true)
+    expect(check(CHOICE_STAGE, 'The Shard')).toBe(true)
+    expect(check(CHOICE_STAGE, 'Tower Bridge')).toBe(false)
+  })
+
+  test('refuses an answer that is not one of the options', () => {
+    expect(() => parseAnswer(CHOICE_STAGE, 'big ben')).toThrow('answer must be one of the options.')
+    expect(() => parseAnswer(CHOICE_STAGE, ['Big Ben'])).toThrow('answer must be one of the options.')
+  })
+})
+
+describe('number', () => {
+  test('accepts answers within the tolerance', () => {
+    expect(check(NUMBER_STAGE, '1889')).toBe(true)
+    expect(check(NUMBER_STAGE, 1891)).toBe(true)
+    expect(check(NUMBER_STAGE, ' 1887 ')).toBe(true)
+    expect(check(NUMBER_STAGE, '1892')).toBe(false)
+  })
+
+  test('an exact answer survives floating point rounding', () => {
+    expect(check({ type: 'number', answer: 0.3 }, 0.1 + 0.2)).toBe(true)
+  })
+
+  test('reads a comma followed by one or two digits as a decimal comma', () => {
+    expect(parseAnswer(NUMBER_STAGE, '3,5')).toBe(3.5)
+    expect(parseAnswer(NUMBER_STAGE, '-12,75')).toBe(-12.75)
+  })
+
+  test('reads commas between groups of three digits as thousands separators', () => {
+    expect(parseAnswer(NUMBER_STAGE, '1,000')).toBe(1000)
+    expect(parseAnswer(NUMBER_STAGE, '1,000,000')).toBe(1000000)
+    expect(parseAnswer(NUMBER_STAGE, '1,234.5')).toBe(1234.5)
+    expect(parseAnswer(NUMBER_STAGE, '1 000')).toBe(1000)
+    expect(check({ type: 'number', answer: 1000 }, '1,000')).toBe(true)
+  })
+
+  test('refuses commas that could mean either', () => {
+    ['1,2345', '1.000,5', '12,34,567', '1,,5', ','].forEach((answer) => {
+      expect(() => parseAnswer(NUMBER_STAGE, answer)).toThrow('answer must be a number')
+    })
+  })
+
+  test('refuses answers that are not numbers', () => {
+    expect(() => parseAnswer(NUMBER_STAGE, 'eighteen')).toThrow('answer must be a number')
+    expect(() => parseAnswer(NUMBER_STAGE, '')).toThrow('answer must be a number')
+  })
+
+  test('a stage without a numeric answer has no correct answer', () => {
+    expect(getCorrectAnswer({ type: 'number', answer: 'soon' })).toBeUndefined()
+    expect(getCorrectAnswer({ type: 'number', answer: '1,5', tolerance: -0.5 })).toEqual({ value: 1.5, tolerance: 0.5 })
+  })
+})
+
+describe('sequence', () => {
+  test('accepts the items in the correct order only', () => {
+    expect(check(SEQUENCE_STAGE, ['Tudor', 'Stuart', 'Georgian'])).toBe(true)
+    expect(check(SEQUENCE_STAGE, ['Stuart', 'Tudor', 'Georgian'])).toBe(false)
+  })
+
+  test('refuses answers with missing, extra or changed items', () => {
+    expect(() => parseAnswer(SEQUENCE_STAGE, ['Tudor', 'Stuart'])).toThrow('answer must contain every item exactly once.')
+    expect(() => parseAnswer(SEQUENCE_STAGE, ['Tudor', 'Tudor', 'Georgian'])).toThrow('answer must contain every item exactly once.')
+    expect(() => parseAnswer(SEQUENCE_STAGE, 'Tudor, Stuart, Georgian')).toThrow('answer must contain every item exactly once.')
+  })
+
+  test('is formatted with arrows for the attempt history', () => {
+    expect(formatAnswer('sequence', ['Tudor', 'Stuart'])).toBe('Tudor → Stuart')
+  })
+})
+
+describe('fields', () => {
+  test('accepts every field matching one of its answers, ignoring case', () => {
+    expect(check(FIELDS_STAGE, ['baker street ', '221 B'])).toBe(true)
+    expect(check(FIELDS_STAGE, ['Baker Street', '221'])).toBe(false)
+  })
+
+  test('refuses answers without one text value per field', () => {
+    expect(() => parseAnswer(FIELDS_STAGE, ['Baker Street'])).toThrow('answer must have one text value per field.')
+    expect(() => parseAnswer(FIELDS_STAGE, ['Baker Street', 221])).toThrow('answer must have one text value per field.')
+  })
+
+  test('is formatted with bars for the attempt history', () => {
+    expect(formatAnswer('fields', ['Baker Street', '221b'])).toBe('Baker Street | 221b')
+  })
+})
@@ -0,0 +1,83 @@
+const admin = require('firebase-admin')
+
+/**
+ * Attempt history
+ *
+ * Every answer submission is stored as a document in the event's
+ * `attempts` subcollection so organizers can settle disputes and spot clues
+ * that confuse everyone. Documents are written by Cloud Functions only.
+ *
+ * Answers that may be correct are not stored: accepted answers, and
+ * rate-limited ones, which were never checked, are kept as `answer: null`
+ * with `answerRedacted: true`, so the history never leaks a stage's answer.
+ */
+
+const MAX_HISTORY_RESULTS = 500
+
+
+/**
+ * Normalizes an answer the same way for storage and comparison in reports.
+ */
+function normalizeAnswer(answer) {
+  return String(answer).trim().toLowerCase()
+}
+
+/**
+ * Records one submission.
+ * attempt: { groupId, uid, stageId, answer, correct, validationFunction, rateLimited }
+ */
+async function recordAttempt(scope, attempt) {
+  const redacted = Boolean(attempt.correct || attempt.rateLimited)
+
+  await scope.collection('attempts').add({
+    groupId: attempt.groupId,
+    uid: attempt.uid,
+    stageId: attempt.stageId,
+    answer: redacted ? null : normalizeAnswer(attempt.answer),
+    answerRedacted: redacted,
+    correct: attempt.correct,
+    validationFunction: attempt.validationFunction,
+    rateLimited: attempt.rateLimited || false,
+    createdAt: admin.firestore.FieldValue.serverTimestamp()
+  })
+}
+
+/**
+ * Queries the history, newest first.
+ * filters: { groupId, stageId, from, to, limit } - all optional,
+ * from/to are epoch milliseconds.
+ */
+async function queryAttempts(scope, filters) {
+  let query = scope.collection('attempts')
+
+  if (filters.groupId) {
+    query = query.where('groupId', '==', filters.groupId)
+  }
+  if (filters.stageId !== undefined && filters.stageId !== null) {
+    query = query.where('stageId', '==', Number(filters.stageId))
+  }
+  if (filters.from) {
+    query = query.where('createdAt', '>=', admin.firestore.Timestamp.fromMillis(Number(filters.from)))
+  }
+  if (filters.to) {
+    query = query.where('createdAt', '<=', admin.firestore.Timestamp.fromMillis(Number(filters.to)))
+  }
+
+  const limit = Math.min(Number(filters.limit) || 100, MAX_HISTORY_RESULTS)
+  const snapshot = await query.orderBy('createdAt', 'desc').limit(limit).get()
+
+  return snapshot.docs.map((doc) => {
+    const attempt = doc.data()
+    return {
+      id: doc.id,
+      ...attempt,
+      createdAt: attempt.createdAt ? attempt.createdAt.toMillis() : null
+    }
+  })
+}
+
+module.exports = {
+  normalizeAnswer,
+  recordAttempt,
+  queryAttempts
+}
@@ -0,0 +1,39 @@
+const admin = require('firebase-admin')
+const { describeWithEmulators, initializeFunctionsTest, createEvent, deleteEvent } = require('../test/emulators')
+const { requireEvent } = require('./events')
+const { recordAttempt, queryAttempts } = require('./attempts')
+
+const EVENT_ID = 'attempts-test'
+
+describeWithEmulators('attempt history', () => {
+  let functionsTest
+  let scope
+
+  beforeAll(async () => {
+    functionsTest = initializeFunctionsTest()
+    admin.initializeApp()
+    await createEvent(EVENT_ID)
+    scope = await requireEvent(EVENT_ID)
+  })
+
+  afterAll(async () => {
+    await deleteEvent(EVENT_ID)
+    await functionsTest.cleanup()
+  })
+
+  test('stores wrong answers but never accepted or unchecked ones', async () => {
+    const attempt = { groupId: 'group1', uid: 'player', stageId: 1, validationFunction: 'exact' }
+
+    await recordAttempt(scope, { ...attempt, answer: ' Big Ben ', correct: false })
+    await recordAttempt(scope, { ...attempt, answer: 'Westminster', correct: true })
+    await recordAttempt(scope, { ...attempt, answer: 'Westminster', correct: false, rateLimited: true })
+
+    const attempts = await queryAttempts(scope, { groupId: 'group1' })
+    const byResult = (correct, rateLimited) =>
+      attempts.find((stored) => stored.correct === correct && stored.rateLimited === rateLimited)
+
+    expect(byResult(false, false)).toMatchObject({ answer: 'big ben', answerRedacted: false })
+    expect(byResult(true, false)).toMatchObject({ answer: null, answerRedacted: true })
+    expect(byResult(false, true)).toMatchObject({ answer: null, answerRedacted: true })
+  })
+})
@@ -0,0 +1,48 @@
+const functions = require('firebase-functions')
+const admin = require('firebase-admin')
+
+/**
+ * Organizer audit log
+ *
+ * Every organizer action that changes a group's state is written to the
+ * event's `auditLog` subcollection together with the organizer's identity
+ * and the reason they gave, so scores stay defensible.
+ */
+
+/**
+ * Returns the trimmed reason, or throws if none was given.
+ */
+function requireReason(reason) {
+  if (typeof reason !== 'string' || !reason.trim()) {
+    throw new functions.https.HttpsError(
+      'invalid-argument',
+      'A reason is required for organizer actions.'
+    )
+  }
+  return reason.trim()
+}
+
+/**
+ * Writes one audit entry for the calling organizer.
+ * entry: { action, groupId, stageId, reason, details }
+ */
+async function recordAuditEntry(context, scope, entry) {
+  const token = context.auth.token || {}
+
+  await scope.collection('auditLog').add({
+    action: entry.action,
+    groupId: entry.groupId || null,
+    stageId: entry.stageId !== undefined ? entry.stageId : null,
+    reason: entry.reason,
+    details: entry.details || {},
+    organizerUid: context.auth.uid,
+    organizerId: token.organizerId || null,
+    organizerName: token.organizerName || null,
+    createdAt: admin.firestore.FieldValue.serverTimestamp()
+  })
+}
+
+module.exports = {
+  requireReason,
+  recordAuditEntry
+}
@@ -0,0 +1,217 @@
+const functions = require('firebase-functions')
+const admin = require('firebase-admin')
+
+/**
+ * Group authorization layer
+ *
+ * authorizeGroupAccess writes a record to
+ * /events/{eventId}/authorizations/{groupId}/{uid} once the group PIN has
+ * been verified. Every other callable goes through
+ * requireGroupAccess, so a user can only act on behalf of a group they
+ * logged into, and only while that record is neither expired nor revoked.
+ */
+
+// How long a group login stays valid (override with GROUP_AUTHORIZATION_TTL_HOURS)
+const AUTHORIZATION_TTL_MS = (Number(process.env.GROUP_AUTHORIZATION_TTL_HOURS) || 24) * 60 * 60 * 1000
+
+// How long the organizer claim stays valid (override with ORGANIZER_AUTHORIZATION_TTL_HOURS)
+const ORGANIZER_AUTHORIZATION_TTL_MS = (Number(process.env.ORGANIZER_AUTHORIZATION_TTL_HOURS) || 12) * 60 * 60 * 1000
+
+const MAX_PLAYER_NAME_LENGTH = 30
+
+function authorizationRef(scope, groupId, uid) {
+  return scope.ref(`authorizations/${groupId}/${uid}`)
+}
+
+/**
+ * Throws unless the caller is signed in (anonymous auth is enough).
+ */
+function requireAuth(context) {
+  if (!context.auth) {
+    throw new functions.https.HttpsError(
+      'unauthenticated',
+      'User must be authenticated to access this function.'
+    )
+  }
+  return context.auth.uid
+}
+
+/**
+ * Whether the caller is an organizer: their auth token carries the
+ * `organizer: true` custom claim and its `organizerExpiresAt` (epoch ms,
+ * set by authorizeOrganizer) has not passed. The security rules make the
+ * same check.
+ */
+function isOrganizer(context) {
+  const token = (context.auth && context.auth.token) || {}
+  return token.organizer === true &&
+    typeof token.organizerExpiresAt === 'number' &&
+    token.organizerExpiresAt > Date.now()
+}
+
+/**
+ * Throws unless the caller is an organizer (see isOrganizer).
+ */
+function requireOrganizer(context) {
+  const uid = requireAuth(context)
+
+  if (!isOrganizer(context)) {
+    throw new functions.https.HttpsError(
+      'permission-denied',
+      'Only organizers can access this function.'
+    )
+  }
+  return uid
+}
+
+/**
+ * Cleans up the optional name a player enters at login. Returns null if
+ * there is none.
+ */
+function parsePlayerName(playerName) {
+  if (playerName === undefined || playerName === null) {
+    return null
+  }
+  if (typeof playerName !== 'string') {
+    throw new functions.https.HttpsError(
+      'invalid-argument',
+      'playerName must be a string.'
+    )
+  }
+  const name = playerName.replace(/\s+/g, ' ').trim().slice(0, MAX_PLAYER_NAME_LENGTH)
+  return name || null
+}
+
+/**
+ * Creates (or renews) the authorization record for a user in a group.
+ * A revoked record is never renewed - an organizer has to restore it first
+ * (adminSetGroupAccess).
+ * playerName is shown to teammates when this user solves a stage.
+ */
+async function grantGroupAccess(scope, groupId, uid, playerName = null) {
+  const ref = authorizationRef(scope, groupId, uid)
+  const existing = (await ref.once('value')).val()
+
+  if (existing && existing.revoked) {
+    throw new functions.https.HttpsError(
+      'permission-denied',
+      'Your access to this group has been revoked. Please contact an organizer.'
+    )
+  }
+
+  await ref.set({
+    timestamp: admin.database.ServerValue.TIMESTAMP,
+    expiresAt: Date.now() + AUTHORIZATION_TTL_MS,
+    groupId: groupId,
+    uid: uid,
+    playerName: playerName
+  })
+}
+
+/**
+ * The name a user entered when logging in to a group, or null.
+ */
+async function getPlayerName(scope, groupId, uid) {
+  const snapshot = await authorizationRef(scope, groupId, uid).child('playerName').once('value')
+  return snapshot.val() || null
+}
+
+/**
+ * Verifies that the caller holds a valid authorization record for groupId
+ * in the event identified by scope.
+ * Returns the record so callers can use its fields if needed.
+ *
+ * Failures use the 'unauthenticated' code so the client knows to send the
+ * player back to the login page.
+ */
+async function requireGroupAccess(context, scope, groupId) {
+  const uid = requireAuth(context)
+
+  if (!groupId) {
+    throw new functions.https.HttpsError(
+      'invalid-argument',
+      'groupId is required.'
+    )
+  }
+
+  const snapshot = await authorizationRef(scope, groupId, uid).once('value')
+  const record = snapshot.val()
+
+  if (!record) {
+    throw new functions.https.HttpsError(
+      'unauthenticated',
+      'You are not logged in to this group.'
+    )
+  }
+
+  if (record.revoked) {
+    throw new functions.https.HttpsError(
+      'unauthenticated',
+      'Your access to this group has been revoked. Please contact an organizer.'
+    )
+  }
+
+  if (record.expiresAt && record.expiresAt <= Date.now()) {
+    throw new functions.https.HttpsError(
+      'unauthenticated',
+      'Your session has expired. Please log in again.'
+    )
+  }
+
+  return record
+}
+
+/**
+ * Reads the authorization record of uid in groupId, or throws not-found if
+ * that user never logged in to the group.
+ */
+async function getExistingAuthorization(scope, groupId, uid) {
+  const ref = authorizationRef(scope, groupId, uid)
+  const record = (await ref.once('value')).val()
+
+  if (!record) {
+    throw new functions.https.HttpsError(
+      'not-found',
+      'This player has not logged in to the group.'
+    )
+  }
+  return ref
+}
+
+/**
+ * Marks an authorization record as revoked. The record is kept (rather than
+ * deleted) so the user cannot simply log in again with the PIN.
+ */
+async function revokeGroupAccess(scope, groupId, uid) {
+  const ref = await getExistingAuthorization(scope, groupId, uid)
+  await ref.update({
+    revoked: true,
+    revokedAt: admin.database.ServerValue.TIMESTAMP
+  })
+}
+
+/**
+ * Lifts a revocation. The original expiry still applies, so a player whose
+ * login has lapsed in the meantime simply logs in again with the PIN.
+ */
+async function restoreGroupAccess(scope, groupId, uid) {
+  const ref = await getExistingAuthorization(scope, groupId, uid)
+  await ref.update({
+    revoked: null,
+    revokedAt: null
+  })
+}
+
+module.exports = {
+  AUTHORIZATION_TTL_MS,
+  ORGANIZER_AUTHORIZATION_TTL_MS,
+  requireAuth,
+  isOrganizer,
+  requireOrganizer,
+  parsePlayerName,
+  grantGroupAccess,
+  getPlayerName,
+  requireGroupAccess,
+  revokeGroupAccess,
+  restoreGroupAccess
+}
@@ -0,0 +1,176 @@
+const admin = require('firebase-admin')
+const {
+  describeWithEmulators,
+  initializeFunctionsTest,
+  callableContext,
+  createEvent,
+  createGroup,
+  deleteEvent
+} = require('../test/emulators')
+const { hashSecret } = require('./hashing')
+
+const EVENT_ID = 'authorization-test'
+const PLAYER = callableContext('player-a')
+const HOUR_MS = 60 * 60 * 1000
+const ORGANIZER = callableContext('organizer', { organizer: true, organizerId: 'test', organizerExpiresAt: Date.now() + HOUR_MS })
+
+// Every callable that acts on behalf of a group, with the smallest request
+// that passes input validation
+const GROUP_CALLABLES = [
+  ['getStageContent', { stageId: 1 }],
+  ['validateAnswer', { stageId: 1, answer: 'answer' }],
+  ['submitPhoto', { stageId: 1, photo: { contentType: 'image/png', data: 'iVBORw0KGgo=' } }],
+  ['requestHint', { stageId: 1 }],
+  ['getGroupProgress', {}],
+  ['registerPushToken', { token: 'push-token' }],
+  ['sendGroupMessage', { text: 'Hello' }]
+]
+
+describeWithEmulators('group authorization', () => {
+  let functionsTest
+  let callables
+
+  const call = (name, data, context) => functionsTest.wrap(callables[name])({ eventId: EVENT_ID, ...data }, context)
+
+  beforeAll(async () => {
+    functionsTest = initializeFunctionsTest()
+    callables = require('../index')
+
+    await createEvent(EVENT_ID)
+    await createGroup(EVENT_ID, 'groupA', '1111')
+    await createGroup(EVENT_ID, 'groupB', '2222')
+    await call('authorizeGroupAccess', { groupId: 'groupA', pin: '1111' }, PLAYER)
+  })
+
+  afterAll(async () => {
+    await deleteEvent(EVENT_ID)
+    await admin.firestore().recursiveDelete(admin.firestore().collection('organizerPins'))
+    await admin.database().ref('organizerLoginAttempts').remove()
+    await functionsTest.cleanup()
+  })
+
+  test('the player can use the group they logged in to', async () => {
+    const result = await call('getGroupProgress', { groupId: 'groupA' }, PLAYER)
+    expect(result.success).toBe(true)
+  })
+
+  test.each(GROUP_CALLABLES)('%s refuses a group the player did not log in to', async (name, data) => {
+    await expect(call(name, { groupId: 'groupB', ...data }, PLAYER))
+      .rejects.toMatchObject({ code: 'unauthenticated' })
+  })
+
+  test('a wrong PIN does not grant access to another group', async () => {
+    await expect(call('authorizeGroupAccess', { groupId: 'groupB', pin: '1111' }, PLAYER))
+      .rejects.toMatchObject({ code: 'permission-denied' })
+    await expect(call('getGroupProgress', { groupId: 'groupB' }, PLAYER))
+      .rejects.toMatchObject({ code: 'unauthenticated' })
+  })
+
+  test('plain text group PINs are refused until they are hashed', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {})
+    const eventDoc = admin.firestore().collection('events').doc(EVENT_ID)
+    await eventDoc.collection('groups').doc('legacy').set({ displayName: 'legacy', active: true })
+    await eventDoc.collection('groupPins').doc('legacy').set({ pin: '3333' })
+
+    await expect(call('authorizeGroupAccess', { groupId: 'legacy', pin: '3333' }, PLAYER))
+      .rejects.toMatchObject({ code: 'failed-precondition' })
+    console.error.mockRestore()
+  })
+
+  test('organizers log in with hashed PINs only', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {})
+    const pins = admin.firestore().collection('organizerPins')
+    await pins.doc('hashed').set({ pinHash: await hashSecret('9911'), name: 'Hashed' })
+    await pins.doc('plain').set({ pin: '9922', name: 'Plain' })
+    await admin.auth().createUser({ uid: 'organizer-login' })
+    const context = callableContext('organizer-login')
+
+    await expect(call('authorizeOrganizer', { pin: '9922' }, context))
+      .rejects.toMatchObject({ code: 'permission-denied' })
+
+    const result = await call('authorizeOrganizer', { pin: '9911' }, context)
+    expect(result.organizerName).toBe('Hashed')
+    const user = await admin.auth().getUser('organizer-login')
+    expect(user.customClaims).toMatchObject({ organizer: true, organizerId: 'hashed' })
+    expect(user.customClaims.organizerExpiresAt).toBe(result.expiresAt)
+    expect(result.expiresAt).toBeGreaterThan(Date.now())
+    console.error.mockRestore()
+  })
+
+  test('an expired organizer claim is refused', async () => {
+    const expired = callableContext('organizer', { organizer: true, organizerId: 'test', organizerExpiresAt: Date.now() - 1 })
+    const legacy = callableContext('organizer', { organizer: true, organizerId: 'test' })
+    const request = { groupId: 'groupA', uid: 'player-a', revoked: true, reason: 'Testing' }
+
+    await expect(call('adminSetGroupAccess', request, expired))
+      .rejects.toMatchObject({ code: 'permission-denied' })
+    await expect(call('adminSetGroupAccess', request, legacy))
+      .rejects.toMatchObject({ code: 'permission-denied' })
+  })
+
+  test('wrong group PINs are rate limited per user', async () => {
+    const context = { ...callableContext('guesser'), rawRequest: { ip: '203.0.113.1' } }
+
+    for (let attempt = 0; attempt < 5; attempt++) {
+      await expect(call('authorizeGroupAccess', { groupId: 'groupB', pin: '9999' }, context))
+        .rejects.toMatchObject({ code: 'permission-denied' })
+    }
+    await expect(call('authorizeGroupAccess', { groupId: 'groupB', pin: '2222' }, context))
+      .rejects.toMatchObject({ code: 'resource-exhausted', details: { retryAfterSeconds: 30 } })
+
+    // Another user behind the same address can still log in
+    const teammate = { ...callableContext('teammate'), rawRequest: { ip: '203.0.113.1' } }
+    expect((await call('authorizeGroupAccess', { groupId: 'groupB', pin: '2222' }, teammate)).success).toBe(true)
+  })
+
+  test('wrong PINs are rate limited per IP address across users', async () => {
+    const fromAddress = (index) => ({ ...callableContext(`guesser${index}`), rawRequest: { ip: '2001:db8::1' } })
+
+    for (let index = 0; index < 20; index++) {
+      await expect(call('authorizeGroupAccess', { groupId: index % 2 ? 'groupB' : 'unknown', pin: '9999' }, fromAddress(index)))
+        .rejects.toMatchObject({ code: expect.stringMatching(/permission-denied|not-found/) })
+    }
+    await expect(call('authorizeGroupAccess', { groupId: 'groupB', pin: '2222' }, fromAddress(20)))
+      .rejects.toMatchObject({ code: 'resource-exhausted' })
+  })
+
+  test('wrong organizer PINs are rate limited', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {})
+    await admin.auth().createUser({ uid: 'organizer-guesser' })
+    const context = { ...callableContext('organizer-guesser'), rawRequest: { ip: '203.0.113.2' } }
+
+    for (let attempt = 0; attempt < 5; attempt++) {
+      await expect(call('authorizeOrganizer', { pin: '1234' }, context))
+        .rejects.toMatchObject({ code: 'permission-denied' })
+    }
+    await expect(call('authorizeOrganizer', { pin: '9911' }, context))
+      .rejects.toMatchObject({ code: 'resource-exhausted' })
+    console.error.mockRestore()
+  })
+
+  test('organizers revoke and restore a player\'s access', async () => {
+    const request = { groupId: 'groupA', uid: 'player-a', reason: 'Testing' }
+
+    await call('adminSetGroupAccess', { ...request, revoked: true }, ORGANIZER)
+    await expect(call('getGroupProgress', { groupId: 'groupA' }, PLAYER))
+      .rejects.toMatchObject({ code: 'unauthenticated' })
+    await expect(call('authorizeGroupAccess', { groupId: 'groupA', pin: '1111' }, PLAYER))
+      .rejects.toMatchObject({ code: 'permission-denied' })
+
+    await call('adminSetGroupAccess', { ...request, revoked: false }, ORGANIZER)
+    const result = await call('getGroupProgress', { groupId: 'groupA' }, PLAYER)
+    expect(result.success).toBe(true)
+
+    const audit = await admin.firestore().collection(`events/${EVENT_ID}/auditLog`).get()
+    expect(audit.docs.map((doc) => doc.data().action).sort()).toEqual(['restoreAccess', 'revokeAccess'])
+  })
+
+  test('only organizers can change access, and only for players who logged in', async () => {
+    const request = { groupId: 'groupA', uid: 'player-a', revoked: true, reason: 'Testing' }
+
+    await expect(call('adminSetGroupAccess', request, PLAYER))
+      .rejects.toMatchObject({ code: 'permission-denied' })
+    await expect(call('adminSetGroupAccess', { ...request, uid: 'stranger' }, ORGANIZER))
+      .rejects.toMatchObject({ code: 'not-found' })
+  })
+})
@@ -0,0 +1,66 @@
+const crypto = require('crypto')
+const functions = require('firebase-functions')
+
+/**
+ * QR checkpoint tokens
+ *
+ * A stage with `type: 'qr'` is solved by scanning the QR code printed for
+ * it. The code carries a token bound to the event and stage:
+ *
+ *   CH1.{eventId}.{stageNum}.{signature}
+ *
+ * where the signature is an HMAC-SHA256 over the event, stage and the
+ * stage's optional `qrKey`, keyed with the QR_TOKEN_SECRET environment
+ * variable. Without the secret a token cannot be forged, and a token for
+ * one stage (or event) does not solve another. Changing `qrKey` on a stage
+ * invalidates its printed codes, e.g. if a photo of a poster is going round.
+ *
+ * generate-qr-sheets.js uses the same functions to print the codes.
+ */
+
+const TOKEN_PREFIX = 'CH1'
+
+/**
+ * Returns the signing secret, throwing if it has not been configured.
+ */
+function getQrSecret() {
+  const secret = process.env.QR_TOKEN_SECRET
+
+  if (!secret) {
+    throw new functions.https.HttpsError(
+      'failed-precondition',
+      'QR check-in is not configured on the server (QR_TOKEN_SECRET is missing).'
+    )
+  }
+  return secret
+}
+
+function sign(secret, eventId, stageNum, qrKey) {
+  return crypto
+    .createHmac('sha256', secret)
+    .update(`${eventId}:${stageNum}:${qrKey || ''}`)
+    .digest('base64url')
+    .slice(0, 22)
+}
+
+/**
+ * Creates the token printed in a stage's QR code.
+ */
+function createCheckpointToken(secret, eventId, stageNum, qrKey) {
+  return `${TOKEN_PREFIX}.${eventId}.${stageNum}.${sign(secret, eventId, stageNum, qrKey)}`
+}
+
+/**
+ * Checks a scanned token against the expected one in constant time.
+ */
+function tokensMatch(scannedToken, expectedToken) {
+  const scanned = Buffer.from(String(scannedToken).trim())
+  const expected = Buffer.from(expectedToken)
+  return scanned.length === expected.length && crypto.timingSafeEqual(scanned, expected)
+}
+
+module.exports = {
+  getQrSecret,
+  createCheckpointToken,
+  tokensMatch
+}
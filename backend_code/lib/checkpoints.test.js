@@ -0,0 +1,69 @@
+const { getQrSecret, createCheckpointToken, tokensMatch } = require('./checkpoints')
+
+const SECRET = 'test-secret'
+
+describe('checkpoint tokens', () => {
+  const token = createCheckpointToken(SECRET, 'spring-2026', 3, 'poster-a')
+
+  test('a printed token solves its own stage', () => {
+    expect(token).toMatch(/^CH1\.spring-2026\.3\.[A-Za-z0-9_-]{22}$/)
+    expect(tokensMatch(token, createCheckpointToken(SECRET, 'spring-2026', 3, 'poster-a'))).toBe(true)
+  })
+
+  test('scanners adding whitespace do not matter', () => {
+    expect(tokensMatch(`  ${token}\n`, token)).toBe(true)
+  })
+
+  test('a token does not solve another stage or event', () => {
+    expect(tokensMatch(token, createCheckpointToken(SECRET, 'spring-2026', 4, 'poster-a'))).toBe(false)
+    expect(tokensMatch(token, createCheckpointToken(SECRET, 'autumn-2026', 3, 'poster-a'))).toBe(false)
+  })
+
+  test('changing qrKey invalidates printed tokens', () => {
+    expect(tokensMatch(token, createCheckpointToken(SECRET, 'spring-2026', 3, 'poster-b'))).toBe(false)
+    expect(tokensMatch(token, createCheckpointToken(SECRET, 'spring-2026', 3))).toBe(false)
+  })
+
+  test('tokens signed with another secret do not match', () => {
+    expect(tokensMatch(createCheckpointToken('other-secret', 'spring-2026', 3, 'poster-a'), token)).toBe(false)
+  })
+
+  test('malformed tokens do not match', () => {
+    const signature = token.split('.')[3]
+    ;[
+      '',
+      'CH1',
+      `CH1.spring-2026.3.${signature.slice(1)}`,
+      `CH1.spring-2026.3.${signature}x`,
+      `CH2.spring-2026.3.${signature}`,
+      `CH1.spring-2026.03.${signature}`,
+      null,
+      { token },
+      '🎯'.repeat(token.length / 2)
+    ].forEach((scanned) => {
+      expect(tokensMatch(scanned, token)).toBe(false)
+    })
+  })
+})
+
+describe('getQrSecret', () => {
+  const originalSecret = process.env.QR_TOKEN_SECRET
+
+  afterEach(() => {
+    if (originalSecret === undefined) {
+      delete process.env.QR_TOKEN_SECRET
+    } else {
+      process.env.QR_TOKEN_SECRET = originalSecret
+    }
+  })
+
+  test('returns QR_TOKEN_SECRET', () => {
+    process.env.QR_TOKEN_SECRET = SECRET
+    expect(getQrSecret()).toBe(SECRET)
+  })
+
+  test('refuses to sign without a secret', () => {
+    delete process.env.QR_TOKEN_SECRET
+    expect(() => getQrSecret()).toThrow(expect.objectContaining({ code: 'failed-precondition' }))
+  })
+})
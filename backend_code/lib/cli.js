@@ -0,0 +1,140 @@
+const admin = require('firebase-admin')
+const fs = require('fs')
+const path = require('path')
+const { EVENT_ID_PATTERN } = require('./events')
+
+/**
+ * Shared helpers for the organizer command line scripts
+ * (upload-stages.js, upload-groups.js, setup-event.js, ...).
+ */
+
+// Firestore accepts at most 500 operations per batch
+const BATCH_LIMIT = 500
+
+/**
+ * Initializes Firebase Admin from GOOGLE_APPLICATION_CREDENTIALS or a
+ * service account key file, exiting with a helpful message if neither works.
+ */
+function initializeAdmin() {
+  if (admin.apps.length) {
+    return admin
+  }
+
+  try {
+    // Try to initialize with default credentials (from environment variable)
+    admin.initializeApp({
+      credential: admin.credential.applicationDefault()
+    })
+  } catch (error) {
+    // If default credentials fail, try service account file
+    const serviceAccountPath = process.env.SERVICE_ACCOUNT_PATH || './serviceAccountKey.json'
+    if (fs.existsSync(serviceAccountPath)) {
+      const serviceAccount = require(path.resolve(serviceAccountPath))
+      admin.initializeApp({
+        credential: admin.credential.cert(serviceAccount)
+      })
+    } else {
+      console.error('Error: Firebase Admin not initialized.')
+      console.error('Please set GOOGLE_APPLICATION_CREDENTIALS environment variable')
+      console.error('or provide serviceAccountKey.json file in the current directory.')
+      process.exit(1)
+    }
+  }
+
+  return admin
+}
+
+/**
+ * Parses command line arguments into positional arguments and options.
+ * `--name value` and `--name=value` set options[name]; names listed in
+ * `flags` are booleans and never consume the next argument.
+ */
+function parseArgs(argv, { flags = [] } = {}) {
+  const positional = []
+  const options = {}
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i]
+
+    if (!arg.startsWith('--')) {
+      positional.push(arg)
+      continue
+    }
+
+    const [name, inlineValue] = arg.slice(2).split(/=(.*)/s)
+    if (inlineValue !== undefined) {
+      options[name] = inlineValue
+    } else if (flags.includes(name)) {
+      options[name] = true
+    } else if (i + 1 < argv.length && !argv[i + 1].startsWith('--')) {
+      options[name] = argv[++i]
+    } else {
+      options[name] = true
+    }
+  }
+
+  return { positional, options }
+}
+
+/**
+ * Returns the --event option, exiting if it is missing or is not a valid
+ * event ID (letters, numbers, dashes and underscores).
+ */
+function requireEventIdOption(options, usage) {
+  const eventId = options.event
+
+  if (!eventId || eventId === true || !EVENT_ID_PATTERN.test(eventId)) {
+    console.error('Error: --event <eventId> is required and may only contain letters, numbers, dashes and underscores')
+    console.error(`Usage: ${usage}`)
+    process.exit(1)
+  }
+
+  return eventId
+}
+
+/**
+ * Returns the event document reference for --event, exiting if the option
+ * is missing or invalid, or the event has not been created with
+ * setup-event.js.
+ */
+async function requireEventOption(db, options, usage) {
+  const eventId = requireEventIdOption(options, usage)
+
+  const eventRef = db.collection('events').doc(eventId)
+  const eventSnapshot = await eventRef.get()
+
+  if (!eventSnapshot.exists) {
+    console.error(`Error: Event "${eventId}" not found. Create it first with:`)
+    console.error(`  node setup-event.js ${eventId} --name "Event name"`)
+    process.exit(1)
+  }
+
+  return eventRef
+}
+
+/**
+ * Commits writes in as many Firestore batches as needed, starting a new
+ * batch for every BATCH_LIMIT operations. Each write is a function that adds
+ * one operation to the batch it is given, e.g.
+ * (batch) => batch.set(ref, data). Returns the number of batches committed.
+ */
+async function commitInBatches(db, writes) {
+  let batchCount = 0
+
+  for (let start = 0; start < writes.length; start += BATCH_LIMIT) {
+    const batch = db.batch()
+    writes.slice(start, start + BATCH_LIMIT).forEach((write) => write(batch))
+    await batch.commit()
+    batchCount++
+  }
+
+  return batchCount
+}
+
+module.exports = {
+  initializeAdmin,
+  parseArgs,
+  requireEventIdOption,
+  requireEventOption,
+  commitInBatches
+}
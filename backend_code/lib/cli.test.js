@@ -0,0 +1,33 @@
+const { parseArgs, requireEventIdOption, requireEventOption } = require('./cli')
+
+describe('requireEventOption', () => {
+  let exit
+
+  beforeEach(() => {
+    exit = jest.spyOn(process, 'exit').mockImplementation((code) => {
+      throw new Error(`exit ${code}`)
+    })
+    jest.spyOn(console, 'error').mockImplementation(() => {})
+  })
+
+  afterEach(() => {
+    jest.restoreAllMocks()
+  })
+
+  test.each([
+    ['missing', []],
+    ['without a value', ['--event']],
+    ['a path', ['--event', '../other']],
+    ['a nested path', ['--event=spring/stages']]
+  ])('exits before touching Firestore when --event is %s', async (name, argv) => {
+    const db = { collection: jest.fn() }
+
+    await expect(requireEventOption(db, parseArgs(argv).options, 'usage')).rejects.toThrow('exit 1')
+    expect(db.collection).not.toHaveBeenCalled()
+    expect(exit).toHaveBeenCalledWith(1)
+  })
+
+  test('returns a valid event ID', () => {
+    expect(requireEventIdOption(parseArgs(['--event', 'spring-2026_b']).options, 'usage')).toBe('spring-2026_b')
+  })
+})
@@ -0,0 +1,99 @@
+const functions = require('firebase-functions')
+const admin = require('firebase-admin')
+
+/**
+ * Events (hunts)
+ *
+ * Each hunt is an event document at /events/{eventId} in Firestore. Stages,
+ * groups, PINs, attempts and the audit log are subcollections of that
+ * document, and all Realtime Database state (progress, authorizations,
+ * attempt limits, sessions) lives under /events/{eventId} in RTDB. Every
+ * callable resolves the event first and then only works through the
+ * returned scope, so hunts are fully isolated from each other.
+ */
+
+const EVENT_ID_PATTERN = /^[a-zA-Z0-9_-]+$/
+
+/**
+ * Builds the Firestore/RTDB accessors for one event without loading it.
+ */
+function eventScope(eventId) {
+  const eventDoc = admin.firestore().collection('events').doc(eventId)
+
+  return {
+    eventId: eventId,
+    eventDoc: eventDoc,
+    // Firestore subcollection of the event, e.g. scope.collection('stages')
+    collection: (name) => eventDoc.collection(name),
+    // RTDB reference below /events/{eventId}, e.g. scope.ref('groupProgress/group1')
+    ref: (path) => admin.database().ref(`events/${eventId}/${path}`)
+  }
+}
+
+/**
+ * Loads an event and returns its scope, throwing if the ID is missing,
+ * malformed or unknown. The event document's data is available as
+ * scope.event.
+ */
+async function requireEvent(eventId) {
+  if (!eventId) {
+    throw new functions.https.HttpsError(
+      'invalid-argument',
+      'eventId is required.'
+    )
+  }
+
+  if (typeof eventId !== 'string' || !EVENT_ID_PATTERN.test(eventId)) {
+    throw new functions.https.HttpsError(
+      'invalid-argument',
+      'eventId may only contain letters, numbers, dashes and underscores.'
+    )
+  }
+
+  const scope = eventScope(eventId)
+  const eventSnapshot = await scope.eventDoc.get()
+
+  if (!eventSnapshot.exists) {
+    throw new functions.https.HttpsError(
+      'not-found',
+      `Event ${eventId} not found.`
+    )
+  }
+
+  return {
+    ...scope,
+    event: eventSnapshot.data()
+  }
+}
+
+/**
+ * Maps an event document to the public shape sent to clients.
+ */
+function toPublicEvent(doc) {
+  const event = doc.data()
+  return {
+    eventId: doc.id,
+    name: event.name || doc.id,
+    active: event.active !== false
+  }
+}
+
+/**
+ * Lists events sorted by name. Inactive events are hidden unless
+ * includeInactive is set.
+ */
+async function listEvents({ includeInactive = false } = {}) {
+  const snapshot = await admin.firestore().collection('events').get()
+
+  return snapshot.docs
+    .map(toPublicEvent)
+    .filter((event) => includeInactive || event.active)
+    .sort((a, b) => a.name.localeCompare(b.name))
+}
+
+module.exports = {
+  EVENT_ID_PATTERN,
+  eventScope,
+  requireEvent,
+  listEvents
+}
@@ -0,0 +1,118 @@
+const functions = require('firebase-functions')
+
+/**
+ * Location (geofence) stages
+ *
+ * A stage with `type: 'location'` is solved by being at a place rather than
+ * by typing an answer. The stage document holds the target:
+ *
+ *   location: { latitude, longitude, radiusMeters, accuracyToleranceMeters }
+ *
+ * and the client submits the browser's geolocation as the answer:
+ *
+ *   { latitude, longitude, accuracy }
+ *
+ * A position counts as inside the geofence when its distance to the target
+ * is at most the radius plus the reported GPS accuracy, but no more than
+ * `accuracyToleranceMeters` of accuracy is credited, so a very poor fix
+ * cannot be used to solve a stage from far away.
+ */
+
+const EARTH_RADIUS_METERS = 6371000
+
+const DEFAULT_RADIUS_METERS = 50
+const DEFAULT_ACCURACY_TOLERANCE_METERS = 30
+
+function toRadians(degrees) {
+  return (degrees * Math.PI) / 180
+}
+
+/**
+ * Great-circle distance in meters between two { latitude, longitude }
+ * points (haversine formula).
+ */
+function haversineDistance(from, to) {
+  const deltaLatitude = toRadians(to.latitude - from.latitude)
+  const deltaLongitude = toRadians(to.longitude - from.longitude)
+
+  const a = Math.sin(deltaLatitude / 2) ** 2 +
+    Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) *
+    Math.sin(deltaLongitude / 2) ** 2
+
+  return 2 * EARTH_RADIUS_METERS * Math.asin(Math.min(1, Math.sqrt(a)))
+}
+
+function isCoordinate(value, limit) {
+  return typeof value === 'number' && Number.isFinite(value) && Math.abs(value) <= limit
+}
+
+/**
+ * Validates a position submitted by a client and returns it as
+ * { latitude, longitude, accuracy }. Throws invalid-argument otherwise.
+ */
+function parsePosition(answer) {
+  const position = answer || {}
+
+  if (!isCoordinate(position.latitude, 90) || !isCoordinate(position.longitude, 180)) {
+    throw new functions.https.HttpsError(
+      'invalid-argument',
+      'This stage needs your location: latitude and longitude are required.'
+    )
+  }
+
+  const accuracy = Number(position.accuracy)
+  return {
+    latitude: position.latitude,
+    longitude: position.longitude,
+    // Browsers always report accuracy; treat a missing value as unknown (0)
+    accuracy: Number.isFinite(accuracy) && accuracy > 0 ? accuracy : 0
+  }
+}
+
+/**
+ * Returns the stage's target with defaults applied.
+ */
+function getGeofence(location) {
+  const target = location || {}
+  return {
+    latitude: Number(target.latitude),
+    longitude: Number(target.longitude),
+    radiusMeters: Number(target.radiusMeters) || DEFAULT_RADIUS_METERS,
+    accuracyToleranceMeters: target.accuracyToleranceMeters !== undefined
+      ? Number(target.accuracyToleranceMeters)
+      : DEFAULT_ACCURACY_TOLERANCE_METERS
+  }
+}
+
+/**
+ * Checks a position against a stage's geofence.
+ * Returns { inside, distanceMeters, accuracyMeters, accuracyTooLow }, where
+ * accuracyTooLow means the fix was worse than the tolerance allows.
+ */
+function checkGeofence(position, location) {
+  const geofence = getGeofence(location)
+  const distanceMeters = haversineDistance(position, geofence)
+  const creditedAccuracy = Math.min(position.accuracy, geofence.accuracyToleranceMeters)
+
+  return {
+    inside: distanceMeters <= geofence.radiusMeters + creditedAccuracy,
+    distanceMeters: Math.round(distanceMeters),
+    accuracyMeters: Math.round(position.accuracy),
+    accuracyTooLow: position.accuracy > geofence.accuracyToleranceMeters
+  }
+}
+
+/**
+ * Formats a position for the attempt history, e.g.
+ * "51.50070,-0.12460 ±12m".
+ */
+function formatPosition(position) {
+  return `${position.latitude.toFixed(5)},${position.longitude.toFixed(5)} ±${Math.round(position.accuracy)}m`
+}
+
+module.exports = {
+  haversineDistance,
+  parsePosition,
+  checkGeofence,
+  formatPosition
+}
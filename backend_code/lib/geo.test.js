@@ -0,0 +1,106 @@
+const { haversineDistance, parsePosition, checkGeofence, formatPosition } = require('./geo')
+
+// Big Ben; a degree of latitude is the same length everywhere on the sphere
+const TARGET = { latitude: 51.5007, longitude: -0.1246 }
+const METERS_PER_DEGREE = 6371000 * Math.PI / 180
+
+// A position `meters` due north of the target, with the given GPS accuracy
+function northOfTarget(meters, accuracy = 0) {
+  return { latitude: TARGET.latitude + meters / METERS_PER_DEGREE, longitude: TARGET.longitude, accuracy }
+}
+
+describe('haversineDistance', () => {
+  test('is zero for the same point', () => {
+    expect(haversineDistance(TARGET, TARGET)).toBe(0)
+  })
+
+  test('measures known distances', () => {
+    const london = { latitude: 51.5074, longitude: -0.1278 }
+    const paris = { latitude: 48.8566, longitude: 2.3522 }
+    expect(haversineDistance(london, paris) / 1000).toBeCloseTo(343.6, 1)
+    expect(haversineDistance(northOfTarget(120), TARGET)).toBeCloseTo(120, 6)
+  })
+
+  test('crosses the antimeridian the short way', () => {
+    const west = { latitude: 0, longitude: 179.9999 }
+    const east = { latitude: 0, longitude: -179.9999 }
+    expect(haversineDistance(west, east)).toBeCloseTo(0.0002 * METERS_PER_DEGREE, 3)
+  })
+})
+
+describe('checkGeofence', () => {
+  const location = { ...TARGET, radiusMeters: 50, accuracyToleranceMeters: 30 }
+
+  test('inside the radius', () => {
+    expect(checkGeofence(northOfTarget(20, 5), location)).toEqual({
+      inside: true,
+      distanceMeters: 20,
+      accuracyMeters: 5,
+      accuracyTooLow: false
+    })
+  })
+
+  test('outside the radius', () => {
+    expect(checkGeofence(northOfTarget(200, 5), location)).toMatchObject({
+      inside: false,
+      distanceMeters: 200
+    })
+  })
+
+  test('on the boundary', () => {
+    expect(checkGeofence(northOfTarget(50), location).inside).toBe(true)
+    expect(checkGeofence(northOfTarget(49.99), location).inside).toBe(true)
+    expect(checkGeofence(northOfTarget(50.01), location).inside).toBe(false)
+  })
+
+  test('credits the reported accuracy up to the tolerance', () => {
+    expect(checkGeofence(northOfTarget(70, 25), location).inside).toBe(true)
+    expect(checkGeofence(northOfTarget(79.99, 30), location).inside).toBe(true)
+    expect(checkGeofence(northOfTarget(80.01, 30), location).inside).toBe(false)
+  })
+
+  test('a poor fix is only credited the tolerance', () => {
+    expect(checkGeofence(northOfTarget(79.99, 500), location)).toMatchObject({
+      inside: true,
+      accuracyMeters: 500,
+      accuracyTooLow: true
+    })
+    expect(checkGeofence(northOfTarget(100, 500), location)).toMatchObject({
+      inside: false,
+      accuracyTooLow: true
+    })
+  })
+
+  test('applies the default radius and tolerance', () => {
+    expect(checkGeofence(northOfTarget(79.99, 30), TARGET).inside).toBe(true)
+    expect(checkGeofence(northOfTarget(80.01, 30), TARGET).inside).toBe(false)
+    expect(checkGeofence(northOfTarget(50.01, 30), { ...TARGET, accuracyToleranceMeters: 0 }).inside).toBe(false)
+  })
+})
+
+describe('parsePosition', () => {
+  test('accepts a browser position', () => {
+    expect(parsePosition({ latitude: 51.5, longitude: -0.12, accuracy: 12.4 }))
+      .toEqual({ latitude: 51.5, longitude: -0.12, accuracy: 12.4 })
+  })
+
+  test('treats a missing or invalid accuracy as unknown', () => {
+    expect(parsePosition({ latitude: 1, longitude: 2 }).accuracy).toBe(0)
+    expect(parsePosition({ latitude: 1, longitude: 2, accuracy: -5 }).accuracy).toBe(0)
+  })
+
+  test.each([
+    undefined,
+    'here',
+    { latitude: 91, longitude: 0 },
+    { latitude: 0, longitude: -181 },
+    { latitude: '51.5', longitude: '-0.12' },
+    { latitude: NaN, longitude: 0 }
+  ])('rejects %p', (answer) => {
+    expect(() => parsePosition(answer)).toThrow(expect.objectContaining({ code: 'invalid-argument' }))
+  })
+})
+
+test('formatPosition', () => {
+  expect(formatPosition({ latitude: 51.500701, longitude: -0.124601, accuracy: 11.6 })).toBe('51.50070,-0.12460 ±12m')
+})
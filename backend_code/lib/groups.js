@@ -0,0 +1,59 @@
+/**
+ * Group definitions
+ *
+ * Groups live in the event's `groups` subcollection with a display name, an
+ * optional colour and emoji, an active flag and a sort order. PINs are kept
+ * separately in the event's `groupPins` subcollection and are never
+ * returned from here.
+ */
+
+// Group IDs are Firestore document IDs and RTDB keys
+const GROUP_ID_PATTERN = /^[a-zA-Z0-9_-]+$/
+
+/**
+ * Maps a group document to the public shape sent to clients.
+ */
+function toPublicGroup(doc) {
+  const group = doc.data()
+  return {
+    groupId: doc.id,
+    displayName: group.displayName || doc.id,
+    colour: group.colour || null,
+    emoji: group.emoji || null,
+    active: group.active !== false,
+    order: typeof group.order === 'number' ? group.order : null
+  }
+}
+
+/**
+ * Lists groups sorted by `order`, then by ID (numeric-aware).
+ */
+async function listGroups(scope, { includeInactive = false } = {}) {
+  const snapshot = await scope.collection('groups').get()
+
+  return snapshot.docs
+    .map(toPublicGroup)
+    .filter((group) => includeInactive || group.active)
+    .sort((a, b) => {
+      if (a.order !== b.order) {
+        if (a.order === null) return 1
+        if (b.order === null) return -1
+        return a.order - b.order
+      }
+      return a.groupId.localeCompare(b.groupId, undefined, { numeric: true })
+    })
+}
+
+/**
+ * Returns a single group definition, or null if it has not been set up.
+ */
+async function getGroup(scope, groupId) {
+  const doc = await scope.collection('groups').doc(groupId).get()
+  return doc.exists ? toPublicGroup(doc) : null
+}
+
+module.exports = {
+  GROUP_ID_PATTERN,
+  listGroups,
+  getGroup
+}
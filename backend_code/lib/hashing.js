@@ -0,0 +1,64 @@
+const crypto = require('crypto')
+const { promisify } = require('util')
+
+/**
+ * Salted hashes for answers and PINs
+ *
+ * Stage answers, group PINs and organizer PINs are stored as scrypt hashes so that reading
+ * Firestore (or a leaked export) does not reveal them. A hash is stored as
+ *
+ *   scrypt${N}${r}${p}${salt}${hash}
+ *
+ * with base64 salt and hash, so the cost parameters can be raised later
+ * without breaking existing hashes. The upload scripts create the hashes and
+ * the functions verify submitted values against them.
+ */
+
+const scrypt = promisify(crypto.scrypt)
+
+const HASH_PREFIX = 'scrypt'
+const COST = { N: 16384, r: 8, p: 1 }
+const SALT_BYTES = 16
+const KEY_BYTES = 32
+
+function isHashed(value) {
+  return typeof value === 'string' && value.startsWith(`${HASH_PREFIX}$`)
+}
+
+/**
+ * Hashes a value with a new random salt.
+ */
+async function hashSecret(value) {
+  const salt = crypto.randomBytes(SALT_BYTES)
+  const key = await scrypt(String(value), salt, KEY_BYTES, COST)
+  return [HASH_PREFIX, COST.N, COST.r, COST.p, salt.toString('base64'), key.toString('base64')].join('$')
+}
+
+/**
+ * Checks a value against a stored hash in constant time. Returns false for
+ * anything that is not a hash in the expected format.
+ */
+async function verifySecret(value, storedHash) {
+  if (!isHashed(storedHash)) {
+    return false
+  }
+
+  const [, N, r, p, salt, hash] = storedHash.split('$')
+  const expected = Buffer.from(hash || '', 'base64')
+  if (expected.length === 0) {
+    return false
+  }
+
+  const key = await scrypt(String(value), Buffer.from(salt, 'base64'), expected.length, {
+    N: Number(N),
+    r: Number(r),
+    p: Number(p)
+  })
+  return crypto.timingSafeEqual(key, expected)
+}
+
+module.exports = {
+  isHashed,
+  hashSecret,
+  verifySecret
+}
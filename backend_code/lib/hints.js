@@ -0,0 +1,116 @@
+const functions = require('firebase-functions')
+const admin = require('firebase-admin')
+const { progressRef } = require('./progress')
+
+/**
+ * Tiered hints
+ *
+ * A stage can define an ordered list of hints. Groups unlock them one at a
+ * time with the requestHint callable, and each unlocked hint costs points on
+ * the leaderboard (see lib/scoring.js). Unlocked hints are stored in the
+ * group's progress at hints/{stageNum}/{tier} so every teammate sees them:
+ *
+ *   { cost, free, unlockedAt }
+ *
+ * Hints granted by an organizer (adminGrantHint) unlock the next tier for
+ * free.
+ */
+
+/**
+ * Returns the stage's hints as [{ text, cost }]. Hints can be plain strings
+ * or { text, cost } objects; without a cost they cost `defaultCost` (the
+ * event's `hintPenalty` scoring weight). Stages with only the legacy `hint`
+ * field get a single hint.
+ */
+function getStageHints(stageData, defaultCost) {
+  let hints = stageData.hints
+
+  if (!Array.isArray(hints)) {
+    hints = stageData.hint ? [stageData.hint] : []
+  }
+
+  return hints
+    .map((hint) => (typeof hint === 'string' ? { text: hint } : hint || {}))
+    .filter((hint) => hint.text)
+    .map((hint) => ({
+      text: hint.text,
+      cost: typeof hint.cost === 'number' ? hint.cost : defaultCost
+    }))
+}
+
+/**
+ * Returns the hint records a group has unlocked for a stage, in tier order.
+ */
+function getUnlockedHints(progress, stageNum) {
+  const stored = progress.hints && progress.hints[stageNum]
+  return Object.values(stored || {}).filter(Boolean)
+}
+
+/**
+ * Builds the hint fields sent to clients for a stage: the unlocked hints'
+ * text and cost, and what the next one would cost.
+ */
+function toPublicHints(stageHints, unlockedHints) {
+  const nextHint = stageHints[unlockedHints.length]
+
+  return {
+    hints: unlockedHints
+      .slice(0, stageHints.length)
+      .map((unlocked, tier) => ({
+        text: stageHints[tier].text,
+        cost: unlocked.cost || 0,
+        free: Boolean(unlocked.free)
+      })),
+    totalHints: stageHints.length,
+    nextHintCost: nextHint ? nextHint.cost : null
+  }
+}
+
+/**
+ * Unlocks the next hint tier for a group in a transaction, so two
+ * teammates pressing "Get a hint" at once only unlock one hint.
+ * expectedTier (optional) is the tier the caller asked for; if a teammate
+ * already unlocked it nothing more is unlocked.
+ * Returns the unlocked hint records.
+ */
+async function unlockNextHint(scope, groupId, stageNum, stageHints, { free = false, expectedTier } = {}) {
+  let exhausted = false
+
+  const result = await progressRef(scope, groupId)
+    .child(`hints/${stageNum}`)
+    .transaction((current) => {
+      const unlocked = Object.values(current || {}).filter(Boolean)
+      exhausted = unlocked.length >= stageHints.length
+
+      if (exhausted || (expectedTier !== undefined && unlocked.length > expectedTier)) {
+        // Nothing to unlock - keep the stored value as it is
+        return unlocked
+      }
+
+      const hint = stageHints[unlocked.length]
+      return [
+        ...unlocked,
+        {
+          cost: free ? 0 : hint.cost,
+          free: free,
+          unlockedAt: admin.database.ServerValue.TIMESTAMP
+        }
+      ]
+    })
+
+  if (exhausted) {
+    throw new functions.https.HttpsError(
+      'failed-precondition',
+      stageHints.length === 0 ? 'This stage has no hints.' : 'All hints for this stage are already unlocked.'
+    )
+  }
+
+  return Object.values(result.snapshot.val() || {}).filter(Boolean)
+}
+
+module.exports = {
+  getStageHints,
+  getUnlockedHints,
+  toPublicHints,
+  unlockNextHint
+}
@@ -0,0 +1,99 @@
+const functions = require('firebase-functions')
+const admin = require('firebase-admin')
+const { listGroups } = require('./groups')
+
+/**
+ * Messages between organizers and teams
+ *
+ * Each group's conversation lives in RTDB at
+ * /events/{eventId}/sessions/{groupId}:
+ *
+ *   messages/{messageId}: { from: 'organizers' | 'team',
+ *     kind: 'announcement' | 'message' | 'help', text, sentAt,
+ *     senderUid, senderName }
+ *   readBy/{uid}: sentAt of the last organizer message the player has seen
+ *   organizersReadAt: sentAt of the last team message organizers have seen
+ *
+ * Messages are only written from here, so nobody can post in the
+ * organizers' name; clients may only move their read markers (see
+ * database.rules.json). An announcement to every group is copied into each
+ * group's conversation under the same message ID.
+ */
+
+const MAX_MESSAGE_LENGTH = 500
+
+/**
+ * Checks a message's text and returns it trimmed.
+ */
+function parseMessageText(text) {
+  const trimmed = typeof text === 'string' ? text.trim() : ''
+
+  if (!trimmed || trimmed.length > MAX_MESSAGE_LENGTH) {
+    throw new functions.https.HttpsError(
+      'invalid-argument',
+      `text is required and can be at most ${MAX_MESSAGE_LENGTH} characters.`
+    )
+  }
+
+  return trimmed
+}
+
+/**
+ * A message as stored under messages/{messageId}. from is 'organizers' or
+ * 'team'; sender is { uid, name }.
+ */
+function createMessage(from, kind, sender, text) {
+  return {
+    from: from,
+    kind: kind,
+    text: text,
+    sentAt: admin.database.ServerValue.TIMESTAMP,
+    senderUid: sender.uid,
+    senderName: sender.name || null
+  }
+}
+
+/**
+ * Posts a message from a team to the organizers. Help requests are
+ * highlighted on the organizer dashboard. Returns the new message's ID.
+ */
+async function postTeamMessage(scope, groupId, sender, text, isHelpRequest) {
+  const messageRef = scope.ref(`sessions/${groupId}/messages`).push()
+
+  await messageRef.set(createMessage('team', isHelpRequest ? 'help' : 'message', sender, text))
+
+  return messageRef.key
+}
+
+/**
+ * Posts an organizer message to one group, or an announcement to every
+ * active group if groupId is null. Returns the number of groups reached.
+ */
+async function postOrganizerMessage(scope, groupId, sender, text) {
+  const groupIds = groupId
+    ? [groupId]
+    : (await listGroups(scope)).map((group) => group.groupId)
+
+  if (groupIds.length === 0) {
+    return 0
+  }
+
+  const messageId = scope.ref('sessions').push().key
+  const message = createMessage('organizers', groupId ? 'message' : 'announcement', sender, text)
+
+  // One multi-path update, so every group gets the announcement or none does
+  const updates = {}
+  groupIds.forEach((id) => {
+    updates[`${id}/messages/${messageId}`] = message
+  })
+  await scope.ref('sessions').update(updates)
+
+  return groupIds.length
+}
+
+module.exports = {
+  parseMessageText,
+  createMessage,
+  postTeamMessage,
+  postOrganizerMessage
+}
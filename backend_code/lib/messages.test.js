@@ -0,0 +1,129 @@
+const admin = require('firebase-admin')
+const { describeWithEmulators, initializeFunctionsTest, createEvent, createGroup, deleteEvent } = require('../test/emulators')
+const { requireEvent } = require('./events')
+const { parseMessageText, createMessage, postTeamMessage, postOrganizerMessage } = require('./messages')
+
+const EVENT_ID = 'messages-test'
+const PLAYER = { uid: 'player-a', name: 'Alex' }
+const ORGANIZER = { uid: 'organizer', name: 'Sam' }
+
+describe('parseMessageText', () => {
+  test('trims the text', () => {
+    expect(parseMessageText('  Where is the fountain? ')).toBe('Where is the fountain?')
+  })
+
+  test('requires text and limits its length', () => {
+    expect(() => parseMessageText('   ')).toThrow('text is required')
+    expect(() => parseMessageText(42)).toThrow('text is required')
+    expect(() => parseMessageText('x'.repeat(501))).toThrow('at most 500 characters')
+    expect(parseMessageText('x'.repeat(500))).toHaveLength(500)
+  })
+})
+
+describe('createMessage', () => {
+  test('stores who sent it and when', () => {
+    expect(createMessage('team', 'help', PLAYER, 'Stuck')).toEqual({
+      from: 'team',
+      kind: 'help',
+      text: 'Stuck',
+      sentAt: admin.database.ServerValue.TIMESTAMP,
+      senderUid: 'player-a',
+      senderName: 'Alex'
+    })
+  })
+
+  test('stores a missing sender name as null', () => {
+    expect(createMessage('organizers', 'message', { uid: 'organizer' }, 'Hi').senderName).toBeNull()
+  })
+})
+
+describeWithEmulators('group sessions', () => {
+  let functionsTest
+  let scope
+
+  const readSession = async (groupId) => (await scope.ref(`sessions/${groupId}`).once('value')).val() || {}
+  // What the clients count as unread: messages from `from` sent after the
+  // read marker (see web/src/messages.js)
+  const unreadTexts = (session, from, readAt) => Object.values(session.messages || {})
+    .filter((message) => message.from === from && message.sentAt > (readAt || 0))
+    .map((message) => message.text)
+    .sort()
+
+  beforeAll(async () => {
+    functionsTest = initializeFunctionsTest()
+    admin.initializeApp()
+    await createEvent(EVENT_ID)
+    await createGroup(EVENT_ID, 'groupA', '1111')
+    await createGroup(EVENT_ID, 'groupB', '2222')
+    await admin.firestore().collection('events').doc(EVENT_ID)
+      .collection('groups').doc('retired').set({ displayName: 'Retired', active: false })
+    scope = await requireEvent(EVENT_ID)
+  })
+
+  beforeEach(async () => {
+    await scope.ref('sessions').remove()
+  })
+
+  afterAll(async () => {
+    await deleteEvent(EVENT_ID)
+    await functionsTest.cleanup()
+  })
+
+  test('team messages and help requests go into the group\'s session', async () => {
+    const messageId = await postTeamMessage(scope, 'groupA', PLAYER, 'Hello', false)
+    await postTeamMessage(scope, 'groupA', PLAYER, 'Stuck', true)
+
+    const session = await readSession('groupA')
+    expect(session.messages[messageId]).toEqual({
+      from: 'team',
+      kind: 'message',
+      text: 'Hello',
+      sentAt: expect.any(Number),
+      senderUid: 'player-a',
+      senderName: 'Alex'
+    })
+    expect(Object.values(session.messages).map((message) => message.kind).sort()).toEqual(['help', 'message'])
+    expect(await readSession('groupB')).toEqual({})
+  })
+
+  test('an organizer message reaches one group only', async () => {
+    expect(await postOrganizerMessage(scope, 'groupB', ORGANIZER, 'Go north')).toBe(1)
+
+    const messages = Object.values((await readSession('groupB')).messages)
+    expect(messages).toEqual([expect.objectContaining({ from: 'organizers', kind: 'message', text: 'Go north', senderName: 'Sam' })])
+    expect(await readSession('groupA')).toEqual({})
+  })
+
+  test('an announcement is copied to every active group under one ID', async () => {
+    expect(await postOrganizerMessage(scope, null, ORGANIZER, 'Pizza at the finish')).toBe(2)
+
+    const messagesA = (await readSession('groupA')).messages
+    const messagesB = (await readSession('groupB')).messages
+    expect(Object.keys(messagesA)).toEqual(Object.keys(messagesB))
+    expect(Object.values(messagesA)[0]).toMatchObject({ from: 'organizers', kind: 'announcement', text: 'Pizza at the finish' })
+    expect(await readSession('retired')).toEqual({})
+  })
+
+  test('new messages keep the read markers and count as unread after them', async () => {
+    await postOrganizerMessage(scope, 'groupA', ORGANIZER, 'Seen')
+    await postTeamMessage(scope, 'groupA', PLAYER, 'Read by organizers', false)
+    const seen = await readSession('groupA')
+    const latestSentAt = Math.max(...Object.values(seen.messages).map((message) => message.sentAt))
+    // The clients move these markers themselves (see database.rules.json)
+    await scope.ref('sessions/groupA/readBy/player-a').set(latestSentAt)
+    await scope.ref('sessions/groupA/organizersReadAt').set(latestSentAt)
+
+    // Messages sent in the same millisecond as the marker would count as read
+    await new Promise((resolve) => setTimeout(resolve, 5))
+    await postOrganizerMessage(scope, 'groupA', ORGANIZER, 'Unseen')
+    await postOrganizerMessage(scope, null, ORGANIZER, 'Announcement')
+    await postTeamMessage(scope, 'groupA', PLAYER, 'Unread help', true)
+
+    const session = await readSession('groupA')
+    expect(session.readBy).toEqual({ 'player-a': latestSentAt })
+    expect(session.organizersReadAt).toBe(latestSentAt)
+    expect(unreadTexts(session, 'organizers', session.readBy['player-a'])).toEqual(['Announcement', 'Unseen'])
+    expect(unreadTexts(session, 'organizers', session.readBy.teammate)).toEqual(['Announcement', 'Seen', 'Unseen'])
+    expect(unreadTexts(session, 'team', session.organizersReadAt)).toEqual(['Unread help'])
+  })
+})
@@ -0,0 +1,163 @@
+const functions = require('firebase-functions')
+const admin = require('firebase-admin')
+
+/**
+ * Photo stages
+ *
+ * A stage with `type: 'photo'` is completed by an organizer instead of a
+ * validation function. The team uploads a photo through submitPhoto, which
+ * stores it in Cloud Storage at
+ *
+ *   events/{eventId}/submissions/{groupId}/stage{N}/{timestamp}.{ext}
+ *
+ * and puts the stage into review at
+ * /events/{eventId}/photoReviews/{groupId}/{stageNum} in RTDB:
+ *
+ *   { status: 'pending' | 'approved' | 'rejected', photoPath, submittedAt,
+ *     submittedBy, comment, reviewedAt, reviewedBy }
+ *
+ * Group members listen to their own reviews, so the game updates live when
+ * an organizer approves or rejects the photo. A rejected photo can be
+ * replaced by submitting again.
+ */
+
+// Photos are resized on the device before upload; this is a safety limit
+const MAX_PHOTO_BYTES = 5 * 1024 * 1024
+
+const PHOTO_TYPES = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp'
+}
+
+function reviewRef(scope, groupId, stageNum) {
+  return scope.ref(`photoReviews/${groupId}/${stageNum}`)
+}
+
+/**
+ * Decodes a photo sent by the client as { contentType, data } with base64
+ * data, throwing invalid-argument if it is not a supported image or too big.
+ */
+function parsePhoto(photo) {
+  const { contentType, data } = photo || {}
+
+  if (!PHOTO_TYPES[contentType] || typeof data !== 'string' || !data) {
+    throw new functions.https.HttpsError(
+      'invalid-argument',
+      'photo must be a JPEG, PNG or WebP image.'
+    )
+  }
+
+  const buffer = Buffer.from(data, 'base64')
+  if (buffer.length === 0 || buffer.length > MAX_PHOTO_BYTES) {
+    throw new functions.https.HttpsError(
+      'invalid-argument',
+      `Photos must be smaller than ${MAX_PHOTO_BYTES / (1024 * 1024)} MB.`
+    )
+  }
+
+  return { contentType, buffer }
+}
+
+/**
+ * Reads the review state of a stage for a group, or null if no photo has
+ * been submitted.
+ */
+async function getPhotoReview(scope, groupId, stageNum) {
+  const snapshot = await reviewRef(scope, groupId, stageNum).once('value')
+  return snapshot.val()
+}
+
+/**
+ * Stores a team's photo and puts the stage into review. Refuses while a
+ * photo is waiting for review or after it has been approved.
+ */
+async function submitPhoto(scope, groupId, stageNum, uid, photo) {
+  const current = await getPhotoReview(scope, groupId, stageNum)
+  if (current && current.status !== 'rejected') {
+    throw new functions.https.HttpsError(
+      'failed-precondition',
+      current.status === 'pending'
+        ? 'Your photo is already waiting for review.'
+        : 'Your photo has already been approved.'
+    )
+  }
+
+  const photoPath = `events/${scope.eventId}/submissions/${groupId}/stage${stageNum}/${Date.now()}.${PHOTO_TYPES[photo.contentType]}`
+  await admin.storage().bucket().file(photoPath).save(photo.buffer, {
+    contentType: photo.contentType,
+    metadata: { metadata: { groupId, stageNum: String(stageNum), uid } }
+  })
+
+  // Only replace a missing or rejected review, in case a teammate
+  // submitted at the same moment
+  let alreadySubmitted = false
+  const result = await reviewRef(scope, groupId, stageNum).transaction((review) => {
+    alreadySubmitted = Boolean(review && review.status !== 'rejected')
+    if (alreadySubmitted) {
+      return undefined
+    }
+
+    return {
+      status: 'pending',
+      photoPath: photoPath,
+      submittedAt: admin.database.ServerValue.TIMESTAMP,
+      submittedBy: uid,
+      // Keep the last rejection comment visible to organizers
+      previousComment: (review && review.comment) || null
+    }
+  })
+
+  if (alreadySubmitted) {
+    await admin.storage().bucket().file(photoPath).delete().catch(() => {})
+    throw new functions.https.HttpsError(
+      'failed-precondition',
+      'A teammate has already submitted a photo for this stage.'
+    )
+  }
+
+  return result.snapshot.val()
+}
+
+/**
+ * Approves or rejects a pending photo. Returns the updated review.
+ */
+async function reviewPhoto(scope, groupId, stageNum, approved, comment, reviewer) {
+  let notPending = false
+
+  const result = await reviewRef(scope, groupId, stageNum).transaction((review) => {
+    notPending = !review || review.status !== 'pending'
+    if (!review) {
+      // Possibly just the initial null guess - keep it so the transaction
+      // retries with the stored value
+      return null
+    }
+    if (notPending) {
+      return undefined
+    }
+
+    return {
+      ...review,
+      status: approved ? 'approved' : 'rejected',
+      comment: comment || null,
+      reviewedAt: admin.database.ServerValue.TIMESTAMP,
+      reviewedBy: reviewer || null
+    }
+  })
+
+  if (notPending) {
+    throw new functions.https.HttpsError(
+      'failed-precondition',
+      'There is no photo waiting for review for this group and stage.'
+    )
+  }
+
+  return result.snapshot.val()
+}
+
+module.exports = {
+  parsePhoto,
+  getPhotoReview,
+  submitPhoto,
+  reviewPhoto
+}
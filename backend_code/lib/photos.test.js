@@ -0,0 +1,97 @@
+const admin = require('firebase-admin')
+const {
+  describeWithEmulators,
+  initializeFunctionsTest,
+  callableContext,
+  createEvent,
+  createGroup,
+  createStage,
+  deleteEvent
+} = require('../test/emulators')
+
+const EVENT_ID = 'photos-test'
+const PLAYER = callableContext('player-a')
+const HOUR_MS = 60 * 60 * 1000
+const ORGANIZER = callableContext('organizer', { organizer: true, organizerId: 'test', organizerExpiresAt: Date.now() + HOUR_MS })
+const PHOTO = { contentType: 'image/png', data: 'iVBORw0KGgo=' }
+
+describeWithEmulators('photo review', () => {
+  let functionsTest
+  let callables
+
+  const call = (name, data, context) => functionsTest.wrap(callables[name])({ eventId: EVENT_ID, groupId: 'groupA', ...data }, context)
+  const readReview = async () => (await admin.database().ref(`events/${EVENT_ID}/photoReviews/groupA/1`).once('value')).val()
+
+  beforeAll(async () => {
+    functionsTest = initializeFunctionsTest()
+    callables = require('../index')
+
+    await createEvent(EVENT_ID)
+    await createGroup(EVENT_ID, 'groupA', '1111')
+    await createStage(EVENT_ID, 1, null, { type: 'photo' })
+    await createStage(EVENT_ID, 2, null)
+    await call('authorizeGroupAccess', { pin: '1111' }, PLAYER)
+  })
+
+  afterAll(async () => {
+    await deleteEvent(EVENT_ID)
+    await admin.storage().bucket().deleteFiles({ prefix: `events/${EVENT_ID}/` })
+    await functionsTest.cleanup()
+  })
+
+  test('photo stages are not answered with validateAnswer', async () => {
+    await expect(call('validateAnswer', { stageId: 1, answer: 'photo' }, PLAYER))
+      .rejects.toMatchObject({ code: 'failed-precondition' })
+  })
+
+  test('a submitted photo waits for review and cannot be sent twice', async () => {
+    const result = await call('submitPhoto', { stageId: 1, photo: PHOTO }, PLAYER)
+    expect(result).toMatchObject({ success: true, status: 'pending' })
+
+    const review = await readReview()
+    expect(review).toMatchObject({ status: 'pending', submittedBy: 'player-a' })
+    const [exists] = await admin.storage().bucket().file(review.photoPath).exists()
+    expect(exists).toBe(true)
+
+    await expect(call('submitPhoto', { stageId: 1, photo: PHOTO }, PLAYER))
+      .rejects.toMatchObject({ code: 'failed-precondition' })
+  })
+
+  test('only organizers review, and a rejection needs a comment', async () => {
+    await expect(call('adminReviewPhoto', { stageId: 1, approved: true }, PLAYER))
+      .rejects.toMatchObject({ code: 'permission-denied' })
+    await expect(call('adminReviewPhoto', { stageId: 1, approved: false, comment: '  ' }, ORGANIZER))
+      .rejects.toMatchObject({ code: 'invalid-argument' })
+    expect((await readReview()).status).toBe('pending')
+  })
+
+  test('a rejected photo leaves the stage open and can be replaced', async () => {
+    const result = await call('adminReviewPhoto', { stageId: 1, approved: false, comment: 'The statue is not in the picture' }, ORGANIZER)
+    expect(result.review).toMatchObject({ status: 'rejected', comment: 'The statue is not in the picture', reviewedBy: 'test' })
+    expect(result.progress.completedStages).toEqual([])
+
+    await call('submitPhoto', { stageId: 1, photo: PHOTO }, PLAYER)
+    expect(await readReview()).toMatchObject({ status: 'pending', previousComment: 'The statue is not in the picture' })
+  })
+
+  test('an approved photo completes the stage for the player who sent it', async () => {
+    const result = await call('adminReviewPhoto', { stageId: 1, approved: true }, ORGANIZER)
+    expect(result.review.status).toBe('approved')
+    expect(result.progress.completedStages).toEqual([1])
+    expect(result.progress.completedBy[1].uid).toBe('player-a')
+
+    const progress = await call('getGroupProgress', {}, PLAYER)
+    expect(progress.completedStages).toEqual([1])
+    const entry = (await admin.database().ref(`events/${EVENT_ID}/leaderboard/groupA`).once('value')).val()
+    expect(entry.completedCount).toBe(1)
+
+    // Nothing more to review or submit
+    await expect(call('adminReviewPhoto', { stageId: 1, approved: true }, ORGANIZER))
+      .rejects.toMatchObject({ code: 'failed-precondition' })
+    await expect(call('submitPhoto', { stageId: 1, photo: PHOTO }, PLAYER))
+      .rejects.toMatchObject({ code: 'failed-precondition' })
+
+    const audit = await admin.firestore().collection(`events/${EVENT_ID}/auditLog`).get()
+    expect(audit.docs.map((doc) => doc.data().action).sort()).toEqual(['approvePhoto', 'rejectPhoto'])
+  })
+})
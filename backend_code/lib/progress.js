@@ -0,0 +1,206 @@
+const admin = require('firebase-admin')
+
+/**
+ * Group progress helpers
+ *
+ * All writes to /events/{eventId}/groupProgress/{groupId} go through RTDB transactions so
+ * that concurrent submissions from teammates merge instead of overwriting
+ * each other.
+ */
+
+function progressRef(scope, groupId) {
+  return scope.ref(`groupProgress/${groupId}`)
+}
+
+/**
+ * RTDB returns arrays with gaps as plain objects, so read the stage list
+ * defensively and always hand back a sorted array of numbers.
+ */
+function normalizeStageList(value) {
+  if (!value) {
+    return []
+  }
+  const list = Array.isArray(value) ? value : Object.values(value)
+  return list
+    .filter((stageNum) => stageNum !== null && stageNum !== undefined)
+    .map((stageNum) => Number(stageNum))
+    .sort((a, b) => a - b)
+}
+
+function normalizeProgress(value) {
+  const progress = value || {}
+  return {
+    ...progress,
+    currentStage: progress.currentStage || 0,
+    completedStages: normalizeStageList(progress.completedStages)
+  }
+}
+
+/**
+ * Reads the current progress for a group.
+ */
+async function getProgress(scope, groupId) {
+  const snapshot = await progressRef(scope, groupId).once('value')
+  return normalizeProgress(snapshot.val())
+}
+
+/**
+ * Atomically marks a stage as completed for a group.
+ * Returns the committed progress and whether this call was the one that
+ * completed the stage (false if a teammate got there first).
+ *
+ * canComplete (optional) is re-checked against the latest progress inside
+ * the transaction; if it returns false the transaction is aborted and
+ * `blocked` is set, so unlock rules cannot be bypassed by a race.
+ *
+ * solvedBy ({ uid, name }, optional) is stored under completedBy so
+ * teammates' devices can say who solved the stage.
+ */
+async function completeStage(scope, groupId, stageNum, canComplete, solvedBy) {
+  let newlyCompleted = false
+  let blocked = false
+
+  const result = await progressRef(scope, groupId).transaction((current) => {
+    const progress = normalizeProgress(current)
+    newlyCompleted = !progress.completedStages.includes(stageNum)
+    blocked = Boolean(canComplete) && !canComplete(progress)
+
+    if (blocked) {
+      // The first run may see a null guess instead of the stored progress;
+      // keep it null so the transaction retries with the real value.
+      // Otherwise returning undefined aborts the transaction.
+      return current === null ? null : undefined
+    }
+
+    if (newlyCompleted) {
+      progress.completedStages = normalizeStageList([...progress.completedStages, stageNum])
+      // Completion times feed the leaderboard (see lib/scoring.js)
+      progress.completedAt = {
+        ...progress.completedAt,
+        [stageNum]: admin.database.ServerValue.TIMESTAMP
+      }
+      if (solvedBy) {
+        progress.completedBy = {
+          ...progress.completedBy,
+          [stageNum]: { uid: solvedBy.uid, name: solvedBy.name || null }
+        }
+      }
+    }
+
+    return {
+      ...progress,
+      currentStage: Math.max(progress.currentStage, stageNum),
+      lastUpdated: admin.database.ServerValue.TIMESTAMP
+    }
+  })
+
+  return {
+    committed: result.committed,
+    blocked: blocked,
+    newlyCompleted: result.committed && newlyCompleted,
+    progress: normalizeProgress(result.snapshot.val())
+  }
+}
+
+/**
+ * Runs an organizer change to a group's progress in a transaction.
+ * update(progress) receives the normalized progress and mutates it;
+ * currentStage is recalculated from completedStages afterwards.
+ */
+async function updateProgress(scope, groupId, update) {
+  const result = await progressRef(scope, groupId).transaction((current) => {
+    const progress = normalizeProgress(current)
+    update(progress)
+
+    progress.completedStages = normalizeStageList(Array.from(new Set(progress.completedStages)))
+    // Keep completion times and solvers for stages that stay completed,
+    // stamp new ones (organizer changes have no solver)
+    const completedAt = {}
+    const completedBy = {}
+    progress.completedStages.forEach((completedStage) => {
+      completedAt[completedStage] = (progress.completedAt && progress.completedAt[completedStage]) ||
+        admin.database.ServerValue.TIMESTAMP
+      if (progress.completedBy && progress.completedBy[completedStage]) {
+        completedBy[completedStage] = progress.completedBy[completedStage]
+      }
+    })
+    progress.completedAt = completedAt
+    progress.completedBy = completedBy
+    progress.currentStage = progress.completedStages.length > 0
+      ? progress.completedStages[progress.completedStages.length - 1]
+      : 0
+    progress.lastUpdated = admin.database.ServerValue.TIMESTAMP
+    return progress
+  })
+
+  if (!result.committed) {
+    throw new Error(`Progress transaction for ${groupId} was not committed`)
+  }
+
+  return normalizeProgress(result.snapshot.val())
+}
+
+/**
+ * Clears all progress for a group.
+ */
+async function resetProgress(scope, groupId) {
+  await progressRef(scope, groupId).remove()
+  return normalizeProgress(null)
+}
+
+/**
+ * Marks a single stage complete or incomplete.
+ */
+function setStageCompleted(scope, groupId, stageNum, completed) {
+  return updateProgress(scope, groupId, (progress) => {
+    progress.completedStages = progress.completedStages.filter((completedStage) => completedStage !== stageNum)
+    if (completed) {
+      progress.completedStages.push(stageNum)
+    }
+  })
+}
+
+/**
+ * Moves a group to a stage: every earlier stage is marked complete and the
+ * stage itself and everything after it is cleared.
+ */
+function moveToStage(scope, groupId, stageNum) {
+  return updateProgress(scope, groupId, (progress) => {
+    progress.completedStages = []
+    for (let completedStage = 1; completedStage < stageNum; completedStage++) {
+      progress.completedStages.push(completedStage)
+    }
+  })
+}
+
+/**
+ * Counts a wrong answer for a group on a stage (used for scoring).
+ */
+async function recordWrongAttempt(scope, groupId, stageNum) {
+  await progressRef(scope, groupId)
+    .child(`wrongAttempts/${stageNum}`)
+    .transaction((count) => (count || 0) + 1)
+}
+
+/**
+ * Records when a group first logged in, which is where its time starts
+ * counting if the event has no start time.
+ */
+async function markStarted(scope, groupId) {
+  await progressRef(scope, groupId)
+    .child('startedAt')
+    .transaction((startedAt) => startedAt || admin.database.ServerValue.TIMESTAMP)
+}
+
+module.exports = {
+  progressRef,
+  normalizeStageList,
+  normalizeProgress,
+  getProgress,
+  completeStage,
+  resetProgress,
+  setStageCompleted,
+  moveToStage,
+  recordWrongAttempt,
+  markStarted
+}
@@ -0,0 +1,203 @@
+const admin = require('firebase-admin')
+const {
+  describeWithEmulators,
+  initializeFunctionsTest,
+  callableContext,
+  createEvent,
+  createGroup,
+  createStage,
+  deleteEvent
+} = require('../test/emulators')
+const { requireEvent } = require('./events')
+const { getProgress, completeStage } = require('./progress')
+const { computeScore } = require('./scoring')
+
+const EVENT_ID = 'progress-test'
+const STAGE_COUNT = 8
+
+describeWithEmulators('completeStage', () => {
+  let functionsTest
+  let scope
+
+  beforeAll(async () => {
+    functionsTest = initializeFunctionsTest()
+    admin.initializeApp()
+    await createEvent(EVENT_ID)
+    scope = await requireEvent(EVENT_ID)
+  })
+
+  afterAll(async () => {
+    await deleteEvent(EVENT_ID)
+    await functionsTest.cleanup()
+  })
+
+  test('the same stage completed at once counts exactly once', async () => {
+    const results = await Promise.all(
+      Array.from({ length: 5 }, (_, index) =>
+        completeStage(scope, 'race', 1, null, { uid: `player${index}` }))
+    )
+
+    const winners = results.filter((result) => result.newlyCompleted)
+    expect(winners).toHaveLength(1)
+
+    const progress = await getProgress(scope, 'race')
+    expect(progress.completedStages).toEqual([1])
+    expect(progress.completedBy[1].uid).toBe(`player${results.indexOf(winners[0])}`)
+  })
+
+  test('an unlock check sees the stored progress, not the first empty guess', async () => {
+    await completeStage(scope, 'unlock', 1)
+
+    const result = await completeStage(scope, 'unlock', 2, (progress) => progress.completedStages.includes(1))
+
+    expect(result).toMatchObject({ committed: true, blocked: false, newlyCompleted: true })
+    expect(result.progress.completedStages).toEqual([1, 2])
+  })
+})
+
+describeWithEmulators('validateAnswer under concurrency', () => {
+  const SUBMISSION_EVENT_ID = 'progress-submissions-test'
+  const PLAYERS = Array.from({ length: STAGE_COUNT }, (_, index) => callableContext(`player${index + 1}`))
+  let functionsTest
+  let callables
+
+  const call = (name, data, context) => functionsTest.wrap(callables[name])({ eventId: SUBMISSION_EVENT_ID, ...data }, context)
+  const answer = (player, stageNum, submissionId) => call('validateAnswer', {
+    groupId: 'groupA',
+    stageId: stageNum,
+    answer: `answer ${stageNum}`,
+    submissionId
+  }, player)
+  // Settles every call, so one failure does not hide the others
+  const settle = (calls) => Promise.all(calls.map((pending) => pending.then(
+    (value) => ({ value }),
+    (error) => ({ error })
+  )))
+
+  beforeAll(async () => {
+    functionsTest = initializeFunctionsTest()
+    callables = require('../index')
+
+    await createEvent(SUBMISSION_EVENT_ID, { scoring: { stagePoints: 100, wrongAttemptPenalty: 5 } })
+    await createGroup(SUBMISSION_EVENT_ID, 'groupA', '1111')
+    // Stages 1..STAGE_COUNT are open from the start; the last one needs
+    // the one before it, so it races its own prerequisite
+    for (let stageNum = 1; stageNum <= STAGE_COUNT; stageNum++) {
+      await createStage(SUBMISSION_EVENT_ID, stageNum, `answer ${stageNum}`, { requires: [] })
+    }
+    await createStage(SUBMISSION_EVENT_ID, STAGE_COUNT + 1, `answer ${STAGE_COUNT + 1}`)
+    for (const player of PLAYERS) {
+      await call('authorizeGroupAccess', { groupId: 'groupA', pin: '1111' }, player)
+    }
+  })
+
+  afterAll(async () => {
+    await deleteEvent(SUBMISSION_EVENT_ID)
+    await functionsTest.cleanup()
+  })
+
+  test('parallel correct answers from a whole team all count, once each', async () => {
+    const lastStage = STAGE_COUNT + 1
+    const calls = [
+      // Every player solves their own stage, sending it twice with the same submissionId
+      ...PLAYERS.flatMap((player, index) => [
+        answer(player, index + 1, `stage-${index + 1}-first`),
+        answer(player, index + 1, `stage-${index + 1}-first`)
+      ]),
+      // Teammates solve stage 1 at the same time with their own submissions
+      answer(PLAYERS[1], 1, 'stage-1-second'),
+      answer(PLAYERS[2], 1, 'stage-1-third'),
+      // The stage after the open ones, before its prerequisite may be done
+      answer(PLAYERS[0], lastStage, 'stage-last-first')
+    ]
+    const results = await settle(calls)
+
+    // Duplicates are either replayed or refused while the first is still checked
+    results.forEach(({ value, error }) => {
+      if (error) {
+        expect(['aborted', 'permission-denied']).toContain(error.code)
+      } else {
+        expect(value).toMatchObject({ success: true, correct: true })
+      }
+    })
+    const lastResult = results[results.length - 1]
+
+    const scope = await requireEvent(SUBMISSION_EVENT_ID)
+    const progress = await getProgress(scope, 'groupA')
+    const openStages = Array.from({ length: STAGE_COUNT }, (_, index) => index + 1)
+    const completedStages = lastResult.error ? openStages : [...openStages, lastStage]
+
+    expect(progress.completedStages).toEqual(completedStages)
+    expect(Object.keys(progress.completedAt).map(Number).sort((a, b) => a - b)).toEqual(completedStages)
+    openStages.slice(1).forEach((stageNum) => {
+      expect(progress.completedBy[stageNum].uid).toBe(`player${stageNum}`)
+    })
+    expect(Object.keys(progress.wrongAttempts || {})).toHaveLength(0)
+
+    // Each submissionId was processed once and kept its response
+    const submissions = (await scope.ref('submissions/groupA').once('value')).val() || {}
+    const stored = Object.values(submissions).filter((submission) => submission.response)
+    expect(stored.length).toBe(results.filter(({ value }) => value && !value.replayed).length)
+
+    const entry = (await scope.ref('leaderboard/groupA').once('value')).val()
+    expect(entry.completedCount).toBe(completedStages.length)
+    expect(entry.wrongAttempts).toBe(0)
+    expect(entry.score).toBe(computeScore(progress, scope.event).score)
+
+    // Sending the same answers again changes nothing
+    const replays = await Promise.all(PLAYERS.map((player, index) => answer(player, index + 1, `stage-${index + 1}-first`)))
+    replays.forEach((replay) => expect(replay).toMatchObject({ correct: true, replayed: true }))
+    expect((await getProgress(scope, 'groupA')).completedStages).toEqual(completedStages)
+  })
+})
+
+describeWithEmulators('answers to a completed stage', () => {
+  const ANSWER_EVENT_ID = 'progress-answers-test'
+  const SOLVER = callableContext('solver')
+  const TEAMMATE = callableContext('teammate')
+  let functionsTest
+  let callables
+
+  const call = (name, data, context) => functionsTest.wrap(callables[name])({ eventId: ANSWER_EVENT_ID, ...data }, context)
+
+  beforeAll(async () => {
+    functionsTest = initializeFunctionsTest()
+    callables = require('../index')
+
+    await createEvent(ANSWER_EVENT_ID)
+    await createGroup(ANSWER_EVENT_ID, 'groupA', '1111')
+    await createStage(ANSWER_EVENT_ID, 1, 'big ben')
+    await createStage(ANSWER_EVENT_ID, 2, 'tower bridge')
+    await call('authorizeGroupAccess', { groupId: 'groupA', pin: '1111' }, SOLVER)
+    await call('authorizeGroupAccess', { groupId: 'groupA', pin: '1111' }, TEAMMATE)
+  })
+
+  afterAll(async () => {
+    await deleteEvent(ANSWER_EVENT_ID)
+    await functionsTest.cleanup()
+  })
+
+  test('a late wrong answer from a teammate costs nothing', async () => {
+    const solved = await call('validateAnswer', { groupId: 'groupA', stageId: 1, answer: 'Big Ben' }, SOLVER)
+    expect(solved).toMatchObject({ correct: true })
+    const entryBefore = (await admin.database().ref(`events/${ANSWER_EVENT_ID}/leaderboard/groupA`).once('value')).val()
+
+    const late = await call('validateAnswer', { groupId: 'groupA', stageId: 1, answer: 'Westminster' }, TEAMMATE)
+    expect(late).toMatchObject({ success: true, correct: true, alreadyCompleted: true })
+
+    const scope = await requireEvent(ANSWER_EVENT_ID)
+    const progress = await getProgress(scope, 'groupA')
+    const limits = (await scope.ref('attemptLimits/groupA/1').once('value')).val()
+    const attempts = await scope.collection('attempts').get()
+    const entry = (await scope.ref('leaderboard/groupA').once('value')).val()
+
+    expect(progress.completedStages).toEqual([1])
+    expect(progress.completedBy[1].uid).toBe('solver')
+    expect(Object.keys(progress.wrongAttempts || {})).toHaveLength(0)
+    expect(limits.consecutiveMisses).toBe(0)
+    expect(Object.values(limits.recentAttempts)).toHaveLength(1)
+    expect(attempts.size).toBe(1)
+    expect(entry.wrongAttempts).toBe(0)
+    expect(entry.score).toBe(entryBefore.score)
+  })
+})
@@ -0,0 +1,203 @@
+const crypto = require('crypto')
+const functions = require('firebase-functions')
+const admin = require('firebase-admin')
+
+/**
+ * Push notifications
+ *
+ * Players' devices register a Firebase Cloud Messaging token with
+ * registerPushToken. Tokens are stored in the event's `pushTokens`
+ * subcollection together with the group the device is logged in to, and
+ * organizers send to every group or to one group with
+ * adminSendNotification.
+ *
+ * Messages go through a transport, an object with
+ *
+ *   send(tokens, message) -> { successCount, invalidTokens }
+ *
+ * 'fcm' sends through Firebase Cloud Messaging. 'log' only logs the message
+ * and keeps it in `sentMessages`, as a stand-in for the push service in the
+ * emulator and in tests. PUSH_TRANSPORT picks one (default 'log' in the
+ * emulator, 'fcm' everywhere else); setPushTransport installs any other
+ * implementation.
+ */
+
+const MAX_TITLE_LENGTH = 80
+const MAX_BODY_LENGTH = 300
+const MAX_TOKEN_LENGTH = 4096
+
+// FCM accepts at most 500 tokens per multicast
+const FCM_BATCH_SIZE = 500
+
+// FCM errors for tokens that will never work again
+const INVALID_TOKEN_ERRORS = [
+  'messaging/registration-token-not-registered',
+  'messaging/invalid-registration-token'
+]
+
+const fcmTransport = {
+  name: 'fcm',
+  async send(tokens, message) {
+    let successCount = 0
+    const invalidTokens = []
+
+    for (let start = 0; start < tokens.length; start += FCM_BATCH_SIZE) {
+      const batch = tokens.slice(start, start + FCM_BATCH_SIZE)
+      const response = await admin.messaging().sendEachForMulticast({
+        tokens: batch,
+        // Data only - the web app's service worker shows the notification
+        data: {
+          title: message.title,
+          body: message.body,
+          eventId: message.eventId,
+          groupId: message.groupId || ''
+        },
+        webpush: { headers: { Urgency: 'high' } }
+      })
+
+      successCount += response.successCount
+      response.responses.forEach((result, index) => {
+        if (!result.success && result.error && INVALID_TOKEN_ERRORS.includes(result.error.code)) {
+          invalidTokens.push(batch[index])
+        }
+      })
+    }
+
+    return { successCount, invalidTokens }
+  }
+}
+
+const logTransport = {
+  name: 'log',
+  // Every message sent, oldest first: { tokens, message }
+  sentMessages: [],
+  async send(tokens, message) {
+    this.sentMessages.push({ tokens: [...tokens], message: { ...message } })
+    console.log(`Push via log transport to ${tokens.length} device(s): ${message.title} - ${message.body}`)
+    return { successCount: tokens.length, invalidTokens: [] }
+  }
+}
+
+const TRANSPORTS = {
+  fcm: fcmTransport,
+  log: logTransport
+}
+
+let customTransport = null
+
+/**
+ * The transport notifications are sent with.
+ */
+function getPushTransport() {
+  if (customTransport) {
+    return customTransport
+  }
+  const name = process.env.PUSH_TRANSPORT || (process.env.FUNCTIONS_EMULATOR === 'true' ? 'log' : 'fcm')
+  if (!TRANSPORTS[name]) {
+    throw new Error(`Unknown PUSH_TRANSPORT "${name}"`)
+  }
+  return TRANSPORTS[name]
+}
+
+/**
+ * Replaces the transport, e.g. with a stand-in in tests. Pass null to go
+ * back to the one chosen by PUSH_TRANSPORT.
+ */
+function setPushTransport(transport) {
+  customTransport = transport
+}
+
+// One document per device; the token itself is too long for a document ID
+function tokenDocId(token) {
+  return crypto.createHash('sha256').update(token).digest('hex')
+}
+
+/**
+ * Checks a token sent by a device and returns it.
+ */
+function parsePushToken(token) {
+  if (typeof token !== 'string' || !token || token.length > MAX_TOKEN_LENGTH) {
+    throw new functions.https.HttpsError(
+      'invalid-argument',
+      'token must be a push token string.'
+    )
+  }
+  return token
+}
+
+/**
+ * Checks an organizer's notification and returns { title, body }, trimmed.
+ */
+function parseNotification(data) {
+  const title = typeof data.title === 'string' ? data.title.trim() : ''
+  const body = typeof data.body === 'string' ? data.body.trim() : ''
+
+  if (!title || title.length > MAX_TITLE_LENGTH) {
+    throw new functions.https.HttpsError(
+      'invalid-argument',
+      `title is required and can be at most ${MAX_TITLE_LENGTH} characters.`
+    )
+  }
+  if (body.length > MAX_BODY_LENGTH) {
+    throw new functions.https.HttpsError(
+      'invalid-argument',
+      `body can be at most ${MAX_BODY_LENGTH} characters.`
+    )
+  }
+
+  return { title, body }
+}
+
+/**
+ * Stores a device's token for a group. A device that logs in to another
+ * group moves to that group.
+ */
+async function registerPushToken(scope, groupId, uid, token) {
+  await scope.collection('pushTokens').doc(tokenDocId(token)).set({
+    token: token,
+    groupId: groupId,
+    uid: uid,
+    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+  })
+}
+
+/**
+ * Sends a notification to the devices of one group, or of every group if
+ * groupId is null. Tokens the push service reports as dead are deleted.
+ * Returns { recipients, delivered, removedTokens }.
+ */
+async function sendNotification(scope, groupId, notification) {
+  let tokensQuery = scope.collection('pushTokens')
+  if (groupId) {
+    tokensQuery = tokensQuery.where('groupId', '==', groupId)
+  }
+  const snapshot = await tokensQuery.get()
+  const tokens = snapshot.docs.map((doc) => doc.data().token)
+
+  if (tokens.length === 0) {
+    return { recipients: 0, delivered: 0, removedTokens: 0 }
+  }
+
+  const { successCount, invalidTokens } = await getPushTransport().send(tokens, {
+    ...notification,
+    eventId: scope.eventId,
+    groupId: groupId
+  })
+
+  await Promise.all(invalidTokens.map((token) => scope.collection('pushTokens').doc(tokenDocId(token)).delete()))
+
+  return {
+    recipients: tokens.length,
+    delivered: successCount,
+    removedTokens: invalidTokens.length
+  }
+}
+
+module.exports = {
+  getPushTransport,
+  setPushTransport,
+  parsePushToken,
+  parseNotification,
+  registerPushToken,
+  sendNotification
+}
@@ -0,0 +1,188 @@
+const admin = require('firebase-admin')
+const { describeWithEmulators, initializeFunctionsTest, createEvent, deleteEvent } = require('../test/emulators')
+const { requireEvent } = require('./events')
+const {
+  getPushTransport,
+  setPushTransport,
+  parsePushToken,
+  parseNotification,
+  registerPushToken,
+  sendNotification
+} = require('./push')
+
+const EVENT_ID = 'push-test'
+
+/**
+ * A transport that records what it is asked to send and reports the tokens
+ * in `deadTokens` as invalid.
+ */
+function createStandInTransport(deadTokens = []) {
+  return {
+    name: 'stand-in',
+    sent: [],
+    async send(tokens, message) {
+      this.sent.push({ tokens: [...tokens], message: { ...message } })
+      const invalidTokens = tokens.filter((token) => deadTokens.includes(token))
+      return { successCount: tokens.length - invalidTokens.length, invalidTokens }
+    }
+  }
+}
+
+describe('push transport selection', () => {
+  const originalTransport = process.env.PUSH_TRANSPORT
+
+  afterEach(() => {
+    setPushTransport(null)
+    if (originalTransport === undefined) {
+      delete process.env.PUSH_TRANSPORT
+    } else {
+      process.env.PUSH_TRANSPORT = originalTransport
+    }
+  })
+
+  test('PUSH_TRANSPORT picks the log transport', () => {
+    process.env.PUSH_TRANSPORT = 'log'
+    expect(getPushTransport().name).toBe('log')
+  })
+
+  test('an unknown PUSH_TRANSPORT is an error', () => {
+    process.env.PUSH_TRANSPORT = 'carrier-pigeon'
+    expect(() => getPushTransport()).toThrow('Unknown PUSH_TRANSPORT')
+  })
+
+  test('setPushTransport overrides PUSH_TRANSPORT until reset', () => {
+    process.env.PUSH_TRANSPORT = 'log'
+    const transport = createStandInTransport()
+
+    setPushTransport(transport)
+    expect(getPushTransport()).toBe(transport)
+
+    setPushTransport(null)
+    expect(getPushTransport().name).toBe('log')
+  })
+})
+
+describe('parseNotification', () => {
+  test('trims the title and body', () => {
+    expect(parseNotification({ title: '  Halfway! ', body: ' Keep going ' }))
+      .toEqual({ title: 'Halfway!', body: 'Keep going' })
+  })
+
+  test('requires a title and limits the lengths', () => {
+    expect(() => parseNotification({ title: '   ', body: 'x' })).toThrow('title is required')
+    expect(() => parseNotification({ title: 'x'.repeat(81) })).toThrow('title is required')
+    expect(() => parseNotification({ title: 'x', body: 'x'.repeat(301) })).toThrow('body can be at most')
+  })
+})
+
+describe('parsePushToken', () => {
+  test('accepts a token string and refuses anything else', () => {
+    expect(parsePushToken('device-token')).toBe('device-token')
+    expect(() => parsePushToken('')).toThrow('token must be')
+    expect(() => parsePushToken(42)).toThrow('token must be')
+    expect(() => parsePushToken('x'.repeat(4097))).toThrow('token must be')
+  })
+})
+
+describeWithEmulators('sendNotification', () => {
+  let functionsTest
+  let scope
+
+  beforeAll(async () => {
+    functionsTest = initializeFunctionsTest()
+    admin.initializeApp()
+    await createEvent(EVENT_ID)
+    scope = await requireEvent(EVENT_ID)
+  })
+
+  beforeEach(async () => {
+    await admin.firestore().recursiveDelete(scope.collection('pushTokens'))
+    await registerPushToken(scope, 'groupA', 'playerA1', 'token-a1')
+    await registerPushToken(scope, 'groupA', 'playerA2', 'token-a2')
+    await registerPushToken(scope, 'groupB', 'playerB1', 'token-b1')
+  })
+
+  afterEach(() => {
+    setPushTransport(null)
+  })
+
+  afterAll(async () => {
+    await deleteEvent(EVENT_ID)
+    await functionsTest.cleanup()
+  })
+
+  test('sends to the devices of one group only', async () => {
+    const transport = createStandInTransport()
+    setPushTransport(transport)
+
+    const result = await sendNotification(scope, 'groupA', { title: 'Hint', body: 'Look up' })
+
+    expect(result).toEqual({ recipients: 2, delivered: 2, removedTokens: 0 })
+    expect(transport.sent).toHaveLength(1)
+    expect(transport.sent[0].tokens.sort()).toEqual(['token-a1', 'token-a2'])
+    expect(transport.sent[0].message).toEqual({
+      title: 'Hint',
+      body: 'Look up',
+      eventId: EVENT_ID,
+      groupId: 'groupA'
+    })
+  })
+
+  test('sends to every group when no group is given', async () => {
+    const transport = createStandInTransport()
+    setPushTransport(transport)
+
+    const result = await sendNotification(scope, null, { title: 'Finish', body: 'Come back' })
+
+    expect(result).toEqual({ recipients: 3, delivered: 3, removedTokens: 0 })
+    expect(transport.sent[0].tokens.sort()).toEqual(['token-a1', 'token-a2', 'token-b1'])
+    expect(transport.sent[0].message).toMatchObject({ eventId: EVENT_ID, groupId: null })
+  })
+
+  test('a device that logs in to another group moves to it', async () => {
+    const transport = createStandInTransport()
+    setPushTransport(transport)
+    await registerPushToken(scope, 'groupB', 'playerA2', 'token-a2')
+
+    await sendNotification(scope, 'groupB', { title: 'Hint', body: '' })
+
+    expect(transport.sent[0].tokens.sort()).toEqual(['token-a2', 'token-b1'])
+  })
+
+  test('skips the transport when the group has no devices', async () => {
+    const transport = createStandInTransport()
+    setPushTransport(transport)
+
+    const result = await sendNotification(scope, 'groupC', { title: 'Hint', body: '' })
+
+    expect(result).toEqual({ recipients: 0, delivered: 0, removedTokens: 0 })
+    expect(transport.sent).toHaveLength(0)
+  })
+
+  test('deletes tokens the transport reports as invalid', async () => {
+    setPushTransport(createStandInTransport(['token-a1']))
+
+    const result = await sendNotification(scope, 'groupA', { title: 'Hint', body: '' })
+    expect(result).toEqual({ recipients: 2, delivered: 1, removedTokens: 1 })
+
+    const remaining = await scope.collection('pushTokens').get()
+    expect(remaining.docs.map((doc) => doc.data().token).sort()).toEqual(['token-a2', 'token-b1'])
+  })
+
+  test('the log transport keeps every message it sends', async () => {
+    process.env.PUSH_TRANSPORT = 'log'
+    try {
+      const transport = getPushTransport()
+      const before = transport.sentMessages.length
+
+      await sendNotification(scope, 'groupB', { title: 'Hint', body: 'Turn left' })
+
+      expect(transport.sentMessages.slice(before)).toEqual([{
+        tokens: ['token-b1'],
+        message: { title: 'Hint', body: 'Turn left', eventId: EVENT_ID, groupId: 'groupB' }
+      }])
+    } finally {
+      delete process.env.PUSH_TRANSPORT
+    }
+  })
+})
@@ -0,0 +1,283 @@
+const functions = require('firebase-functions')
+
+/**
+ * Answer and login rate limiting
+ *
+ * Limits are tracked per group and per stage under
+ * /events/{eventId}/attemptLimits/{groupId}/{stageNum} and every change goes through an RTDB
+ * transaction, so teammates submitting at the same time share one budget.
+ *
+ * Three mechanisms, all configurable:
+ * - maxAttemptsPerMinute: sliding one-minute window of submissions
+ * - cooldown: after `cooldownAfterMisses` consecutive wrong answers the group
+ *   must wait `cooldownSeconds`, doubling with every further miss up to
+ *   `maxCooldownSeconds`
+ * - lockout: after `lockoutAfterMisses` consecutive wrong answers the stage is
+ *   locked until an organizer clears it (0 disables the lockout)
+ *
+ * Defaults can be overridden per stage with an `attemptLimits` object on the
+ * stage document.
+ *
+ * Group and organizer PIN logins use the same mechanisms, keyed per user
+ * and per IP address instead of per group (see reserveLoginAttempt). A
+ * login counts as a miss when the PIN or group is wrong. The IP address
+ * budget is larger, since players at a venue often share one, and its
+ * misses are only forgotten after `forgetMissesAfterSeconds`, so logging
+ * in to one's own group does not reset it.
+ */
+
+const DEFAULT_ATTEMPT_LIMITS = {
+  maxAttemptsPerMinute: 6,
+  cooldownAfterMisses: 5,
+  cooldownSeconds: 30,
+  maxCooldownSeconds: 600,
+  lockoutAfterMisses: 0
+}
+
+// Per user: a typo costs nothing, guessing soon waits minutes
+const LOGIN_ATTEMPT_LIMITS = {
+  maxAttemptsPerMinute: 10,
+  cooldownAfterMisses: 5,
+  cooldownSeconds: 30,
+  maxCooldownSeconds: 900,
+  lockoutAfterMisses: 0
+}
+
+// Per IP address, across every user behind it
+const LOGIN_IP_ATTEMPT_LIMITS = {
+  maxAttemptsPerMinute: 30,
+  cooldownAfterMisses: 20,
+  cooldownSeconds: 60,
+  maxCooldownSeconds: 3600,
+  lockoutAfterMisses: 0,
+  forgetMissesAfterSeconds: 3600
+}
+
+const WINDOW_MS = 60 * 1000
+
+function limitsRef(scope, groupId, stageNum) {
+  return scope.ref(`attemptLimits/${groupId}/${stageNum}`)
+}
+
+/**
+ * Merges the stage's `attemptLimits` over the defaults.
+ */
+function getAttemptLimits(stageData) {
+  return {
+    ...DEFAULT_ATTEMPT_LIMITS,
+    ...((stageData && stageData.attemptLimits) || {})
+  }
+}
+
+function normalizeState(value, now) {
+  const state = value || {}
+  const recentAttempts = Object.values(state.recentAttempts || {})
+    .filter((timestamp) => timestamp > now - WINDOW_MS)
+    .sort((a, b) => a - b)
+
+  return {
+    recentAttempts: recentAttempts,
+    consecutiveMisses: state.consecutiveMisses || 0,
+    lastMissAt: state.lastMissAt || 0,
+    cooldownUntil: state.cooldownUntil || 0,
+    lockedOut: state.lockedOut || false,
+    lockedAt: state.lockedAt || null
+  }
+}
+
+/**
+ * Works out how long (in seconds) the group has to wait, or null if the
+ * attempt is allowed. Lockouts return Infinity.
+ */
+function getRetryAfter(state, limits, now) {
+  if (state.lockedOut) {
+    return Infinity
+  }
+
+  if (state.cooldownUntil > now) {
+    return Math.ceil((state.cooldownUntil - now) / 1000)
+  }
+
+  if (limits.maxAttemptsPerMinute > 0 && state.recentAttempts.length >= limits.maxAttemptsPerMinute) {
+    return Math.ceil((state.recentAttempts[0] + WINDOW_MS - now) / 1000)
+  }
+
+  return null
+}
+
+function rateLimitError(retryAfter) {
+  if (retryAfter === Infinity) {
+    return new functions.https.HttpsError(
+      'resource-exhausted',
+      'Too many wrong answers. Your team is locked out of this stage until an organizer unlocks it.',
+      { retryAfterSeconds: null, lockedOut: true }
+    )
+  }
+
+  return new functions.https.HttpsError(
+    'resource-exhausted',
+    `Too many attempts. Please wait ${retryAfter} seconds before trying again.`,
+    { retryAfterSeconds: retryAfter, lockedOut: false }
+  )
+}
+
+/**
+ * Reserves one attempt against the limits stored at ref, or throws
+ * resource-exhausted with a retryAfterSeconds value if they are used up.
+ */
+async function reserveAttemptAt(ref, limits) {
+  let retryAfter = null
+
+  const result = await ref.transaction((current) => {
+    const now = Date.now()
+    const state = normalizeState(current, now)
+    retryAfter = getRetryAfter(state, limits, now)
+
+    if (retryAfter !== null) {
+      // Abort - nothing changes while the group is waiting
+      return undefined
+    }
+
+    state.recentAttempts.push(now)
+    return state
+  })
+
+  if (retryAfter !== null) {
+    throw rateLimitError(retryAfter)
+  }
+
+  if (!result.committed) {
+    throw new Error(`Attempt limit transaction for ${ref.toString()} was not committed`)
+  }
+}
+
+/**
+ * Reserves one attempt for the group, or throws resource-exhausted with a
+ * retryAfterSeconds value if the group is rate limited or locked out.
+ */
+function reserveAttempt(scope, groupId, stageNum, limits) {
+  return reserveAttemptAt(limitsRef(scope, groupId, stageNum), limits)
+}
+
+/**
+ * Records the outcome of an attempt against the limits stored at ref.
+ * A correct answer resets the miss counter; a wrong one may start a
+ * cooldown or a lockout. Returns the time to wait in seconds (null when the
+ * next attempt is allowed straight away, Infinity when locked out).
+ */
+async function recordResultAt(ref, correct, limits) {
+  let retryAfter = null
+
+  await ref.transaction((current) => {
+    const now = Date.now()
+    const state = normalizeState(current, now)
+
+    if (correct) {
+      state.consecutiveMisses = 0
+      state.cooldownUntil = 0
+    } else {
+      const forgetMs = (limits.forgetMissesAfterSeconds || 0) * 1000
+      if (forgetMs > 0 && state.lastMissAt <= now - forgetMs) {
+        state.consecutiveMisses = 0
+      }
+      state.consecutiveMisses += 1
+      state.lastMissAt = now
+      const extraMisses = state.consecutiveMisses - limits.cooldownAfterMisses
+
+      if (limits.lockoutAfterMisses > 0 && state.consecutiveMisses >= limits.lockoutAfterMisses) {
+        // Misses after the lockout (answers already in flight) keep its start time
+        if (!state.lockedOut) {
+          state.lockedAt = now
+        }
+        state.lockedOut = true
+      } else if (limits.cooldownAfterMisses > 0 && extraMisses >= 0) {
+        const cooldownSeconds = Math.min(
+          limits.cooldownSeconds * Math.pow(2, extraMisses),
+          limits.maxCooldownSeconds
+        )
+        state.cooldownUntil = now + cooldownSeconds * 1000
+      }
+    }
+
+    retryAfter = getRetryAfter(state, limits, now)
+    return state
+  })
+
+  return retryAfter
+}
+
+/**
+ * Records the outcome of an attempt for a group on a stage.
+ * Returns how long the group now has to wait before its next attempt
+ * (retryAfterSeconds is null when it can try again straight away).
+ */
+async function recordAttemptResult(scope, groupId, stageNum, correct, limits) {
+  const retryAfter = await recordResultAt(limitsRef(scope, groupId, stageNum), correct, limits)
+
+  return {
+    retryAfterSeconds: retryAfter === Infinity ? null : retryAfter,
+    lockedOut: retryAfter === Infinity
+  }
+}
+
+/**
+ * The limit records a login by this caller counts against, below baseRef:
+ * uid/{uid} and, when the request has one, ip/{address}.
+ */
+function loginLimitRefs(baseRef, context) {
+  const refs = [{ ref: baseRef.child(`uid/${context.auth.uid}`), limits: LOGIN_ATTEMPT_LIMITS }]
+  const ip = context.rawRequest && context.rawRequest.ip
+
+  if (ip) {
+    // RTDB keys cannot contain . # $ / [ ]
+    const ipKey = String(ip).replace(/[.#$/[\]:]/g, '_')
+    refs.push({ ref: baseRef.child(`ip/${ipKey}`), limits: LOGIN_IP_ATTEMPT_LIMITS })
+  }
+  return refs
+}
+
+/**
+ * Reserves a PIN login for the caller, or throws resource-exhausted while
+ * the caller's user or IP address has to wait.
+ */
+async function reserveLoginAttempt(baseRef, context) {
+  for (const { ref, limits } of loginLimitRefs(baseRef, context)) {
+    await reserveAttemptAt(ref, limits)
+  }
+}
+
+/**
+ * Records a PIN login. A failed one counts as a miss for the user and the
+ * IP address; a successful one only resets the user's misses.
+ */
+async function recordLoginResult(baseRef, context, success) {
+  const refs = loginLimitRefs(baseRef, context)
+
+  if (success) {
+    await recordResultAt(refs[0].ref, true, refs[0].limits)
+    return
+  }
+  for (const { ref, limits } of refs) {
+    await recordResultAt(ref, false, limits)
+  }
+}
+
+/**
+ * Clears cooldowns and lockouts for a group on one stage.
+ * Organizers use this to unlock a group that hit the hard lockout.
+ */
+async function clearAttemptLimits(scope, groupId, stageNum) {
+  await limitsRef(scope, groupId, stageNum).remove()
+}
+
+module.exports = {
+  DEFAULT_ATTEMPT_LIMITS,
+  LOGIN_ATTEMPT_LIMITS,
+  LOGIN_IP_ATTEMPT_LIMITS,
+  getAttemptLimits,
+  reserveAttempt,
+  recordAttemptResult,
+  clearAttemptLimits,
+  reserveLoginAttempt,
+  recordLoginResult
+}
@@ -0,0 +1,58 @@
+const admin = require('firebase-admin')
+const { describeWithEmulators, initializeFunctionsTest, createEvent, deleteEvent } = require('../test/emulators')
+const { requireEvent } = require('./events')
+const { reserveAttempt, recordAttemptResult, clearAttemptLimits } = require('./rate-limit')
+
+const EVENT_ID = 'rate-limit-test'
+
+const LIMITS = {
+  maxAttemptsPerMinute: 0,
+  cooldownAfterMisses: 0,
+  cooldownSeconds: 30,
+  maxCooldownSeconds: 600,
+  lockoutAfterMisses: 2
+}
+
+describeWithEmulators('answer rate limits', () => {
+  let functionsTest
+  let scope
+
+  beforeAll(async () => {
+    functionsTest = initializeFunctionsTest()
+    admin.initializeApp()
+    await createEvent(EVENT_ID)
+    scope = await requireEvent(EVENT_ID)
+  })
+
+  afterAll(async () => {
+    await deleteEvent(EVENT_ID)
+    await functionsTest.cleanup()
+  })
+
+  const readState = async () => (await scope.ref('attemptLimits/group1/1').once('value')).val()
+
+  test('keeps the lockout time when later results are recorded', async () => {
+    await recordAttemptResult(scope, 'group1', 1, false, LIMITS)
+    expect(await recordAttemptResult(scope, 'group1', 1, false, LIMITS))
+      .toEqual({ retryAfterSeconds: null, lockedOut: true })
+
+    const { lockedAt } = await readState()
+    expect(typeof lockedAt).toBe('number')
+
+    // An answer that was already in flight when the lockout started
+    await recordAttemptResult(scope, 'group1', 1, false, LIMITS)
+    expect(await readState()).toMatchObject({ lockedOut: true, lockedAt: lockedAt })
+
+    await expect(reserveAttempt(scope, 'group1', 1, LIMITS)).rejects.toMatchObject({
+      code: 'resource-exhausted',
+      details: { lockedOut: true }
+    })
+  })
+
+  test('clearing the limits lifts the lockout', async () => {
+    await clearAttemptLimits(scope, 'group1', 1)
+
+    expect(await readState()).toBeNull()
+    await expect(reserveAttempt(scope, 'group1', 1, LIMITS)).resolves.toBeUndefined()
+  })
+})
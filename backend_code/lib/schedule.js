@@ -0,0 +1,208 @@
+const functions = require('firebase-functions')
+const admin = require('firebase-admin')
+
+/**
+ * Hunt schedule
+ *
+ * The event document holds the hunt's start and end time (`startsAt`,
+ * `endsAt`, epoch ms) and, while the hunt is paused, the time it was paused
+ * at (`pausedAt`). Both times are optional: a hunt without `startsAt` is
+ * open straight away and one without `endsAt` never closes.
+ *
+ * Resuming a paused hunt pushes `endsAt` back by the length of the pause so
+ * teams do not lose playing time, and adds the pause to `pauses`
+ * ([{ from, to }], epoch ms) so scoring can leave it out of the elapsed
+ * time (see lib/scoring.js).
+ */
+
+/**
+ * Converts a stored time (epoch ms, Firestore Timestamp or date string)
+ * to epoch ms, or null if it is not set.
+ */
+function toMillis(value) {
+  if (value === undefined || value === null || value === '') {
+    return null
+  }
+  if (typeof value === 'number') {
+    return value
+  }
+  if (typeof value.toMillis === 'function') {
+    return value.toMillis()
+  }
+
+  const parsed = Date.parse(value)
+  return Number.isNaN(parsed) ? null : parsed
+}
+
+/**
+ * Returns the schedule of an event and its status at `now`:
+ * 'upcoming', 'running', 'paused' or 'ended'.
+ */
+function getSchedule(event, now = Date.now()) {
+  const startsAt = toMillis(event.startsAt)
+  const endsAt = toMillis(event.endsAt)
+  const pausedAt = toMillis(event.pausedAt)
+
+  let status = 'running'
+  if (startsAt !== null && now < startsAt) {
+    status = 'upcoming'
+  } else if (endsAt !== null && now >= endsAt) {
+    status = 'ended'
+  } else if (pausedAt !== null) {
+    status = 'paused'
+  }
+
+  return {
+    startsAt: startsAt,
+    endsAt: endsAt,
+    pausedAt: pausedAt,
+    status: status
+  }
+}
+
+/**
+ * Returns how many ms of the time between `from` and `to` the hunt was
+ * paused, counting the recorded pauses and the current one.
+ */
+function pausedBetween(event, from, to) {
+  const pauses = (event.pauses || []).map((pause) => [toMillis(pause.from), toMillis(pause.to)])
+  const pausedAt = toMillis(event.pausedAt)
+  if (pausedAt !== null) {
+    pauses.push([pausedAt, Infinity])
+  }
+
+  return pauses.reduce((total, [pauseFrom, pauseTo]) => (
+    total + Math.max(0, Math.min(pauseTo, to) - Math.max(pauseFrom, from))
+  ), 0)
+}
+
+/**
+ * Throws failed-precondition if the hunt has not started yet.
+ */
+function assertHuntStarted(event) {
+  const schedule = getSchedule(event)
+
+  if (schedule.status === 'upcoming') {
+    throw new functions.https.HttpsError(
+      'failed-precondition',
+      'The hunt has not started yet.',
+      schedule
+    )
+  }
+}
+
+/**
+ * Throws failed-precondition unless the hunt is running, i.e. it has
+ * started, has not ended and is not paused.
+ */
+function assertHuntOpen(event) {
+  assertHuntStarted(event)
+
+  const schedule = getSchedule(event)
+  if (schedule.status === 'ended') {
+    throw new functions.https.HttpsError(
+      'failed-precondition',
+      'The hunt has ended. No more answers are accepted.',
+      schedule
+    )
+  }
+
+  if (schedule.status === 'paused') {
+    throw new functions.https.HttpsError(
+      'failed-precondition',
+      'The hunt is paused. Please wait for the organizers to resume it.',
+      schedule
+    )
+  }
+}
+
+/**
+ * Runs `update(event, now)` on the event document in a transaction and
+ * returns the new schedule. `update` returns the fields to change.
+ */
+async function updateSchedule(scope, update) {
+  return admin.firestore().runTransaction(async (transaction) => {
+    const snapshot = await transaction.get(scope.eventDoc)
+    const event = snapshot.data() || {}
+    const now = Date.now()
+
+    const changes = update(event, now)
+    transaction.update(scope.eventDoc, changes)
+
+    return getSchedule({ ...event, ...changes }, now)
+  })
+}
+
+/**
+ * Pauses a running hunt.
+ */
+async function pauseHunt(scope) {
+  return updateSchedule(scope, (event, now) => {
+    const { status } = getSchedule(event, now)
+    if (status !== 'running') {
+      throw new functions.https.HttpsError(
+        'failed-precondition',
+        `Only a running hunt can be paused (the hunt is ${status}).`
+      )
+    }
+    return { pausedAt: now }
+  })
+}
+
+/**
+ * Resumes a paused hunt, extends its end time by the length of the pause
+ * and records the pause.
+ */
+async function resumeHunt(scope) {
+  return updateSchedule(scope, (event, now) => {
+    const pausedAt = toMillis(event.pausedAt)
+    if (pausedAt === null) {
+      throw new functions.https.HttpsError(
+        'failed-precondition',
+        'The hunt is not paused.'
+      )
+    }
+
+    const endsAt = toMillis(event.endsAt)
+    return {
+      pausedAt: null,
+      endsAt: endsAt !== null ? endsAt + (now - pausedAt) : null,
+      pauses: [...(event.pauses || []), { from: pausedAt, to: now }]
+    }
+  })
+}
+
+/**
+ * Moves the end of the hunt back by `minutes`. Extending a hunt that has
+ * already ended reopens it, counting from now.
+ */
+async function extendHunt(scope, minutes) {
+  if (typeof minutes !== 'number' || !Number.isFinite(minutes) || minutes <= 0) {
+    throw new functions.https.HttpsError(
+      'invalid-argument',
+      'minutes must be a positive number.'
+    )
+  }
+
+  return updateSchedule(scope, (event, now) => {
+    const endsAt = toMillis(event.endsAt)
+    if (endsAt === null) {
+      throw new functions.https.HttpsError(
+        'failed-precondition',
+        'The hunt has no end time to extend.'
+      )
+    }
+    return { endsAt: Math.max(endsAt, now) + minutes * 60 * 1000 }
+  })
+}
+
+module.exports = {
+  toMillis,
+  getSchedule,
+  pausedBetween,
+  assertHuntStarted,
+  assertHuntOpen,
+  pauseHunt,
+  resumeHunt,
+  extendHunt
+}
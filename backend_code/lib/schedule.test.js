@@ -0,0 +1,30 @@
+const { pausedBetween } = require('./schedule')
+
+const MINUTE = 60 * 1000
+
+describe('pausedBetween', () => {
+  const event = {
+    pauses: [
+      { from: 10 * MINUTE, to: 15 * MINUTE },
+      { from: 30 * MINUTE, to: 40 * MINUTE }
+    ]
+  }
+
+  test('adds up the recorded pauses in the range', () => {
+    expect(pausedBetween(event, 0, 60 * MINUTE)).toBe(15 * MINUTE)
+    expect(pausedBetween(event, 0, 20 * MINUTE)).toBe(5 * MINUTE)
+  })
+
+  test('counts only the part of a pause inside the range', () => {
+    expect(pausedBetween(event, 12 * MINUTE, 35 * MINUTE)).toBe(8 * MINUTE)
+    expect(pausedBetween(event, 45 * MINUTE, 60 * MINUTE)).toBe(0)
+  })
+
+  test('counts the current pause up to the end of the range', () => {
+    expect(pausedBetween({ ...event, pausedAt: 50 * MINUTE }, 0, 55 * MINUTE)).toBe(20 * MINUTE)
+  })
+
+  test('is 0 for an event that was never paused', () => {
+    expect(pausedBetween({}, 0, 60 * MINUTE)).toBe(0)
+  })
+})
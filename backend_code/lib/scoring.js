@@ -0,0 +1,138 @@
+const admin = require('firebase-admin')
+const { getProgress } = require('./progress')
+const { toMillis, pausedBetween } = require('./schedule')
+const { getUnlockedHints } = require('./hints')
+
+/**
+ * Scoring and leaderboard
+ *
+ * A group's score is computed from its progress:
+ *
+ *   completed stages * stagePoints
+ *   - minutes from the start to the last completed stage * minutePenalty
+ *   - the cost of every unlocked hint (see lib/hints.js)
+ *   - wrong answers * wrongAttemptPenalty
+ *
+ * Time starts at the event's `startsAt`, or at the group's first login if
+ * the event has no start time, and does not count while the hunt is paused
+ * (see lib/schedule.js). The weights can be overridden per event with a
+ * `scoring` object on the event document.
+ *
+ * Scores are written to /events/{eventId}/leaderboard/{groupId} whenever a
+ * group's progress changes, so clients can listen to the leaderboard
+ * without being able to read each other's progress.
+ */
+
+const DEFAULT_SCORING_WEIGHTS = {
+  stagePoints: 100,
+  minutePenalty: 1,
+  hintPenalty: 20, // Cost of a hint that does not set its own cost
+  wrongAttemptPenalty: 5
+}
+
+/**
+ * Returns the scoring weights for an event, applying its overrides on top
+ * of the defaults.
+ */
+function getScoringWeights(event) {
+  return {
+    ...DEFAULT_SCORING_WEIGHTS,
+    ...((event && event.scoring) || {})
+  }
+}
+
+/**
+ * Adds up a per-stage RTDB map (which may come back as a sparse array).
+ */
+function sumValues(value) {
+  return Object.values(value || {})
+    .reduce((total, count) => total + (Number(count) || 0), 0)
+}
+
+/**
+ * Returns every hint a group has unlocked, across all stages.
+ */
+function listUnlockedHints(progress) {
+  return Object.keys(progress.hints || {})
+    .flatMap((stageNum) => getUnlockedHints(progress, stageNum))
+}
+
+/**
+ * Computes a group's leaderboard entry from its progress.
+ */
+function computeScore(progress, event) {
+  const weights = getScoringWeights(event)
+  const completedTimes = Object.values(progress.completedAt || {})
+    .filter((time) => typeof time === 'number')
+  const lastCompletedAt = completedTimes.length > 0 ? Math.max(...completedTimes) : null
+  const startedAt = toMillis(event && event.startsAt) || progress.startedAt || null
+
+  const elapsedMs = lastCompletedAt && startedAt
+    ? lastCompletedAt - startedAt - pausedBetween(event || {}, startedAt, lastCompletedAt)
+    : 0
+  const elapsedSeconds = Math.max(0, Math.round(elapsedMs / 1000))
+  const completedCount = progress.completedStages.length
+  const unlockedHints = listUnlockedHints(progress)
+  const hintsUsed = unlockedHints.length
+  const hintCost = unlockedHints.reduce((total, hint) => total + (Number(hint.cost) || 0), 0)
+  const wrongAttempts = sumValues(progress.wrongAttempts)
+
+  const score = Math.round(
+    completedCount * weights.stagePoints -
+    (elapsedSeconds / 60) * weights.minutePenalty -
+    hintCost -
+    wrongAttempts * weights.wrongAttemptPenalty
+  )
+
+  return {
+    score: score,
+    completedCount: completedCount,
+    hintsUsed: hintsUsed,
+    hintCost: hintCost,
+    wrongAttempts: wrongAttempts,
+    elapsedSeconds: elapsedSeconds,
+    lastCompletedAt: lastCompletedAt
+  }
+}
+
+/**
+ * Recomputes and stores a group's leaderboard entry. Groups without any
+ * progress are removed from the leaderboard.
+ */
+async function updateLeaderboardEntry(scope, groupId) {
+  const progress = await getProgress(scope, groupId)
+  const entryRef = scope.ref(`leaderboard/${groupId}`)
+
+  if (progress.completedStages.length === 0 && !progress.startedAt) {
+    await entryRef.remove()
+    return null
+  }
+
+  const entry = {
+    ...computeScore(progress, scope.event),
+    updatedAt: admin.database.ServerValue.TIMESTAMP
+  }
+  await entryRef.set(entry)
+  return entry
+}
+
+/**
+ * Recomputes the leaderboard for every group with progress, e.g. after
+ * the scoring weights have been changed.
+ */
+async function rebuildLeaderboard(scope) {
+  const snapshot = await scope.ref('groupProgress').once('value')
+  const groupIds = Object.keys(snapshot.val() || {})
+
+  await scope.ref('leaderboard').remove()
+  await Promise.all(groupIds.map((groupId) => updateLeaderboardEntry(scope, groupId)))
+  return groupIds.length
+}
+
+module.exports = {
+  DEFAULT_SCORING_WEIGHTS,
+  getScoringWeights,
+  computeScore,
+  updateLeaderboardEntry,
+  rebuildLeaderboard
+}
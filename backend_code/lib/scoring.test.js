@@ -0,0 +1,54 @@
+const { computeScore } = require('./scoring')
+
+const MINUTE = 60 * 1000
+
+// Times are minutes after START
+const START = Date.parse('2026-05-01T10:00:00Z')
+const at = (minutes) => START + minutes * MINUTE
+
+function progressCompletedAt(...times) {
+  return {
+    completedStages: times.map((time, index) => index + 1),
+    completedAt: Object.fromEntries(times.map((time, index) => [index + 1, time]))
+  }
+}
+
+describe('computeScore', () => {
+  test('counts the time from the start to the last completed stage', () => {
+    const entry = computeScore(progressCompletedAt(at(20), at(30)), { startsAt: START })
+
+    expect(entry.elapsedSeconds).toBe(30 * 60)
+    expect(entry.score).toBe(2 * 100 - 30)
+  })
+
+  test('leaves the hunt pauses out of the elapsed time', () => {
+    const event = {
+      startsAt: START,
+      pauses: [{ from: at(10), to: at(25) }]
+    }
+    const entry = computeScore(progressCompletedAt(at(5), at(40)), event)
+
+    expect(entry.elapsedSeconds).toBe(25 * 60)
+    expect(entry.score).toBe(2 * 100 - 25)
+  })
+
+  test('ignores pauses after the last completed stage', () => {
+    const event = {
+      startsAt: START,
+      pauses: [{ from: at(50), to: at(60) }],
+      pausedAt: at(70)
+    }
+
+    expect(computeScore(progressCompletedAt(at(40)), event).elapsedSeconds).toBe(40 * 60)
+  })
+
+  test('counts from the first login when the event has no start time', () => {
+    const progress = {
+      ...progressCompletedAt(at(40)),
+      startedAt: at(10)
+    }
+    const event = { pauses: [{ from: START, to: at(20) }] }
+
+    expect(computeScore(progress, event).elapsedSeconds).toBe(20 * 60)
+  })
+})
@@ -0,0 +1,322 @@
+const { getValidationRules } = require('./validation')
+const { isAnswerType, getCorrectAnswer } = require('./answer-types')
+
+/**
+ * Stage file checks
+ *
+ * upload-stages.js runs checkStages on the stages file before anything is
+ * written, so a misconfigured stage is caught at upload time instead of
+ * mid-hunt. Each stage is checked against the fields its type needs (see
+ * lib/validation.js, lib/answer-types.js, lib/geo.js and lib/hints.js), and
+ * the whole hunt is checked for numbering and unlock problems:
+ *
+ * - Errors make the upload fail: a malformed or duplicate stageId, gaps in
+ *   the numbering (the game counts stages from 1 to the total), an unknown
+ *   type, rule or validationFunction, a stage without an answer that is not
+ *   the last one, and `requires` entries naming stages that do not exist.
+ * - Warnings are printed but do not stop the upload: stages that can never
+ *   be unlocked, a last stage that has an answer (so there is no finish
+ *   stage) and fields that are ignored.
+ */
+
+const STAGE_TYPES = ['text', 'location', 'qr', 'photo', 'choice', 'number', 'sequence', 'fields']
+const MEDIA_TYPES = ['image', 'video']
+
+// What each structured type needs, for the "has no answer" error
+const ANSWER_REQUIREMENTS = {
+  choice: 'an "answer" naming one or more of its options',
+  number: 'a numeric "answer"',
+  sequence: 'at least two "items" in the correct order',
+  fields: 'a list of "fields", each with a label and an answer'
+}
+
+const isObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value)
+const isBlank = (value) => value === undefined || value === null || value === ''
+const toList = (value) => (isBlank(value) ? [] : Array.isArray(value) ? value : [value])
+
+/**
+ * The stage number of an entry: its stageId (a number, or a string of
+ * digits such as "4", as spreadsheet exports write it), or the number in a
+ * `stageN` docId. Null if neither is usable.
+ */
+function stageNumberOf(stage) {
+  if (Number.isInteger(stage.stageId) && stage.stageId > 0) {
+    return stage.stageId
+  }
+  if (typeof stage.stageId === 'string' && /^[1-9]\d*$/.test(stage.stageId.trim())) {
+    return Number(stage.stageId.trim())
+  }
+  if (stage.stageId === undefined && typeof stage.docId === 'string') {
+    const match = stage.docId.match(/^stage([1-9]\d*)$/)
+    return match ? Number(match[1]) : null
+  }
+  return null
+}
+
+/**
+ * Text stages: returns the validation rules, or null for a stage without
+ * an answer. Problems are added to `report`.
+ */
+function checkTextStage(stage, report) {
+  if (stage.validation !== undefined && stage.validation !== null) {
+    if (!isBlank(stage.answer)) {
+      report.warning('"answer" is ignored because "validation" is set')
+    }
+    if (stage.validationFunction !== undefined) {
+      report.warning('"validationFunction" is ignored because "validation" is set')
+    }
+  }
+
+  try {
+    return getValidationRules(stage)
+  } catch (error) {
+    report.error(error.reason || error.message)
+    return undefined
+  }
+}
+
+function checkStructuredStage(stage, report) {
+  const correctAnswer = getCorrectAnswer(stage)
+  if (correctAnswer === undefined) {
+    report.error(`type "${stage.type}" needs ${ANSWER_REQUIREMENTS[stage.type]}`)
+    return
+  }
+
+  if (stage.type === 'choice') {
+    const options = toList(stage.options).map(String)
+    if (options.length < 2) {
+      report.error('type "choice" needs at least two "options"')
+    }
+    const unknown = correctAnswer.map(String).filter((accepted) => !options.includes(accepted))
+    if (unknown.length > 0) {
+      report.error(`answer "${unknown[0]}" is not one of the options`)
+    }
+  }
+
+  if (stage.type === 'number' && stage.tolerance !== undefined && !(Number(stage.tolerance) >= 0)) {
+    report.error('"tolerance" must be a number of 0 or more')
+  }
+
+  if (stage.type === 'fields') {
+    toList(stage.fields).forEach((field, index) => {
+      if (!isObject(field) || isBlank(field.label)) {
+        report.error(`field ${index + 1} needs a "label"`)
+      } else if (toList(field.answer).length === 0) {
+        report.error(`field "${field.label}" needs an "answer"`)
+      }
+    })
+  }
+}
+
+function checkLocationStage(stage, report) {
+  const location = stage.location
+  if (!isObject(location)) {
+    report.error('type "location" needs a "location" with latitude and longitude')
+    return
+  }
+
+  const latitude = Number(location.latitude)
+  const longitude = Number(location.longitude)
+  if (isBlank(location.latitude) || !(latitude >= -90 && latitude <= 90)) {
+    report.error('location.latitude must be a number between -90 and 90')
+  }
+  if (isBlank(location.longitude) || !(longitude >= -180 && longitude <= 180)) {
+    report.error('location.longitude must be a number between -180 and 180')
+  }
+  ;['radiusMeters', 'accuracyToleranceMeters'].forEach((field) => {
+    if (location[field] !== undefined && !(Number(location[field]) >= 0)) {
+      report.error(`location.${field} must be a number of 0 or more`)
+    }
+  })
+}
+
+function checkHints(stage, report) {
+  if (stage.hints === undefined) {
+    return
+  }
+  if (!Array.isArray(stage.hints)) {
+    report.error('"hints" must be a list')
+    return
+  }
+
+  stage.hints.forEach((hint, index) => {
+    const text = typeof hint === 'string' ? hint : isObject(hint) ? hint.text : undefined
+    if (typeof text !== 'string' || !text.trim()) {
+      report.error(`hint ${index + 1} must be text or { text, cost }`)
+    } else if (isObject(hint) && hint.cost !== undefined && !(typeof hint.cost === 'number' && hint.cost >= 0)) {
+      report.error(`hint ${index + 1} has a cost that is not a number of 0 or more`)
+    }
+  })
+}
+
+function checkMedia(stage, report) {
+  if (stage.media === undefined) {
+    return
+  }
+  if (!Array.isArray(stage.media)) {
+    report.error('"media" must be a list')
+    return
+  }
+
+  stage.media.forEach((item, index) => {
+    if (!isObject(item) || typeof item.url !== 'string' || !item.url) {
+      report.error(`media item ${index + 1} needs a "url"`)
+    } else if (item.type !== undefined && !MEDIA_TYPES.includes(item.type)) {
+      report.error(`media item ${index + 1} has unknown type "${item.type}" (use ${MEDIA_TYPES.join(' or ')})`)
+    }
+  })
+}
+
+/**
+ * The stage numbers a stage needs, as lib/stages.js reads `requires`.
+ * Entries that are not stage numbers are reported and left out.
+ */
+function checkRequires(stage, stageNum, report) {
+  if (stage.requires === undefined) {
+    return stageNum > 1 ? [stageNum - 1] : []
+  }
+  if (!Array.isArray(stage.requires)) {
+    report.error('"requires" must be a list of stage numbers')
+    return []
+  }
+
+  const requires = []
+  stage.requires.forEach((required) => {
+    const number = typeof required === 'number' ? required : Number(String(required).replace('stage', ''))
+    if (!Number.isInteger(number) || number < 1) {
+      report.error(`"requires" entry ${JSON.stringify(required)} is not a stage number`)
+    } else if (number === stageNum) {
+      report.error('"requires" lists the stage itself')
+    } else {
+      requires.push(number)
+    }
+  })
+  return requires
+}
+
+/**
+ * Checks a parsed stages file (an array of stage objects). Returns
+ * { errors, warnings }, each a list of messages starting with the stage
+ * they are about, e.g. 'Stage 3: rule "fuzzy" needs an answer'.
+ */
+function checkStages(stagesData) {
+  const errors = []
+  const warnings = []
+  // Per stage number: { label, requires, hasAnswer, implicitRequires }
+  const stages = new Map()
+  const entriesByNumber = new Map()
+
+  stagesData.forEach((stage, index) => {
+    if (!isObject(stage)) {
+      errors.push(`Entry ${index + 1}: must be an object`)
+      return
+    }
+
+    const stageNum = stageNumberOf(stage)
+    const label = stageNum ? `Stage ${stageNum}` : `Entry ${index + 1}`
+    const report = {
+      error: (message) => errors.push(`${label}: ${message}`),
+      warning: (message) => warnings.push(`${label}: ${message}`)
+    }
+
+    if (!stageNum) {
+      report.error(stage.stageId === undefined && stage.docId === undefined
+        ? 'stageId is missing'
+        : `stageId must be a whole number of 1 or more, e.g. "stageId": 4 (got ${JSON.stringify(stage.stageId !== undefined ? stage.stageId : stage.docId)})`)
+    } else {
+      entriesByNumber.set(stageNum, [...(entriesByNumber.get(stageNum) || []), index + 1])
+    }
+
+    const type = stage.type === undefined ? 'text' : stage.type
+    if (!STAGE_TYPES.includes(type)) {
+      report.error(`unknown type "${stage.type}" (use ${STAGE_TYPES.join(', ')})`)
+    }
+
+    let hasAnswer = true
+    if (type === 'text') {
+      const rules = checkTextStage(stage, report)
+      hasAnswer = rules !== null
+    } else if (isAnswerType(type)) {
+      checkStructuredStage(stage, report)
+    } else if (type === 'location') {
+      checkLocationStage(stage, report)
+    } else if (type === 'qr' && stage.qrKey !== undefined && typeof stage.qrKey !== 'string') {
+      report.error('"qrKey" must be text')
+    }
+
+    if (stage.stageName !== undefined && typeof stage.stageName !== 'string') {
+      report.error('"stageName" must be text')
+    }
+    checkHints(stage, report)
+    checkMedia(stage, report)
+    const requires = checkRequires(stage, stageNum, report)
+
+    if (stageNum && !stages.has(stageNum)) {
+      stages.set(stageNum, { label, requires, hasAnswer, implicitRequires: stage.requires === undefined })
+    }
+  })
+
+  entriesByNumber.forEach((entries, stageNum) => {
+    if (entries.length > 1) {
+      errors.push(`Stage ${stageNum}: stageId is used by entries ${entries.join(', ')}`)
+    }
+  })
+
+  const numbers = [...stages.keys()].sort((a, b) => a - b)
+  const lastStage = numbers[numbers.length - 1]
+  const missing = []
+  for (let stageNum = 1; stageNum <= lastStage; stageNum++) {
+    if (!stages.has(stageNum)) {
+      missing.push(stageNum)
+    }
+  }
+  if (missing.length > 0) {
+    errors.push(`Stages must be numbered 1 to ${lastStage} without gaps; missing: ${missing.join(', ')}`)
+  }
+
+  stages.forEach((stage, stageNum) => {
+    // A missing previous stage that is only required implicitly has been
+    // reported as a gap already
+    stage.requires
+      .filter((required) => !stages.has(required) && !stage.implicitRequires)
+      .forEach((required) => errors.push(`${stage.label}: "requires" names stage ${required}, which does not exist`))
+
+    // Only the finish stage may have no answer; it can never be completed
+    if (!stage.hasAnswer && stageNum !== lastStage) {
+      errors.push(`${stage.label}: has no answer, so it can never be completed (only the last stage, the finish stage, may have none)`)
+    }
+  })
+
+  if (lastStage && stages.get(lastStage).hasAnswer) {
+    warnings.push(`Stage ${lastStage}: the last stage has an answer, so there is no finish stage. Add a last stage without an answer to greet teams at the end`)
+  }
+
+  // A stage can be reached once every stage it requires can be reached and completed
+  const reachable = new Set()
+  let changed = true
+  while (changed) {
+    changed = false
+    stages.forEach((stage, stageNum) => {
+      if (!reachable.has(stageNum) && stage.requires.every((required) => (
+        reachable.has(required) && stages.get(required).hasAnswer
+      ))) {
+        reachable.add(stageNum)
+        changed = true
+      }
+    })
+  }
+  // Stages that require missing stages have been reported as errors already
+  numbers
+    .filter((stageNum) => !reachable.has(stageNum) && stages.get(stageNum).requires.every((required) => stages.has(required)))
+    .forEach((stageNum) => {
+      const stage = stages.get(stageNum)
+      warnings.push(`${stage.label}: can never be unlocked (it requires stage(s) ${stage.requires.join(', ')}, which cannot all be reached and completed)`)
+    })
+
+  return { errors, warnings }
+}
+
+module.exports = {
+  stageNumberOf,
+  checkStages
+}
@@ -0,0 +1,114 @@
+const { stageNumberOf, checkStages } = require('./stage-schema')
+
+describe('stageNumberOf', () => {
+  test('reads numbers, strings of digits and stageN document IDs', () => {
+    expect(stageNumberOf({ stageId: 4 })).toBe(4)
+    expect(stageNumberOf({ stageId: '4' })).toBe(4)
+    expect(stageNumberOf({ stageId: ' 12 ' })).toBe(12)
+    expect(stageNumberOf({ docId: 'stage3' })).toBe(3)
+  })
+
+  test('refuses anything else', () => {
+    expect(stageNumberOf({ stageId: 0 })).toBeNull()
+    expect(stageNumberOf({ stageId: 2.5 })).toBeNull()
+    expect(stageNumberOf({ stageId: '04' })).toBeNull()
+    expect(stageNumberOf({ stageId: 'four' })).toBeNull()
+    expect(stageNumberOf({ stageId: 'stage4' })).toBeNull()
+  })
+})
+
+describe('checkStages', () => {
+  test('accepts string stageIds', () => {
+    const { errors } = checkStages([
+      { stageId: '1', title: 'Start', answer: 'big ben' },
+      { stageId: '2', title: 'Finish' }
+    ])
+    expect(errors).toEqual([])
+  })
+
+  test('says how to write a stageId it cannot read', () => {
+    const { errors } = checkStages([{ stageId: 'one', title: 'Start' }])
+    expect(errors[0]).toBe('Entry 1: stageId must be a whole number of 1 or more, e.g. "stageId": 4 (got "one")')
+  })
+})
+
+describe('checkStages numbering', () => {
+  test('reports stageIds used by more than one entry', () => {
+    const { errors } = checkStages([
+      { stageId: 1, answer: 'a' },
+      { stageId: 1, answer: 'b' },
+      { stageId: 2 }
+    ])
+    expect(errors).toEqual(['Stage 1: stageId is used by entries 1, 2'])
+  })
+
+  test('reports gaps in the numbering once', () => {
+    const { errors } = checkStages([
+      { stageId: 1, answer: 'a' },
+      { stageId: 3, answer: 'b' },
+      { stageId: 4 }
+    ])
+    expect(errors).toEqual(['Stages must be numbered 1 to 4 without gaps; missing: 2'])
+  })
+})
+
+describe('checkStages answers', () => {
+  test('reports an unknown validationFunction', () => {
+    const { errors } = checkStages([{ stageId: 1, answer: 'a', validationFunction: 'stage9' }, { stageId: 2 }])
+    expect(errors).toEqual(['Stage 1: unknown validation function "stage9"'])
+  })
+
+  test('reports an unknown validation rule', () => {
+    const { errors } = checkStages([{ stageId: 1, validation: { rule: 'fuzy', answer: 'a' } }, { stageId: 2 }])
+    expect(errors).toEqual(['Stage 1: unknown validation rule "fuzy"'])
+  })
+
+  test('reports a stage without an answer that is not the last one', () => {
+    const { errors } = checkStages([{ stageId: 1, title: 'Welcome' }, { stageId: 2, answer: 'a' }, { stageId: 3 }])
+    expect(errors).toEqual([
+      'Stage 1: has no answer, so it can never be completed (only the last stage, the finish stage, may have none)'
+    ])
+  })
+
+  test('warns when the last stage has an answer', () => {
+    const { errors, warnings } = checkStages([{ stageId: 1, answer: 'a' }, { stageId: 2, answer: 'b' }])
+    expect(errors).toEqual([])
+    expect(warnings).toEqual([
+      'Stage 2: the last stage has an answer, so there is no finish stage. Add a last stage without an answer to greet teams at the end'
+    ])
+  })
+})
+
+describe('checkStages requires', () => {
+  test('reports entries that are not stage numbers or name the stage itself', () => {
+    const { errors } = checkStages([
+      { stageId: 1, answer: 'a' },
+      { stageId: 2, answer: 'b', requires: ['first', 2] },
+      { stageId: 3, requires: 'stage2' }
+    ])
+    expect(errors).toEqual([
+      'Stage 2: "requires" entry "first" is not a stage number',
+      'Stage 2: "requires" lists the stage itself',
+      'Stage 3: "requires" must be a list of stage numbers'
+    ])
+  })
+
+  test('reports required stages that do not exist', () => {
+    const { errors } = checkStages([{ stageId: 1, answer: 'a' }, { stageId: 2, requires: [1, 'stage7'] }])
+    expect(errors).toEqual(['Stage 2: "requires" names stage 7, which does not exist'])
+  })
+
+  test('warns about stages that can never be unlocked', () => {
+    const { errors, warnings } = checkStages([
+      { stageId: 1, answer: 'a' },
+      { stageId: 2, answer: 'b', requires: [3] },
+      { stageId: 3, answer: 'c', requires: [2] },
+      { stageId: 4, requires: [1] }
+    ])
+    expect(errors).toEqual([])
+    expect(warnings).toEqual([
+      'Stage 2: can never be unlocked (it requires stage(s) 3, which cannot all be reached and completed)',
+      'Stage 3: can never be unlocked (it requires stage(s) 2, which cannot all be reached and completed)'
+    ])
+  })
+})
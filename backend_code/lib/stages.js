@@ -0,0 +1,103 @@
+const functions = require('firebase-functions')
+
+/**
+ * Stage lookup and unlock rules
+ *
+ * getStageContent and validateAnswer both use these helpers, so a stage
+ * that cannot be viewed can never be completed either.
+ *
+ * By default stages unlock linearly: stage N needs stage N - 1. A stage
+ * document can override that with a `requires` array of stage numbers,
+ * which allows non-linear unlock graphs (e.g. stage 5 requires [2, 3]).
+ * An empty `requires` array makes a stage available from the start.
+ */
+
+// Stage IDs as clients send them: 1, '1' or 'stage1'
+const STAGE_ID_PATTERN = /^(?:stage)?(\d+)$/
+
+/**
+ * Normalizes a stageId (1, '1' or 'stage1') into a stage number, throwing
+ * invalid-argument for anything else.
+ */
+function stageNumber(stageId) {
+  if (Number.isInteger(stageId) && stageId >= 0) {
+    return stageId
+  }
+
+  const match = typeof stageId === 'string' ? STAGE_ID_PATTERN.exec(stageId) : null
+  if (!match) {
+    throw new functions.https.HttpsError(
+      'invalid-argument',
+      'stageId must be a stage number such as 1 or "stage1".'
+    )
+  }
+  return Number(match[1])
+}
+
+/**
+ * Normalizes a stageId (1, '1' or 'stage1') into a Firestore document ID.
+ */
+function stageDocId(stageId) {
+  return `stage${stageNumber(stageId)}`
+}
+
+/**
+ * Loads a stage document of the event, throwing not-found if it does not exist.
+ */
+async function getStage(scope, stageId) {
+  const stageDoc = await scope.collection('stages').doc(stageDocId(stageId)).get()
+
+  if (!stageDoc.exists) {
+    throw new functions.https.HttpsError(
+      'not-found',
+      `Stage ${stageId} not found.`
+    )
+  }
+
+  return stageDoc.data()
+}
+
+/**
+ * Returns the stage numbers that must be completed before stageNum unlocks.
+ */
+function getPrerequisites(stageData, stageNum) {
+  if (stageData && Array.isArray(stageData.requires)) {
+    return stageData.requires.map((required) => stageNumber(required))
+  }
+  return stageNum > 1 ? [stageNum - 1] : []
+}
+
+/**
+ * Checks whether a stage is unlocked for the given progress.
+ * Completed stages always stay unlocked so teams can revisit them.
+ */
+function isStageUnlocked(stageData, stageNum, progress) {
+  const completedStages = progress.completedStages || []
+
+  if (completedStages.includes(stageNum)) {
+    return true
+  }
+
+  return getPrerequisites(stageData, stageNum).every((required) => completedStages.includes(required))
+}
+
+/**
+ * Throws permission-denied if the stage is still locked.
+ */
+function assertStageUnlocked(stageData, stageNum, progress) {
+  if (!isStageUnlocked(stageData, stageNum, progress)) {
+    throw new functions.https.HttpsError(
+      'permission-denied',
+      'This stage is locked. Complete previous stages first.'
+    )
+  }
+}
+
+module.exports = {
+  stageDocId,
+  stageNumber,
+  getStage,
+  getPrerequisites,
+  isStageUnlocked,
+  assertStageUnlocked
+}
@@ -0,0 +1,41 @@
+const { stageDocId, stageNumber, getPrerequisites, isStageUnlocked } = require('./stages')
+
+describe('stage IDs', () => {
+  test.each([
+    [3, 3, 'stage3'],
+    ['3', 3, 'stage3'],
+    ['stage3', 3, 'stage3'],
+    ['stage12', 12, 'stage12']
+  ])('%p is stage %p (%s)', (stageId, number, docId) => {
+    expect(stageNumber(stageId)).toBe(number)
+    expect(stageDocId(stageId)).toBe(docId)
+  })
+
+  test.each([null, undefined, '', 'stage', 'stageX', '3a', '../groups', -1, 1.5, {}, ['1']])(
+    '%p is rejected with invalid-argument', (stageId) => {
+      expect(() => stageDocId(stageId)).toThrow(expect.objectContaining({ code: 'invalid-argument' }))
+      expect(() => stageNumber(stageId)).toThrow(expect.objectContaining({ code: 'invalid-argument' }))
+    }
+  )
+})
+
+describe('unlock rules', () => {
+  test('stages unlock linearly by default', () => {
+    expect(getPrerequisites({}, 1)).toEqual([])
+    expect(getPrerequisites({}, 4)).toEqual([3])
+    expect(isStageUnlocked({}, 4, { completedStages: [1, 2] })).toBe(false)
+    expect(isStageUnlocked({}, 4, { completedStages: [3] })).toBe(true)
+  })
+
+  test('requires overrides the linear order', () => {
+    const stage = { requires: [2, 'stage3'] }
+    expect(getPrerequisites(stage, 5)).toEqual([2, 3])
+    expect(isStageUnlocked(stage, 5, { completedStages: [2] })).toBe(false)
+    expect(isStageUnlocked(stage, 5, { completedStages: [2, 3] })).toBe(true)
+    expect(isStageUnlocked({ requires: [] }, 5, { completedStages: [] })).toBe(true)
+  })
+
+  test('completed stages stay unlocked', () => {
+    expect(isStageUnlocked({ requires: [9] }, 2, { completedStages: [2] })).toBe(true)
+  })
+})
@@ -0,0 +1,106 @@
+const functions = require('firebase-functions')
+const admin = require('firebase-admin')
+
+/**
+ * Idempotent answer submissions
+ *
+ * The web app queues answers while a team is offline and sends them when
+ * the connection returns, so the same answer can arrive more than once (the
+ * first request may have reached the server before the connection dropped).
+ * Each queued answer carries a client-generated submissionId, and the
+ * response to it is stored under
+ * /events/{eventId}/submissions/{groupId}/{submissionId}. A replay gets the
+ * stored response back instead of being validated, counted and rate limited
+ * a second time.
+ *
+ * Written by Cloud Functions only; clients have no access to this path.
+ */
+
+// A claim older than this belongs to a call that died mid-way and may be taken over
+const CLAIM_TIMEOUT_MS = 60 * 1000
+
+// Characters allowed in RTDB keys, and a sane length for a UUID-like ID
+const SUBMISSION_ID_PATTERN = /^[A-Za-z0-9_-]{8,64}$/
+
+function submissionRef(scope, groupId, submissionId) {
+  return scope.ref(`submissions/${groupId}/${submissionId}`)
+}
+
+/**
+ * Checks the optional submissionId of a request. Returns null if there is
+ * none; throws invalid-argument if it cannot be used as a key.
+ */
+function parseSubmissionId(submissionId) {
+  if (submissionId === undefined || submissionId === null) {
+    return null
+  }
+  if (typeof submissionId !== 'string' || !SUBMISSION_ID_PATTERN.test(submissionId)) {
+    throw new functions.https.HttpsError(
+      'invalid-argument',
+      'submissionId must be 8 to 64 letters, digits, dashes or underscores.'
+    )
+  }
+  return submissionId
+}
+
+/**
+ * Claims a submission before it is processed. Resolves to the stored
+ * response if the submission was already processed, or null if this call
+ * holds the claim and should process it. Throws aborted while another call
+ * is still processing the same submission, so the client tries again later.
+ */
+async function claimSubmission(scope, groupId, submissionId) {
+  let existing = null
+
+  const result = await submissionRef(scope, groupId, submissionId).transaction((current) => {
+    existing = current
+    if (current && (current.response || current.claimedAt > Date.now() - CLAIM_TIMEOUT_MS)) {
+      return undefined // Processed, or being processed - leave it alone
+    }
+    return {
+      claimedAt: Date.now(),
+      createdAt: admin.database.ServerValue.TIMESTAMP
+    }
+  })
+
+  if (result.committed) {
+    return null
+  }
+  if (existing && existing.response) {
+    return existing.response
+  }
+  throw new functions.https.HttpsError(
+    'aborted',
+    'This answer is already being checked. Please wait a moment.'
+  )
+}
+
+/**
+ * Stores the response to a claimed submission and returns it. Does nothing
+ * for requests without a submissionId.
+ */
+async function finishSubmission(scope, groupId, submissionId, response) {
+  if (submissionId) {
+    await submissionRef(scope, groupId, submissionId).update({
+      // RTDB refuses undefined values
+      response: JSON.parse(JSON.stringify(response)),
+      finishedAt: admin.database.ServerValue.TIMESTAMP
+    })
+  }
+  return response
+}
+
+/**
+ * Drops the claim of a submission that failed, so sending it again
+ * processes it again.
+ */
+async function releaseSubmission(scope, groupId, submissionId) {
+  await submissionRef(scope, groupId, submissionId).remove()
+}
+
+module.exports = {
+  parseSubmissionId,
+  claimSubmission,
+  finishSubmission,
+  releaseSubmission
+}
@@ -0,0 +1,450 @@
+const { isDeepStrictEqual } = require('util')
+const functions = require('firebase-functions')
+const { isHashed, hashSecret, verifySecret } = require('./hashing')
+
+/**
+ * Declarative answer validation
+ *
+ * Text stages describe how answers are checked in a `validation` field
+ * instead of naming a function in index.js, so new hunts do not need a
+ * redeploy. `validation` is one rule or a list of rules; the answer is
+ * accepted when any rule matches.
+ *
+ *   { rule: 'exact', answer }
+ *   { rule: 'anyOf', answers: [...] }
+ *   { rule: 'contains', keyword }
+ *   { rule: 'allOf', keywords: [...] }          every keyword must appear
+ *   { rule: 'regex', pattern, flags }           flags default to 'i'
+ *   { rule: 'fuzzy', answer(s), maxDistance }   Levenshtein distance, default 2
+ *   { rule: 'normalized', answer(s) }           ignores accents and punctuation
+ *   { rule: 'numberWords', answer(s) }          also reads "seven" as "7"
+ *
+ * Every rule except regex also takes `normalize`, a list of 'accents',
+ * 'punctuation' and 'numberWords', and always ignores case and extra
+ * whitespace. A rule name that is not listed here is a configuration error
+ * and fails the submission instead of falling back to another comparison.
+ *
+ * Stages without `validation` keep working: `answer` and the old
+ * `validationFunction` names are mapped to rules by legacyRules.
+ *
+ * The upload script replaces the answers of exact, anyOf, normalized and
+ * numberWords rules with `answerHashes`: salted hashes of the normalized
+ * answers (see lib/hashing.js). The other rules need the answer itself and
+ * are stored as written.
+ */
+
+const NORMALIZE_OPTIONS = ['accents', 'punctuation', 'numberWords']
+
+// Rules that only compare whole normalized answers, so they work on hashes
+const HASHABLE_RULES = ['exact', 'anyOf', 'normalized', 'numberWords']
+
+const DEFAULT_MAX_DISTANCE = 2
+
+// Number words by kind: only tens + units ("twenty one") and scale words
+// ("two hundred", "five thousand") combine into one number
+const UNITS = { one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9 }
+const TEENS = {
+  ten: 10, eleven: 11, twelve: 12, thirteen: 13, fourteen: 14, fifteen: 15, sixteen: 16,
+  seventeen: 17, eighteen: 18, nineteen: 19
+}
+const TENS = { twenty: 20, thirty: 30, forty: 40, fifty: 50, sixty: 60, seventy: 70, eighty: 80, ninety: 90 }
+const SCALES = { thousand: 1000, million: 1000000 }
+
+// Which kinds of word may directly precede each kind in the same number
+const CONTINUES_AFTER = {
+  unit: ['tens', 'hundred', 'scale', 'and'],
+  teen: ['hundred', 'scale', 'and'],
+  tens: ['hundred', 'scale', 'and']
+}
+
+function numberWordKind(word) {
+  if (word === 'zero') return 'zero'
+  if (UNITS[word] !== undefined) return 'unit'
+  if (TEENS[word] !== undefined) return 'teen'
+  if (TENS[word] !== undefined) return 'tens'
+  return null
+}
+
+/**
+ * Replaces English number words with digits, e.g. "twenty one lions" ->
+ * "21 lions", "one hundred and five" -> "105". Words only add up when they
+ * form one number (tens + units, or a scale word), so "five five" stays
+ * "5 5" and "nine three quarters" becomes "9 3 quarters".
+ * Expects lower-case text with hyphens already turned into spaces.
+ */
+function replaceNumberWords(text) {
+  const words = text.split(' ')
+  const output = []
+  let total = 0
+  let current = 0
+  let last = null // kind of the previous word of the current number
+  let lastScale = Infinity
+
+  const flush = () => {
+    if (last !== null) {
+      output.push(String(total + current))
+    }
+    total = 0
+    current = 0
+    last = null
+    lastScale = Infinity
+  }
+
+  words.forEach((word, index) => {
+    const kind = numberWordKind(word)
+
+    if (kind) {
+      if (last === null || !(CONTINUES_AFTER[kind] || []).includes(last)) {
+        flush()
+      }
+      current += UNITS[word] || TEENS[word] || TENS[word] || 0
+      last = kind
+    } else if (word === 'hundred' && ['unit', 'teen', 'tens'].includes(last) && current < 100) {
+      current *= 100
+      last = 'hundred'
+    } else if (SCALES[word] && ['unit', 'teen', 'tens', 'hundred'].includes(last) && SCALES[word] < lastScale) {
+      total += current * SCALES[word]
+      current = 0
+      last = 'scale'
+      lastScale = SCALES[word]
+    } else if (word === 'and' && ['hundred', 'scale'].includes(last) &&
+        ['unit', 'teen', 'tens'].includes(numberWordKind(words[index + 1]))) {
+      last = 'and' // "one hundred and five"
+    } else {
+      flush()
+      output.push(word)
+    }
+  })
+  flush()
+
+  return output.join(' ')
+}
+
+/**
+ * Lower-cases and collapses whitespace, then applies the requested options.
+ */
+function normalizeText(value, options = []) {
+  let text = String(value).normalize('NFC').toLowerCase()
+
+  if (options.includes('accents')) {
+    text = text.normalize('NFD').replace(/\p{Diacritic}/gu, '').normalize('NFC')
+  }
+  if (options.includes('punctuation') || options.includes('numberWords')) {
+    text = text.replace(/[^\p{L}\p{N}\s]/gu, ' ')
+  }
+  text = text.replace(/\s+/g, ' ').trim()
+  if (options.includes('numberWords')) {
+    text = replaceNumberWords(text)
+  }
+
+  return text
+}
+
+/**
+ * Edit distance between two strings (insertions, deletions, substitutions).
+ */
+function levenshtein(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index)
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i]
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      )
+    }
+    previous = current
+  }
+
+  return previous[b.length]
+}
+
+function toList(value) {
+  if (value === undefined || value === null) {
+    return []
+  }
+  return Array.isArray(value) ? value : [value]
+}
+
+// `reason` keeps the bare message for the upload script's stage checks
+function configError(message) {
+  const error = new functions.https.HttpsError(
+    'failed-precondition',
+    `This stage's answer check is misconfigured (${message}). Please tell an organizer.`
+  )
+  error.reason = message
+  return error
+}
+
+// The accepted answers of a rule, from `answers` or `answer`
+function ruleAnswers(rule) {
+  return toList(rule.answers !== undefined ? rule.answers : rule.answer).map(String)
+}
+
+function requireValues(rule, values, field) {
+  if (values.length === 0 || values.some((value) => value === '')) {
+    throw configError(`rule "${rule.rule}" needs ${field}`)
+  }
+  return values
+}
+
+// Shared by the rules that compare whole answers, which may be hashed
+function prepareAnswers(rule, field) {
+  if (rule.answerHashes === undefined) {
+    return requireValues(rule, ruleAnswers(rule), field)
+  }
+  const hashes = toList(rule.answerHashes)
+  if (hashes.length === 0 || !hashes.every(isHashed)) {
+    throw configError(`rule "${rule.rule}" has invalid answerHashes`)
+  }
+  return hashes
+}
+
+async function matchesAnswers(answer, rule, options) {
+  const text = normalizeText(answer, options)
+
+  if (rule.answerHashes === undefined) {
+    return ruleAnswers(rule).some((accepted) => text === normalizeText(accepted, options))
+  }
+  for (const answerHash of toList(rule.answerHashes)) {
+    if (await verifySecret(text, answerHash)) {
+      return true
+    }
+  }
+  return false
+}
+
+/**
+ * Rules by name. check(answer, rule, options) receives the raw answer and
+ * the normalize options; prepare(rule) validates the rule's parameters and
+ * throws on bad configuration. `options` are always applied by the rule.
+ */
+const RULES = {
+  exact: {
+    prepare: (rule) => prepareAnswers(rule, 'an answer'),
+    check: matchesAnswers
+  },
+
+  anyOf: {
+    prepare: (rule) => prepareAnswers(rule, 'answers'),
+    check: matchesAnswers
+  },
+
+  contains: {
+    prepare: (rule) => requireValues(rule, toList(rule.keyword).map(String), 'a keyword'),
+    check: (answer, rule, options) => normalizeText(answer, options).includes(normalizeText(rule.keyword, options))
+  },
+
+  allOf: {
+    prepare: (rule) => requireValues(rule, toList(rule.keywords).map(String), 'keywords'),
+    check: (answer, rule, options) => {
+      const text = normalizeText(answer, options)
+      return toList(rule.keywords).every((keyword) => text.includes(normalizeText(keyword, options)))
+    }
+  },
+
+  regex: {
+    prepare: (rule) => {
+      try {
+        return new RegExp(rule.pattern, rule.flags !== undefined ? rule.flags : 'i')
+      } catch (error) {
+        throw configError(`invalid regex: ${error.message}`)
+      }
+    },
+    check: (answer, rule) => new RegExp(rule.pattern, rule.flags !== undefined ? rule.flags : 'i').test(String(answer).trim())
+  },
+
+  fuzzy: {
+    prepare: (rule) => {
+      if (rule.maxDistance !== undefined && !(Number.isInteger(rule.maxDistance) && rule.maxDistance >= 0)) {
+        throw configError('maxDistance must be a whole number of 0 or more')
+      }
+      return requireValues(rule, ruleAnswers(rule), 'an answer')
+    },
+    check: (answer, rule, options) => {
+      const maxDistance = rule.maxDistance !== undefined ? rule.maxDistance : DEFAULT_MAX_DISTANCE
+      const text = normalizeText(answer, options)
+      return ruleAnswers(rule).some((accepted) => levenshtein(text, normalizeText(accepted, options)) <= maxDistance)
+    }
+  },
+
+  normalized: {
+    options: ['accents', 'punctuation'],
+    prepare: (rule) => prepareAnswers(rule, 'an answer'),
+    check: matchesAnswers
+  },
+
+  numberWords: {
+    options: ['accents', 'punctuation', 'numberWords'],
+    prepare: (rule) => prepareAnswers(rule, 'an answer'),
+    check: matchesAnswers
+  }
+}
+
+/**
+ * Maps the fields of stages written before `validation` existed to rules:
+ * `answer` with validationFunction default/stage1 (exact), stage2 (comma
+ * separated list) or stage3 (contains).
+ */
+function legacyRules(stageData) {
+  const answer = stageData.answer
+  if (answer === undefined || answer === null || answer === '') {
+    return null
+  }
+
+  switch (stageData.validationFunction || 'default') {
+    case 'default':
+    case 'stage1':
+      return [{ rule: 'exact', answer: String(answer) }]
+    case 'stage2':
+      return [{ rule: 'anyOf', answers: String(answer).split(',').map((value) => value.trim()) }]
+    case 'stage3':
+      return [{ rule: 'contains', keyword: String(answer) }]
+    default:
+      throw configError(`unknown validation function "${stageData.validationFunction}"`)
+  }
+}
+
+/**
+ * Checks a list of rules and returns it, throwing failed-precondition on an
+ * unknown rule or bad parameters.
+ */
+function prepareRules(validation) {
+  const rules = toList(validation)
+  if (rules.length === 0) {
+    throw configError('validation has no rules')
+  }
+
+  rules.forEach((rule) => {
+    if (!rule || typeof rule !== 'object' || !Object.prototype.hasOwnProperty.call(RULES, rule.rule)) {
+      throw configError(`unknown validation rule "${rule && rule.rule}"`)
+    }
+    const unknownOptions = toList(rule.normalize).filter((option) => !NORMALIZE_OPTIONS.includes(option))
+    if (unknownOptions.length > 0) {
+      throw configError(`unknown normalize option "${unknownOptions[0]}"`)
+    }
+    RULES[rule.rule].prepare(rule)
+  })
+
+  return rules
+}
+
+/**
+ * Returns the rules of a text stage, or null if it has no answer (the
+ * finish stage).
+ */
+function getValidationRules(stageData) {
+  if (stageData.validation !== undefined && stageData.validation !== null) {
+    return prepareRules(stageData.validation)
+  }
+  return legacyRules(stageData)
+}
+
+function ruleOptions(rule) {
+  return [...(RULES[rule.rule].options || []), ...toList(rule.normalize)]
+}
+
+/**
+ * Resolves to true if any rule accepts the answer.
+ */
+async function matchesRules(answer, rules) {
+  for (const rule of rules) {
+    if (await RULES[rule.rule].check(answer, rule, ruleOptions(rule))) {
+      return true
+    }
+  }
+  return false
+}
+
+/**
+ * Replaces the answers of hashable rules with `answerHashes`, hashing each
+ * answer in the normalized form the rule compares. Returns the new rules and
+ * the names of the rules that had to keep their answers in plain text.
+ */
+async function hashRules(rules) {
+  const plainTextRules = []
+
+  const hashedRules = await Promise.all(rules.map(async (rule) => {
+    if (rule.answerHashes !== undefined) {
+      return rule // Already hashed
+    }
+    if (!HASHABLE_RULES.includes(rule.rule)) {
+      plainTextRules.push(rule.rule)
+      return rule
+    }
+
+    const { answer, answers, ...hashedRule } = rule
+    const options = ruleOptions(rule)
+    hashedRule.answerHashes = await Promise.all(
+      ruleAnswers(rule).map((accepted) => hashSecret(normalizeText(accepted, options)))
+    )
+    return hashedRule
+  }))
+
+  return { rules: hashedRules, plainTextRules }
+}
+
+/**
+ * Resolves to true if storedRules accept exactly what rules accept, where
+ * storedRules may have been hashed by hashRules. Used by the upload
+ * script's dry run, since hashing the same rules again never gives the same
+ * hashes.
+ */
+async function rulesMatch(rules, storedRules) {
+  const stored = toList(storedRules)
+  if (rules.length !== stored.length) {
+    return false
+  }
+
+  for (let index = 0; index < rules.length; index++) {
+    const rule = rules[index]
+    const storedRule = stored[index] || {}
+    const { answer, answers, answerHashes, ...settings } = rule
+    const { answer: storedAnswer, answers: storedAnswers, answerHashes: storedHashes, ...storedSettings } = storedRule
+
+    if (!isDeepStrictEqual(settings, storedSettings)) {
+      return false
+    }
+
+    if (storedHashes === undefined || answerHashes !== undefined) {
+      if (!isDeepStrictEqual([answer, answers, answerHashes], [storedAnswer, storedAnswers, storedHashes])) {
+        return false
+      }
+      continue
+    }
+
+    // Stored hashed, compared in the normalized form they were hashed in
+    const accepted = ruleAnswers(rule)
+    const hashes = toList(storedHashes)
+    if (accepted.length !== hashes.length) {
+      return false
+    }
+    for (let answerIndex = 0; answerIndex < accepted.length; answerIndex++) {
+      if (!(await verifySecret(normalizeText(accepted[answerIndex], ruleOptions(rule)), hashes[answerIndex]))) {
+        return false
+      }
+    }
+  }
+
+  return true
+}
+
+/**
+ * Short description of the rules for the attempt history, e.g. "anyOf".
+ */
+function describeRules(rules) {
+  return rules.map((rule) => rule.rule).join('|')
+}
+
+module.exports = {
+  normalizeText,
+  replaceNumberWords,
+  getValidationRules,
+  prepareRules,
+  hashRules,
+  rulesMatch,
+  matchesRules,
+  describeRules
+}
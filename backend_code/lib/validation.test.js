@@ -0,0 +1,171 @@
+const {
+  normalizeText,
+  replaceNumberWords,
+  getValidationRules,
+  prepareRules,
+  hashRules,
+  rulesMatch,
+  matchesRules,
+  describeRules
+} = require('./validation')
+
+const matches = (answer, validation) => matchesRules(answer, prepareRules(validation))
+
+describe('normalizeText', () => {
+  test('always ignores case and extra whitespace', () => {
+    expect(normalizeText('  The   Old\tBridge ')).toBe('the old bridge')
+  })
+
+  test('accents strips diacritics', () => {
+    expect(normalizeText('Café Crème', ['accents'])).toBe('cafe creme')
+    expect(normalizeText('Café')).toBe('café')
+  })
+
+  test('punctuation turns punctuation into spaces', () => {
+    expect(normalizeText("St. Paul's-Cathedral!", ['punctuation'])).toBe('st paul s cathedral')
+    expect(normalizeText('St. Paul')).toBe('st. paul')
+  })
+
+  test('numberWords reads number words as digits and strips punctuation', () => {
+    expect(normalizeText('Twenty-one lions.', ['numberWords'])).toBe('21 lions')
+  })
+})
+
+describe('replaceNumberWords', () => {
+  test('single words', () => {
+    expect(replaceNumberWords('zero')).toBe('0')
+    expect(replaceNumberWords('seven dwarfs')).toBe('7 dwarfs')
+    expect(replaceNumberWords('thirteen')).toBe('13')
+    expect(replaceNumberWords('ninety')).toBe('90')
+  })
+
+  test('tens and units combine', () => {
+    expect(replaceNumberWords('twenty one')).toBe('21')
+    expect(replaceNumberWords('ninety nine bottles')).toBe('99 bottles')
+  })
+
+  test('scale words combine', () => {
+    expect(replaceNumberWords('two hundred')).toBe('200')
+    expect(replaceNumberWords('two hundred and five')).toBe('205')
+    expect(replaceNumberWords('one hundred twelve')).toBe('112')
+    expect(replaceNumberWords('one thousand two hundred thirty four')).toBe('1234')
+    expect(replaceNumberWords('three million five hundred thousand')).toBe('3500000')
+    expect(replaceNumberWords('five thousand and one')).toBe('5001')
+  })
+
+  test('any other number word starts a new number', () => {
+    expect(replaceNumberWords('five five')).toBe('5 5')
+    expect(replaceNumberWords('one two three')).toBe('1 2 3')
+    expect(replaceNumberWords('platform nine three quarters')).toBe('platform 9 3 quarters')
+    expect(replaceNumberWords('nineteen eighty four')).toBe('19 84')
+    expect(replaceNumberWords('twenty twenty')).toBe('20 20')
+    expect(replaceNumberWords('twenty ten')).toBe('20 10')
+    expect(replaceNumberWords('zero seven')).toBe('0 7')
+  })
+
+  test('leaves scale words and "and" alone outside numbers', () => {
+    expect(replaceNumberWords('a hundred years')).toBe('a hundred years')
+    expect(replaceNumberWords('one and two')).toBe('1 and 2')
+    expect(replaceNumberWords('two hundred and counting')).toBe('200 and counting')
+    expect(replaceNumberWords('one thousand thousand')).toBe('1000 thousand')
+  })
+})
+
+describe('validation rules', () => {
+  test('exact', async () => {
+    expect(await matches(' Big Ben ', { rule: 'exact', answer: 'big ben' })).toBe(true)
+    expect(await matches('Big Ben tower', { rule: 'exact', answer: 'big ben' })).toBe(false)
+  })
+
+  test('anyOf', async () => {
+    const rule = { rule: 'anyOf', answers: ['Thames', 'River Thames'] }
+    expect(await matches('river thames', rule)).toBe(true)
+    expect(await matches('Seine', rule)).toBe(false)
+  })
+
+  test('contains', async () => {
+    const rule = { rule: 'contains', keyword: 'lion' }
+    expect(await matches('Four big lions', rule)).toBe(true)
+    expect(await matches('tigers', rule)).toBe(false)
+  })
+
+  test('allOf', async () => {
+    const rule = { rule: 'allOf', keywords: ['red', 'bus'] }
+    expect(await matches('a red double-decker bus', rule)).toBe(true)
+    expect(await matches('a red car', rule)).toBe(false)
+  })
+
+  test('regex defaults to case-insensitive', async () => {
+    expect(await matches('  1666 ', { rule: 'regex', pattern: '^16\\d\\d$' })).toBe(true)
+    expect(await matches('ABC', { rule: 'regex', pattern: '^abc$' })).toBe(true)
+    expect(await matches('ABC', { rule: 'regex', pattern: '^abc$', flags: '' })).toBe(false)
+  })
+
+  test('fuzzy', async () => {
+    expect(await matches('Trafalgar Sqare', { rule: 'fuzzy', answer: 'trafalgar square' })).toBe(true)
+    expect(await matches('Trafalgar', { rule: 'fuzzy', answer: 'trafalgar square' })).toBe(false)
+    expect(await matches('cat', { rule: 'fuzzy', answer: 'cap', maxDistance: 0 })).toBe(false)
+  })
+
+  test('normalized ignores accents and punctuation', async () => {
+    const rule = { rule: 'normalized', answer: 'Café de Flore' }
+    expect(await matches('cafe de flore!', rule)).toBe(true)
+    expect(await matches('cafe flore', rule)).toBe(false)
+  })
+
+  test('numberWords reads number words', async () => {
+    const rule = { rule: 'numberWords', answer: '21' }
+    expect(await matches('Twenty-one', rule)).toBe(true)
+    expect(await matches('twenty', rule)).toBe(false)
+    expect(await matches('five five', { rule: 'numberWords', answer: '10' })).toBe(false)
+    expect(await matches('five five', { rule: 'numberWords', answer: '55' })).toBe(false)
+  })
+
+  test('normalize options apply to other rules', async () => {
+    const rule = { rule: 'contains', keyword: 'seven', normalize: ['numberWords'] }
+    expect(await matches('7 sisters', rule)).toBe(true)
+  })
+
+  test('any matching rule accepts the answer', async () => {
+    const validation = [{ rule: 'exact', answer: 'north' }, { rule: 'exact', answer: 'south' }]
+    expect(await matches('south', validation)).toBe(true)
+    expect(describeRules(prepareRules(validation))).toBe('exact|exact')
+  })
+})
+
+describe('rule configuration', () => {
+  test('rejects unknown rules, options and missing parameters', () => {
+    expect(() => prepareRules({ rule: 'similar', answer: 'x' })).toThrow(/unknown validation rule/)
+    expect(() => prepareRules({ rule: 'exact', answer: 'x', normalize: ['case'] })).toThrow(/unknown normalize option/)
+    expect(() => prepareRules({ rule: 'exact' })).toThrow(/needs an answer/)
+    expect(() => prepareRules({ rule: 'regex', pattern: '(' })).toThrow(/invalid regex/)
+    expect(() => prepareRules([])).toThrow(/no rules/)
+  })
+
+  test('maps legacy validation functions to rules', () => {
+    expect(getValidationRules({ answer: 'Yes' })).toEqual([{ rule: 'exact', answer: 'Yes' }])
+    expect(getValidationRules({ answer: 'a, b', validationFunction: 'stage2' })).toEqual([{ rule: 'anyOf', answers: ['a', 'b'] }])
+    expect(getValidationRules({ answer: 'key', validationFunction: 'stage3' })).toEqual([{ rule: 'contains', keyword: 'key' }])
+    expect(getValidationRules({})).toBeNull()
+  })
+})
+
+describe('hashed answers', () => {
+  test('hashRules hashes the normalized answers of hashable rules only', async () => {
+    const rules = prepareRules([
+      { rule: 'numberWords', answer: 'Twenty-one' },
+      { rule: 'contains', keyword: 'lion' }
+    ])
+    const { rules: hashed, plainTextRules } = await hashRules(rules)
+
+    expect(hashed[0].answer).toBeUndefined()
+    expect(hashed[0].answerHashes).toHaveLength(1)
+    expect(hashed[1]).toEqual(rules[1])
+    expect(plainTextRules).toEqual(['contains'])
+
+    expect(await matchesRules('21', prepareRules(hashed))).toBe(true)
+    expect(await matchesRules('twenty two', prepareRules(hashed))).toBe(false)
+    expect(await rulesMatch(rules, hashed)).toBe(true)
+    expect(await rulesMatch(prepareRules([{ rule: 'numberWords', answer: '22' }, rules[1]]), hashed)).toBe(false)
+  })
+})
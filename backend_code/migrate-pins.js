@@ -0,0 +1,69 @@
+const { initializeAdmin, parseArgs, commitInBatches } = require('./lib/cli')
+const { hashSecret } = require('./lib/hashing')
+
+const admin = initializeAdmin()
+const db = admin.firestore()
+
+const USAGE = 'node migrate-pins.js [--dry-run]'
+
+/**
+ * Replaces the plain text `pin` field of every document in a PIN collection
+ * with a `pinHash`. Returns the IDs of the documents that were (or, in a dry
+ * run, would be) migrated.
+ */
+async function migrateCollection(collectionRef, dryRun) {
+  const snapshot = await collectionRef.get()
+  const plainTextDocs = snapshot.docs.filter((doc) => doc.get('pin') !== undefined)
+
+  const writes = await Promise.all(plainTextDocs.map(async (doc) => {
+    const { pin, pinHash } = doc.data()
+    // A document that already has a hash keeps it; the stale pin is dropped
+    const update = {
+      pinHash: pinHash || await hashSecret(String(pin)),
+      pin: admin.firestore.FieldValue.delete()
+    }
+    return (batch) => batch.update(doc.ref, update)
+  }))
+
+  if (!dryRun) {
+    await commitInBatches(db, writes)
+  }
+  return plainTextDocs.map((doc) => doc.id)
+}
+
+async function main() {
+  const { positional, options } = parseArgs(process.argv.slice(2), { flags: ['dry-run'] })
+  const dryRun = options['dry-run'] === true
+
+  if (positional.length > 0) {
+    console.error(`Usage: ${USAGE}`)
+    process.exit(1)
+  }
+
+  const collections = [db.collection('organizerPins')]
+  const events = await db.collection('events').get()
+  events.docs.forEach((eventDoc) => collections.push(eventDoc.ref.collection('groupPins')))
+
+  let total = 0
+  for (const collectionRef of collections) {
+    const migrated = await migrateCollection(collectionRef, dryRun)
+    if (migrated.length > 0) {
+      console.log(`${collectionRef.path}: ${migrated.join(', ')}`)
+    }
+    total += migrated.length
+  }
+
+  console.log(dryRun
+    ? `Dry run: ${total} plain text PIN(s) would be hashed`
+    : `Hashed ${total} plain text PIN(s)`)
+}
+
+// Run the script
+main()
+  .then(() => {
+    process.exit(0)
+  })
+  .catch((error) => {
+    console.error('Fatal error:', error)
+    process.exit(1)
+  })
@@ -0,0 +1,158 @@
+const { initializeAdmin, parseArgs } = require('./lib/cli')
+const { hashSecret, verifySecret } = require('./lib/hashing')
+
+const admin = initializeAdmin()
+const db = admin.firestore()
+
+const USAGE = [
+  'node organizers.js set <organizerId> <pin> [--name "Display name"]',
+  'node organizers.js remove <organizerId>',
+  'node organizers.js revoke <organizerId>',
+  'node organizers.js list'
+].join('\n       ')
+
+const ORGANIZER_ID_PATTERN = /^[a-zA-Z0-9_-]+$/
+
+const ORGANIZER_CLAIMS = ['organizer', 'organizerId', 'organizerName', 'organizerExpiresAt']
+
+function usageError(message) {
+  console.error(`Error: ${message}`)
+  console.error(`Usage: ${USAGE}`)
+  process.exit(1)
+}
+
+/**
+ * Returns the ID of another organizer whose PIN is pin, or null. PINs are
+ * hashed, so every document has to be checked.
+ */
+async function findOrganizerWithPin(pin, exceptId) {
+  const snapshot = await db.collection('organizerPins').get()
+
+  for (const doc of snapshot.docs) {
+    if (doc.id !== exceptId && await verifySecret(pin, doc.get('pinHash'))) {
+      return doc.id
+    }
+  }
+  return null
+}
+
+async function setOrganizer(organizerId, pin, name) {
+  if (!organizerId || !ORGANIZER_ID_PATTERN.test(organizerId)) {
+    usageError('organizerId is required and may only contain letters, numbers, dashes and underscores')
+  }
+  if (!pin || !/^\d+$/.test(pin)) {
+    usageError('pin is required and must be numeric')
+  }
+
+  // authorizeOrganizer logs in as the first organizer whose PIN matches
+  const owner = await findOrganizerWithPin(pin, organizerId)
+  if (owner) {
+    console.error(`Error: organizer "${owner}" already uses this PIN`)
+    process.exit(1)
+  }
+
+  const ref = db.collection('organizerPins').doc(organizerId)
+  const existing = await ref.get()
+  await ref.set({
+    pinHash: await hashSecret(pin),
+    name: name || existing.get('name') || organizerId
+  })
+  console.log(`${existing.exists ? 'Updated' : 'Created'} organizer "${organizerId}"`)
+}
+
+/**
+ * Takes the organizer claim away from every user who logged in as
+ * organizerId and signs them out, so the dashboard asks for a PIN again.
+ * ID tokens that were already issued keep working until they expire, within
+ * an hour. Returns the number of users.
+ */
+async function revokeSessions(organizerId) {
+  let pageToken
+  let revoked = 0
+
+  do {
+    const page = await admin.auth().listUsers(1000, pageToken)
+
+    for (const user of page.users) {
+      const claims = { ...(user.customClaims || {}) }
+      if (claims.organizerId !== organizerId) {
+        continue
+      }
+
+      ORGANIZER_CLAIMS.forEach((claim) => delete claims[claim])
+      await admin.auth().setCustomUserClaims(user.uid, claims)
+      await admin.auth().revokeRefreshTokens(user.uid)
+      revoked++
+    }
+    pageToken = page.pageToken
+  } while (pageToken)
+
+  return revoked
+}
+
+async function revokeOrganizer(organizerId) {
+  if (!organizerId) {
+    usageError('organizerId is required')
+  }
+
+  const revoked = await revokeSessions(organizerId)
+  console.log(`Signed out ${revoked} session(s) of organizer "${organizerId}"`)
+}
+
+async function removeOrganizer(organizerId) {
+  if (!organizerId) {
+    usageError('organizerId is required')
+  }
+
+  const ref = db.collection('organizerPins').doc(organizerId)
+  if (!(await ref.get()).exists) {
+    console.error(`Error: organizer "${organizerId}" not found`)
+    process.exit(1)
+  }
+
+  await ref.delete()
+  const revoked = await revokeSessions(organizerId)
+  console.log(`Removed organizer "${organizerId}" and signed out ${revoked} session(s). Their PIN no longer works.`)
+}
+
+async function listOrganizers() {
+  const snapshot = await db.collection('organizerPins').get()
+
+  snapshot.docs.forEach((doc) => {
+    const { name, pinHash } = doc.data()
+    console.log(`${doc.id}  ${name || ''}${pinHash ? '' : '  (plain text PIN - run migrate-pins.js)'}`)
+  })
+  console.log(`${snapshot.size} organizer(s)`)
+}
+
+async function main() {
+  const { positional, options } = parseArgs(process.argv.slice(2))
+  const [command, organizerId, pin] = positional
+
+  switch (command) {
+    case 'set':
+      await setOrganizer(organizerId, pin, options.name !== true ? options.name : null)
+      break
+    case 'remove':
+      await removeOrganizer(organizerId)
+      break
+    case 'revoke':
+      await revokeOrganizer(organizerId)
+      break
+    case 'list':
+      await listOrganizers()
+      break
+    default:
+      usageError(command ? `unknown command "${command}"` : 'a command is required')
+  }
+}
+
+// Run the script
+main()
+  .then(() => {
+    process.exit(0)
+  })
+  .catch((error) => {
+    console.error('Fatal error:', error)
+    process.exit(1)
+  })
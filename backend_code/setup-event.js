@@ -0,0 +1,86 @@
+const { initializeAdmin, parseArgs } = require('./lib/cli')
+const { EVENT_ID_PATTERN } = require('./lib/events')
+
+const admin = initializeAdmin()
+const db = admin.firestore()
+
+const USAGE = 'node setup-event.js <eventId> [--name "Event name"] [--active true|false] ' +
+  '[--starts-at 2026-05-01T10:00] [--ends-at 2026-05-01T13:00]'
+
+/**
+ * Parses a --starts-at/--ends-at value into epoch ms. "none" clears the
+ * time (the hunt then starts immediately / never ends).
+ */
+function parseTime(value, optionName) {
+  if (value === 'none') {
+    return null
+  }
+
+  const time = Date.parse(value)
+  if (value === true || Number.isNaN(time)) {
+    console.error(`Error: --${optionName} must be a date and time, e.g. 2026-05-01T10:00, or "none"`)
+    console.error(`Usage: ${USAGE}`)
+    process.exit(1)
+  }
+  return time
+}
+
+async function main() {
+  const { positional, options } = parseArgs(process.argv.slice(2))
+  const eventId = positional[0]
+
+  if (!eventId || !EVENT_ID_PATTERN.test(eventId)) {
+    console.error('Error: eventId is required and may only contain letters, numbers, dashes and underscores')
+    console.error(`Usage: ${USAGE}`)
+    process.exit(1)
+  }
+
+  const eventRef = db.collection('events').doc(eventId)
+  const existing = await eventRef.get()
+
+  // Only overwrite the fields that were passed, so the script can also be
+  // used to rename or (de)activate an existing event
+  const eventData = {}
+  if (options.name && options.name !== true) {
+    eventData.name = options.name
+  } else if (!existing.exists) {
+    eventData.name = eventId
+  }
+  if (options.active !== undefined) {
+    eventData.active = options.active !== 'false'
+  } else if (!existing.exists) {
+    eventData.active = true
+  }
+
+  // Hunt schedule (see lib/schedule.js), stored as epoch ms
+  if (options['starts-at'] !== undefined) {
+    eventData.startsAt = parseTime(options['starts-at'], 'starts-at')
+  }
+  if (options['ends-at'] !== undefined) {
+    eventData.endsAt = parseTime(options['ends-at'], 'ends-at')
+  }
+
+  const startsAt = eventData.startsAt !== undefined ? eventData.startsAt : existing.get('startsAt')
+  const endsAt = eventData.endsAt !== undefined ? eventData.endsAt : existing.get('endsAt')
+  if (startsAt && endsAt && endsAt <= startsAt) {
+    console.error('Error: the hunt must end after it starts')
+    process.exit(1)
+  }
+
+  await eventRef.set(eventData, { merge: true })
+  console.log(`${existing.exists ? 'Updated' : 'Created'} event "${eventId}"`)
+  if (startsAt || endsAt) {
+    console.log(`  Starts: ${startsAt ? new Date(startsAt).toString() : 'immediately'}`)
+    console.log(`  Ends:   ${endsAt ? new Date(endsAt).toString() : 'never'}`)
+  }
+}
+
+// Run the script
+main()
+  .then(() => {
+    process.exit(0)
+  })
+  .catch((error) => {
+    console.error('Fatal error:', error)
+    process.exit(1)
+  })
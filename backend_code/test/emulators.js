@@ -0,0 +1,99 @@
+const admin = require('firebase-admin')
+const functionsTest = require('firebase-functions-test')
+const { hashSecret } = require('../lib/hashing')
+
+/**
+ * Emulator test helpers
+ *
+ * Tests that touch Firestore, the Realtime Database, Auth or Storage run
+ * against the local emulators (`npm run test:emulators`, which sets
+ * FIRESTORE_EMULATOR_HOST, FIREBASE_DATABASE_EMULATOR_HOST,
+ * FIREBASE_AUTH_EMULATOR_HOST and FIREBASE_STORAGE_EMULATOR_HOST). Without the emulators those suites are
+ * skipped, so a plain `npm test` only runs the unit tests.
+ */
+
+const PROJECT_ID = 'demo-cityhunt'
+
+const emulatorsRunning = Boolean(
+  process.env.FIRESTORE_EMULATOR_HOST &&
+  process.env.FIREBASE_DATABASE_EMULATOR_HOST &&
+  process.env.FIREBASE_AUTH_EMULATOR_HOST &&
+  process.env.FIREBASE_STORAGE_EMULATOR_HOST
+)
+
+const describeWithEmulators = emulatorsRunning ? describe : describe.skip
+
+/**
+ * Points firebase-admin (and index.js) at the demo project. Call before
+ * requiring index.js; call cleanup() on the result in afterAll.
+ */
+function initializeFunctionsTest() {
+  const test = functionsTest({
+    projectId: PROJECT_ID,
+    databaseURL: `https://${PROJECT_ID}-default-rtdb.firebaseio.com`,
+    storageBucket: `${PROJECT_ID}.appspot.com`
+  })
+
+  return {
+    wrap: test.wrap,
+    cleanup: async () => {
+      test.cleanup()
+      await Promise.all(admin.apps.map((app) => app.delete()))
+    }
+  }
+}
+
+/**
+ * The context a callable sees for a signed-in user.
+ */
+function callableContext(uid, token = {}) {
+  return { auth: { uid, token } }
+}
+
+/**
+ * Creates an event document with the given fields.
+ */
+async function createEvent(eventId, data = {}) {
+  await admin.firestore().collection('events').doc(eventId).set({
+    name: eventId,
+    active: true,
+    ...data
+  })
+}
+
+/**
+ * Creates an active group with a hashed PIN.
+ */
+async function createGroup(eventId, groupId, pin) {
+  const eventDoc = admin.firestore().collection('events').doc(eventId)
+  await eventDoc.collection('groups').doc(groupId).set({ displayName: groupId, active: true })
+  await eventDoc.collection('groupPins').doc(groupId).set({ pinHash: await hashSecret(pin) })
+}
+
+/**
+ * Creates a text stage stored as stage{N}, answered with `answer`.
+ */
+async function createStage(eventId, stageNum, answer, data = {}) {
+  await admin.firestore().collection('events').doc(eventId)
+    .collection('stages').doc(`stage${stageNum}`)
+    .set({ stageId: stageNum, title: `Stage ${stageNum}`, answer, ...data })
+}
+
+/**
+ * Removes everything an event left behind in both databases.
+ */
+async function deleteEvent(eventId) {
+  await admin.firestore().recursiveDelete(admin.firestore().collection('events').doc(eventId))
+  await admin.database().ref(`events/${eventId}`).remove()
+}
+
+module.exports = {
+  PROJECT_ID,
+  describeWithEmulators,
+  initializeFunctionsTest,
+  callableContext,
+  createEvent,
+  createGroup,
+  createStage,
+  deleteEvent
+}
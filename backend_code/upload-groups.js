@@ -0,0 +1,130 @@
+const fs = require('fs')
+const { initializeAdmin, parseArgs, requireEventOption, commitInBatches } = require('./lib/cli')
+const { hashSecret } = require('./lib/hashing')
+const { GROUP_ID_PATTERN } = require('./lib/groups')
+
+// Initialize Firebase Admin
+// Make sure to set GOOGLE_APPLICATION_CREDENTIALS environment variable
+// or provide service account key file path
+const admin = initializeAdmin()
+const db = admin.firestore()
+
+const USAGE = 'node upload-groups.js --event <eventId> [path-to-groups-data.json]'
+
+function validateGroups(groupsData) {
+  const errors = []
+  const seenIds = new Set()
+
+  groupsData.forEach((group, index) => {
+    const label = group.groupId ? `Group "${group.groupId}"` : `Group at index ${index}`
+
+    if (!group.groupId || typeof group.groupId !== 'string') {
+      errors.push(`${label}: groupId is required`)
+    } else if (!GROUP_ID_PATTERN.test(group.groupId)) {
+      errors.push(`${label}: groupId may only contain letters, numbers, dashes and underscores`)
+    } else if (seenIds.has(group.groupId)) {
+      errors.push(`${label}: duplicate groupId`)
+    } else {
+      seenIds.add(group.groupId)
+    }
+
+    if (!group.displayName) {
+      errors.push(`${label}: displayName is required`)
+    }
+
+    if (group.pin !== undefined && !/^\d+$/.test(String(group.pin))) {
+      errors.push(`${label}: pin must be numeric`)
+    }
+  })
+
+  return errors
+}
+
+async function uploadGroups(eventRef, groupsData) {
+  // PINs are stored as salted hashes (see lib/hashing.js)
+  const pinHashes = await Promise.all(groupsData.map((group) => (
+    group.pin !== undefined ? hashSecret(String(group.pin)) : null
+  )))
+
+  const writes = []
+
+  groupsData.forEach((group, index) => {
+    // PINs go to groupPins only - the groups collection is public
+    const { groupId, pin, ...groupData } = group
+    const groupDoc = {
+      displayName: groupData.displayName,
+      colour: groupData.colour || null,
+      emoji: groupData.emoji || null,
+      active: groupData.active !== false,
+      order: typeof groupData.order === 'number' ? groupData.order : index + 1
+    }
+
+    writes.push((batch) => batch.set(eventRef.collection('groups').doc(groupId), groupDoc))
+
+    // Only overwrite the PIN if one is given, so names can be edited without resetting PINs
+    if (pin !== undefined) {
+      writes.push((batch) => batch.set(eventRef.collection('groupPins').doc(groupId), { pinHash: pinHashes[index] }))
+    }
+  })
+
+  // Large events can have more than one batch's worth of groups and PINs
+  const batchCount = await commitInBatches(db, writes)
+  console.log(`Committed ${writes.length} write(s) in ${batchCount} batch(es)`)
+}
+
+async function main() {
+  // Get groups data file path from command line or use default
+  const { positional, options } = parseArgs(process.argv.slice(2))
+  const groupsFile = positional[0] || './groups-data.json'
+
+  if (!fs.existsSync(groupsFile)) {
+    console.error(`Error: Groups data file not found: ${groupsFile}`)
+    console.error(`Usage: ${USAGE}`)
+    process.exit(1)
+  }
+
+  // Groups and PINs are uploaded to /events/{eventId}/groups and /events/{eventId}/groupPins
+  const eventRef = await requireEventOption(db, options, USAGE)
+
+  // Read groups data
+  let groupsData
+  try {
+    const fileContent = fs.readFileSync(groupsFile, 'utf8')
+    groupsData = JSON.parse(fileContent)
+  } catch (error) {
+    console.error(`Error reading or parsing ${groupsFile}:`, error.message)
+    process.exit(1)
+  }
+
+  if (!Array.isArray(groupsData) || groupsData.length === 0) {
+    console.error('Error: Groups data must be a non-empty array')
+    process.exit(1)
+  }
+
+  const errors = validateGroups(groupsData)
+  if (errors.length > 0) {
+    errors.forEach((error) => console.error(`Error: ${error}`))
+    process.exit(1)
+  }
+
+  console.log(`Uploading ${groupsData.length} group(s)...`)
+
+  try {
+    await uploadGroups(eventRef, groupsData)
+    console.log(`Successfully uploaded ${groupsData.length} group(s) to event "${eventRef.id}"`)
+  } catch (error) {
+    console.error('Error uploading groups:', error.message)
+    process.exit(1)
+  }
+}
+
+// Run the script
+main()
+  .then(() => {
+    console.log('Upload complete!')
+    process.exit(0)
+  })
+  .catch((error) => {
+    console.error('Fatal error:', error)
+    process.exit(1)
+  })
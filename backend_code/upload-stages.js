@@ -1,39 +1,28 @@
-const admin = require('firebase-admin')
 const fs = require('fs')
 const path = require('path')
+const { isDeepStrictEqual } = require('util')
+const { initializeAdmin, parseArgs, requireEventOption, commitInBatches } = require('./lib/cli')
+const { getValidationRules, hashRules, rulesMatch } = require('./lib/validation')
+const { isAnswerType } = require('./lib/answer-types')
+const { stageNumberOf, checkStages } = require('./lib/stage-schema')
 
 // Initialize Firebase Admin
 // Make sure to set GOOGLE_APPLICATION_CREDENTIALS environment variable
 // or provide service account key file path
-if (!admin.apps.length) {
-  try {
-    // Try to initialize with default credentials (from environment variable)
-    admin.initializeApp({
-      credential: admin.credential.applicationDefault()
-    })
-  } catch (error) {
-    // If default credentials fail, try service account file
-    const serviceAccountPath = process.env.SERVICE_ACCOUNT_PATH || './serviceAccountKey.json'
-    if (fs.existsSync(serviceAccountPath)) {
-      const serviceAccount = require(path.resolve(serviceAccountPath))
-      admin.initializeApp({
-        credential: admin.credential.cert(serviceAccount)
-      })
-    } else {
-      console.error('Error: Firebase Admin not initialized.')
-      console.error('Please set GOOGLE_APPLICATION_CREDENTIALS environment variable')
-      console.error('or provide serviceAccountKey.json file in the current directory.')
-      process.exit(1)
-    }
-  }
-}
-
+const admin = initializeAdmin()
 const db = admin.firestore()
 
-async function checkStagesCollection() {
+const USAGE = [
+  'node upload-stages.js --event <eventId> [--dry-run] [--sync] [path-to-stages-data.json]',
+  '       node upload-stages.js --event <eventId> --restore <backup-file>'
+].join('\n')
+
+// Copies of the stages collection, written before every upload or restore
+const BACKUP_DIR = path.join(__dirname, 'stage-backups')
+
+async function checkStagesCollection(stagesRef) {
   try {
     // Verify Firestore connection by attempting to access the stages collection
-    const stagesRef = db.collection('stages')
     await stagesRef.limit(1).get()
     return true
   } catch (error) {
@@ -46,57 +35,235 @@ async function checkStagesCollection() {
   }
 }
 
-async function uploadStages(stagesData) {
-  const batch = db.batch()
-  let batchCount = 0
-  const BATCH_LIMIT = 500 // Firestore batch limit
-
-  for (const stage of stagesData) {
-    // Ensure stageId matches document ID format
-    const docId = stage.stageId ? `stage${stage.stageId}` : stage.docId || `stage${stage.stageId}`
-    
-    if (!docId) {
-      console.error(`Skipping stage without docId or stageId:`, stage)
+/**
+ * Replaces plain-text answers with salted hashes (see lib/validation.js and
+ * lib/hashing.js), so solutions are not readable in Firestore. Returns the
+ * stages to upload, the stages whose answers cannot be hashed (as warnings)
+ * and configuration errors.
+ *
+ * With hash: false the answers are converted to rules but left in plain
+ * text, for the dry run to compare against the stored hashes.
+ */
+async function hashStageAnswers(stagesData, { hash = true } = {}) {
+  const warnings = []
+  const errors = []
+
+  const stages = await Promise.all(stagesData.map(async (stage, index) => {
+    const label = `Stage ${stage.stageId || stage.docId || `at index ${index}`}`
+
+    // Structured stages compare against the answer itself
+    if (isAnswerType(stage.type)) {
+      warnings.push(`${label}: type "${stage.type}" cannot be checked against a hash, its answer is stored in plain text`)
+      return stage
+    }
+    // Location, QR and photo stages have no text answer
+    if (stage.type && stage.type !== 'text') {
+      return stage
+    }
+
+    let rules
+    try {
+      rules = getValidationRules(stage)
+    } catch (error) {
+      errors.push(`${label}: ${error.reason || error.message}`)
+      return stage
+    }
+    if (!rules) {
+      return stage // Finish stage without an answer
+    }
+
+    const { rules: hashedRules, plainTextRules } = await hashRules(rules)
+    if (plainTextRules.length > 0) {
+      warnings.push(`${label}: rule(s) ${plainTextRules.join(', ')} cannot be checked against a hash, their answers are stored in plain text`)
+    }
+
+    const { answer, validationFunction, ...hashedStage } = stage
+    return { ...hashedStage, validation: hash ? hashedRules : rules }
+  }))
+
+  return { stages, warnings, errors }
+}
+
+/**
+ * The document ID and data a stage is stored as: `stage{N}`, with stageId
+ * set and docId left out.
+ */
+function toStageDocument(stage) {
+  const stageId = stageNumberOf(stage)
+  const { docId, ...stageData } = stage
+  return { docId: `stage${stageId}`, data: { ...stageData, stageId } }
+}
+
+const formatValue = (value) => {
+  const text = JSON.stringify(value)
+  return text.length > 60 ? `${text.slice(0, 57)}...` : text
+}
+
+/**
+ * Compares the stages that would be uploaded (answers not hashed yet) with
+ * the stage documents in Firestore (a snapshot of the collection). Returns { added, changed, removed,
+ * unchanged }, where changed lists { docId, fields } with one line per
+ * changed field.
+ */
+async function diffStages(snapshot, stages) {
+  const stored = new Map(snapshot.docs.map((doc) => [doc.id, doc.data()]))
+  const diff = { added: [], changed: [], removed: [], unchanged: [] }
+
+  for (const stage of stages) {
+    const { docId, data } = toStageDocument(stage)
+    const current = stored.get(docId)
+    stored.delete(docId)
+
+    if (!current) {
+      diff.added.push(docId)
       continue
     }
 
-    const docRef = db.collection('stages').doc(docId)
-    
-    // Prepare document data (exclude docId from data)
-    const { docId: _, ...stageData } = stage
-    
-    batch.set(docRef, {
-      ...stageData,
-      stageId: stage.stageId || parseInt(docId.replace('stage', ''))
-    }, { merge: false }) // Overwrite completely
-    
-    batchCount++
-
-    // Firestore batch limit is 500 operations
-    if (batchCount >= BATCH_LIMIT) {
-      await batch.commit()
-      console.log(`Committed batch of ${batchCount} documents`)
-      batchCount = 0
+    const fields = []
+    const names = [...new Set([...Object.keys(current), ...Object.keys(data)])].sort()
+    for (const name of names) {
+      if (name === 'validation' && data.validation !== undefined && current.validation !== undefined) {
+        // Stored answers are hashed, so compare them by verifying the new answers
+        if (!(await rulesMatch(data.validation, current.validation))) {
+          fields.push('validation: rules or answers changed')
+        }
+      } else if (!isDeepStrictEqual(current[name], data[name])) {
+        if (data[name] === undefined) {
+          fields.push(`${name}: removed`)
+        } else if (current[name] === undefined) {
+          fields.push(`${name}: added ${formatValue(data[name])}`)
+        } else {
+          fields.push(`${name}: ${formatValue(current[name])} -> ${formatValue(data[name])}`)
+        }
+      }
+    }
+
+    if (fields.length > 0) {
+      diff.changed.push({ docId, fields })
+    } else {
+      diff.unchanged.push(docId)
     }
   }
 
-  // Commit remaining documents
-  if (batchCount > 0) {
-    await batch.commit()
-    console.log(`Committed final batch of ${batchCount} documents`)
+  diff.removed = [...stored.keys()]
+  return diff
+}
+
+function printDiff(diff, { sync }) {
+  diff.added.forEach((docId) => console.log(`  + ${docId} (new)`))
+  diff.changed.forEach(({ docId, fields }) => {
+    console.log(`  ~ ${docId}`)
+    fields.forEach((field) => console.log(`      ${field}`))
+  })
+  diff.removed.forEach((docId) => console.log(sync
+    ? `  - ${docId} (not in the file, deleted by --sync)`
+    : `  ! ${docId} is in Firestore but not in the file (kept, use --sync to delete it)`))
+  console.log(`${diff.added.length} new, ${diff.changed.length} changed, ${diff.unchanged.length} unchanged, ${diff.removed.length} ${sync ? 'deleted' : 'only in Firestore'}`)
+}
+
+/**
+ * Saves the current stage documents to stage-backups/ as
+ * { eventId, createdAt, stages: { [docId]: data } } and returns the file
+ * path, or null if there are none to save.
+ */
+function backupStages(eventId, snapshot) {
+  if (snapshot.empty) {
+    return null
   }
+
+  const stages = {}
+  snapshot.docs.forEach((doc) => {
+    stages[doc.id] = doc.data()
+  })
+
+  const createdAt = new Date().toISOString()
+  const backupFile = path.join(BACKUP_DIR, `${eventId}-${createdAt.replace(/[:.]/g, '-')}.json`)
+  fs.mkdirSync(BACKUP_DIR, { recursive: true })
+  fs.writeFileSync(backupFile, JSON.stringify({ eventId, createdAt, stages }, null, 2))
+  return backupFile
+}
+
+/**
+ * Writes the stage documents ([{ docId, data }]), each overwriting the
+ * stored one completely, and deletes the documents in deleteDocIds.
+ */
+async function writeStages(stagesRef, documents, deleteDocIds = []) {
+  const writes = [
+    ...documents.map(({ docId, data }) => (batch) => batch.set(stagesRef.doc(docId), data)),
+    ...deleteDocIds.map((docId) => (batch) => batch.delete(stagesRef.doc(docId)))
+  ]
+
+  const batchCount = await commitInBatches(db, writes)
+  console.log(`Committed ${writes.length} write(s) in ${batchCount} batch(es)`)
+}
+
+/**
+ * Puts the stages collection back to the state saved in a backup file:
+ * every saved stage is written as it was and stages added since are
+ * deleted. The current state is backed up first, so a restore can be
+ * undone the same way.
+ */
+async function restoreStages(eventRef, stagesRef, backupFile) {
+  let backup
+  try {
+    backup = JSON.parse(fs.readFileSync(backupFile, 'utf8'))
+  } catch (error) {
+    console.error(`Error reading backup ${backupFile}:`, error.message)
+    process.exit(1)
+  }
+
+  if (!backup || typeof backup.stages !== 'object' || !backup.stages) {
+    console.error(`Error: ${backupFile} is not a stages backup`)
+    process.exit(1)
+  }
+  if (backup.eventId !== eventRef.id) {
+    console.error(`Error: ${backupFile} is a backup of event "${backup.eventId}", not "${eventRef.id}"`)
+    process.exit(1)
+  }
+
+  const documents = Object.entries(backup.stages).map(([docId, data]) => ({ docId, data }))
+  const snapshot = await stagesRef.get()
+  const deleteDocIds = snapshot.docs.map((doc) => doc.id).filter((docId) => !backup.stages[docId])
+
+  const currentBackup = backupStages(eventRef.id, snapshot)
+  if (currentBackup) {
+    console.log(`Backed up the current stages to ${currentBackup}`)
+  }
+
+  console.log(`Restoring ${documents.length} stage(s) from ${backup.createdAt || backupFile}...`)
+  deleteDocIds.forEach((docId) => console.log(`  - deleting ${docId} (not in the backup)`))
+  await writeStages(stagesRef, documents, deleteDocIds)
+  console.log(`Restored ${documents.length} stage document(s) to event "${eventRef.id}"`)
 }
 
 async function main() {
   // Get stages data file path from command line or use default
-  const stagesFile = process.argv[2] || './stages-data.json'
-  
+  const { positional, options } = parseArgs(process.argv.slice(2), { flags: ['dry-run', 'sync'] })
+  const dryRun = options['dry-run'] === true
+  const sync = options.sync === true
+  const stagesFile = positional[0] || './stages-data.json'
+
+  if (options.restore !== undefined) {
+    if (options.restore === true || !fs.existsSync(options.restore)) {
+      console.error(`Error: Backup file not found: ${options.restore === true ? '' : options.restore}`)
+      console.error(`Usage: ${USAGE}`)
+      process.exit(1)
+    }
+    const eventRef = await requireEventOption(db, options, USAGE)
+    await restoreStages(eventRef, eventRef.collection('stages'), options.restore)
+    process.exit(0)
+  }
+
   if (!fs.existsSync(stagesFile)) {
     console.error(`Error: Stages data file not found: ${stagesFile}`)
-    console.error('Usage: node upload-stages.js [path-to-stages-data.json]')
+    console.error(`Usage: ${USAGE}`)
     process.exit(1)
   }
 
+  // Stages are uploaded to /events/{eventId}/stages
+  const eventRef = await requireEventOption(db, options, USAGE)
+  const stagesRef = eventRef.collection('stages')
+
   // Read stages data
   let stagesData
   try {
@@ -120,20 +287,64 @@ async function main() {
 
   console.log(`Found ${stagesData.length} stage(s) to upload`)
 
+  // Check every stage before anything is written (see lib/stage-schema.js)
+  const check = checkStages(stagesData)
+  check.warnings.forEach((warning) => console.warn(`Warning: ${warning}`))
+  if (check.errors.length > 0) {
+    check.errors.forEach((error) => console.error(`Error: ${error}`))
+    console.error(`${check.errors.length} error(s) found, nothing was uploaded`)
+    process.exit(1)
+  }
+
+  // Hash answers before anything is written
+  console.log(dryRun ? 'Checking answers...' : 'Hashing answers...')
+  const { stages, warnings, errors } = await hashStageAnswers(stagesData, { hash: !dryRun })
+  warnings.forEach((warning) => console.warn(`Warning: ${warning}`))
+  if (errors.length > 0) {
+    errors.forEach((error) => console.error(`Error: ${error}`))
+    process.exit(1)
+  }
+
   // Check if stages collection exists
   console.log('Checking if stages collection exists...')
-  const collectionExists = await checkStagesCollection()
+  const collectionExists = await checkStagesCollection(stagesRef)
   
   if (!collectionExists) {
     console.error('Error: stages collection not found or not accessible')
     process.exit(1)
   }
 
+  const snapshot = await stagesRef.get()
+
+  if (dryRun) {
+    console.log(`Dry run - changes to event "${eventRef.id}":`)
+    printDiff(await diffStages(snapshot, stages), { sync })
+    console.log('Dry run: nothing was uploaded')
+    process.exit(0)
+  }
+
+  // Stages left in Firestore still count towards totalStages in the game
+  const documents = stages.map(toStageDocument)
+  const fileDocIds = new Set(documents.map(({ docId }) => docId))
+  const staleDocIds = snapshot.docs.map((doc) => doc.id).filter((docId) => !fileDocIds.has(docId))
+  if (staleDocIds.length > 0 && !sync) {
+    console.warn(`Warning: ${staleDocIds.join(', ')} ${staleDocIds.length === 1 ? 'is' : 'are'} in Firestore but not in the file and will be kept. Run with --sync to delete them.`)
+  }
+
+  const backupFile = backupStages(eventRef.id, snapshot)
+  if (backupFile) {
+    console.log(`Backed up the current stages to ${backupFile}`)
+    console.log(`  Undo with: node upload-stages.js --event ${eventRef.id} --restore ${path.relative(process.cwd(), backupFile)}`)
+  }
+
   console.log('Stages collection found. Uploading documents...')
 
   try {
-    await uploadStages(stagesData)
-    console.log(`Successfully uploaded ${stagesData.length} stage document(s)`)
+    if (sync) {
+      staleDocIds.forEach((docId) => console.log(`  - deleting ${docId} (not in the file)`))
+    }
+    await writeStages(stagesRef, documents, sync ? staleDocIds : [])
+    console.log(`Successfully uploaded ${stages.length} stage document(s) to event "${eventRef.id}"`)
   } catch (error) {
     console.error('Error uploading stages:', error.message)
     process.exit(1)
@@ -0,0 +1,121 @@
+/**
+ * Service worker: keeps the game working without a connection and shows
+ * the organizers' push notifications.
+ *
+ * - Pages are fetched from the network first and fall back to the cached
+ *   index.html (the app is a single page, so one copy serves every route).
+ * - The built assets are cached on install and whenever they are loaded;
+ *   their names contain a content hash, so a cached copy is never stale.
+ * - Stage images are cached the first time they are shown.
+ *
+ * Stage content and queued answers are kept by the app itself
+ * (src/offline.js and src/submission-queue.js). Bump CACHE_NAME to drop
+ * everything cached by an older version.
+ *
+ * Notifications arrive as FCM data messages ({ data: { title, body } }, see
+ * backend_code/lib/push.js); tapping one opens or focuses the game.
+ */
+
+const CACHE_NAME = 'cityhunt-v1'
+const INDEX_URL = new URL('index.html', self.registration.scope).href
+
+const isCacheable = (response) => response && (response.ok || response.type === 'opaque')
+
+// Fetches the current index.html and caches it with the assets it references
+const cacheAppShell = async () => {
+  const cache = await caches.open(CACHE_NAME)
+  const response = await fetch(INDEX_URL, { cache: 'no-cache' })
+  if (!response.ok) {
+    return
+  }
+  const html = await response.clone().text()
+  const assets = [...html.matchAll(/(?:src|href)="([^"]+)"/g)]
+    .map((match) => new URL(match[1], INDEX_URL).href)
+    .filter((url) => url.startsWith(self.registration.scope))
+  await cache.put(INDEX_URL, response)
+  await cache.addAll(assets)
+}
+
+const cacheFirst = async (request) => {
+  const cached = await caches.match(request)
+  if (cached) {
+    return cached
+  }
+  const response = await fetch(request)
+  if (isCacheable(response)) {
+    const cache = await caches.open(CACHE_NAME)
+    await cache.put(request, response.clone())
+  }
+  return response
+}
+
+const networkFirstPage = async (request) => {
+  try {
+    const response = await fetch(request)
+    if (response.ok) {
+      const cache = await caches.open(CACHE_NAME)
+      await cache.put(INDEX_URL, response.clone())
+    }
+    return response
+  } catch (error) {
+    const cached = await caches.match(INDEX_URL)
+    if (cached) {
+      return cached
+    }
+    throw error
+  }
+}
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(cacheAppShell().then(() => self.skipWaiting()))
+})
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    const names = await caches.keys()
+    await Promise.all(names.filter((name) => name !== CACHE_NAME).map((name) => caches.delete(name)))
+    await self.clients.claim()
+  })())
+})
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event
+  if (request.method !== 'GET') {
+    return // Callables and other API calls go straight to the network
+  }
+
+  if (request.mode === 'navigate') {
+    event.respondWith(networkFirstPage(request))
+  } else if (request.url.startsWith(self.registration.scope) || request.destination === 'image') {
+    event.respondWith(cacheFirst(request))
+  }
+})
+
+self.addEventListener('push', (event) => {
+  let payload = {}
+  try {
+    payload = event.data ? event.data.json() : {}
+  } catch (error) {
+    payload = { data: { body: event.data.text() } }
+  }
+  const data = payload.data || {}
+
+  event.waitUntil(self.registration.showNotification(data.title || 'City Hunt', {
+    body: data.body || '',
+    icon: new URL('favicon.svg', self.registration.scope).href,
+    data: { url: new URL('game', self.registration.scope).href }
+  }))
+})
+
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close()
+
+  event.waitUntil((async () => {
+    const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true })
+    const appWindow = windows.find((client) => client.url.startsWith(self.registration.scope))
+    if (appWindow) {
+      return appWindow.focus()
+    }
+    return self.clients.openWindow(event.notification.data.url)
+  })())
+})
@@ -2,13 +2,17 @@ import React, { useEffect, useState } from 'react'
 import { BrowserRouter as Router, Routes, Route, Navigate } from 'react-router-dom'
 import { signInAnonymously } from 'firebase/auth'
 import { auth } from './firebase-config'
+import { fetchGroups, findGroup, formatGroupLabel } from './groups'
+import { getCurrentEventId } from './events'
 import Login from './pages/Login'
 import Game from './pages/Game'
+import Admin from './pages/Admin'
 import './App.css'
 
 function App() {
   const [isAuthenticated, setIsAuthenticated] = useState(null) // null = checking, true/false = determined
   const [currentGroup, setCurrentGroup] = useState(null)
+  const [groups, setGroups] = useState([])
 
   useEffect(() => {
     // Sign in anonymously on app load
@@ -53,11 +57,22 @@ function App() {
     }
   }, [currentGroup])
 
-  // Format group name for display (group1 -> Group 1)
-  const formatGroupName = (group) => {
-    if (!group) return null
-    return group.replace('group', 'Group ')
-  }
+  // Load group display names once signed in and a group is selected
+  useEffect(() => {
+    if (!currentGroup) {
+      return
+    }
+    const currentEvent = getCurrentEventId()
+    if (!currentEvent) {
+      return
+    }
+    fetchGroups(currentEvent)
+      .then((groupList) => setGroups(groupList))
+      .catch((error) => console.error('Error loading groups:', error))
+  }, [currentGroup])
+
+  // Group shown in the top bar (falls back to the raw ID until groups load)
+  const currentGroupInfo = currentGroup ? findGroup(groups, currentGroup) : null
 
   // Show nothing while checking authentication
   if (isAuthenticated === null) {
@@ -71,9 +86,12 @@ function App() {
           <div className="top-bar-content">
             <div className="top-bar-text">
               <h1 className="top-bar-title">CYF 2526 CITY HUNT</h1>
-              {currentGroup && (
-                <div className="top-bar-group">
-                  {formatGroupName(currentGroup)}
+              {currentGroupInfo && (
+                <div
+                  className="top-bar-group"
+                  style={currentGroupInfo.colour ? { color: currentGroupInfo.colour } : undefined}
+                >
+                  {formatGroupLabel(currentGroupInfo)}
                 </div>
               )}
             </div>
@@ -98,6 +116,11 @@ function App() {
               path="/game" 
               element={<Game setIsAuthenticated={setIsAuthenticated} setCurrentGroup={setCurrentGroup} />} 
             />
+            {/* Organizer dashboard - guarded by the organizer custom claim, not the group login */}
+            <Route 
+              path="/admin" 
+              element={<Admin />} 
+            />
           </Routes>
         </main>
       </div>
@@ -0,0 +1,103 @@
+import React, { useEffect, useState } from 'react'
+import { ref, onValue } from 'firebase/database'
+import { database } from '../firebase-config'
+import { fetchGroups, findGroup, formatGroupLabel } from '../groups'
+import { formatDuration } from '../schedule'
+import './Leaderboard.css'
+
+/**
+ * Sorts leaderboard entries: highest score first, then whoever reached
+ * their last stage earlier, then by group ID.
+ */
+function rankEntries(leaderboard) {
+  return Object.entries(leaderboard || {})
+    .map(([groupId, entry]) => ({ groupId, ...entry }))
+    .sort((a, b) =>
+      (b.score - a.score) ||
+      ((a.lastCompletedAt || Infinity) - (b.lastCompletedAt || Infinity)) ||
+      a.groupId.localeCompare(b.groupId, undefined, { numeric: true })
+    )
+}
+
+/**
+ * Live leaderboard for an event, read from /events/{eventId}/leaderboard
+ * (written by the backend, see backend_code/lib/scoring.js).
+ * highlightGroupId marks the viewer's own team; showDetails adds the
+ * hint, wrong answer and time columns.
+ */
+function Leaderboard({ eventId, highlightGroupId, showDetails = false }) {
+  const [leaderboard, setLeaderboard] = useState(null)
+  const [groups, setGroups] = useState([])
+  const [error, setError] = useState('')
+
+  useEffect(() => {
+    if (!eventId) {
+      return
+    }
+
+    fetchGroups(eventId)
+      .then(setGroups)
+      .catch((error) => console.error('Error loading groups:', error))
+
+    const unsubscribe = onValue(
+      ref(database, `events/${eventId}/leaderboard`),
+      (snapshot) => {
+        setLeaderboard(snapshot.val() || {})
+        setError('')
+      },
+      (error) => {
+        console.error('Error listening to leaderboard:', error)
+        setError('Failed to load the leaderboard.')
+      }
+    )
+    return () => unsubscribe()
+  }, [eventId])
+
+  if (error) {
+    return <div className="leaderboard-empty">{error}</div>
+  }
+
+  if (leaderboard === null) {
+    return <div className="leaderboard-empty">Loading leaderboard...</div>
+  }
+
+  const entries = rankEntries(leaderboard)
+
+  if (entries.length === 0) {
+    return <div className="leaderboard-empty">No teams on the leaderboard yet.</div>
+  }
+
+  return (
+    <table className="leaderboard-table">
+      <thead>
+        <tr>
+          <th>#</th>
+          <th>Team</th>
+          <th>Stages</th>
+          {showDetails && <th>Hints</th>}
+          {showDetails && <th>Wrong</th>}
+          {showDetails && <th>Time</th>}
+          <th>Score</th>
+        </tr>
+      </thead>
+      <tbody>
+        {entries.map((entry, index) => (
+          <tr
+            key={entry.groupId}
+            className={entry.groupId === highlightGroupId ? 'leaderboard-own' : ''}
+          >
+            <td className="leaderboard-rank">{index + 1}</td>
+            <td>{formatGroupLabel(findGroup(groups, entry.groupId))}</td>
+            <td>{entry.completedCount || 0}</td>
+            {showDetails && <td>{entry.hintsUsed || 0}</td>}
+            {showDetails && <td>{entry.wrongAttempts || 0}</td>}
+            {showDetails && <td>{entry.elapsedSeconds ? formatDuration(entry.elapsedSeconds * 1000) : '—'}</td>}
+            <td className="leaderboard-score">{entry.score || 0}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  )
+}
+
+export default Leaderboard
@@ -0,0 +1,206 @@
+import React, { useEffect, useState } from 'react'
+import {
+  subscribeToAllSessions,
+  getUnreadMessages,
+  getLatestSentAt,
+  postOrganizerMessage,
+  markReadByOrganizers
+} from '../messages'
+import { findGroup, formatGroupLabel } from '../groups'
+import './MessageCenter.css'
+
+/**
+ * Lists every group's conversation (see web/src/messages.js), groups with
+ * unread help requests first, then unread messages, then the most recent
+ * activity.
+ */
+function conversationList(sessions, groups) {
+  const groupIds = new Set([...groups.map((group) => group.groupId), ...Object.keys(sessions)])
+
+  return [...groupIds]
+    .map((groupId) => {
+      const session = sessions[groupId] || { messages: [], organizersReadAt: 0 }
+      const unread = getUnreadMessages(session.messages, 'team', session.organizersReadAt)
+      return {
+        groupId,
+        messages: session.messages,
+        unreadCount: unread.length,
+        needsHelp: unread.some((message) => message.kind === 'help'),
+        lastMessage: session.messages[session.messages.length - 1] || null
+      }
+    })
+    .sort((a, b) => (
+      (b.needsHelp - a.needsHelp) ||
+      (Math.sign(b.unreadCount) - Math.sign(a.unreadCount)) ||
+      ((b.lastMessage?.sentAt || 0) - (a.lastMessage?.sentAt || 0))
+    ))
+}
+
+/**
+ * Organizer inbox: announcements to every group, and one conversation per
+ * group for the teams' messages and help requests. Opening a conversation
+ * marks it as read for all organizers.
+ */
+function MessageCenter({ eventId, groups }) {
+  const [sessions, setSessions] = useState({})
+  const [openGroupId, setOpenGroupId] = useState(null)
+  const [announcement, setAnnouncement] = useState('')
+  const [reply, setReply] = useState('')
+  const [submitting, setSubmitting] = useState(false)
+  const [message, setMessage] = useState('')
+  const [error, setError] = useState('')
+
+  useEffect(() => {
+    if (!eventId) {
+      return
+    }
+
+    setSessions({})
+    setOpenGroupId(null)
+    setMessage('')
+    const unsubscribe = subscribeToAllSessions(
+      eventId,
+      setSessions,
+      (error) => {
+        console.error('Error listening to messages:', error)
+        setError('Failed to load messages.')
+      }
+    )
+    return () => unsubscribe()
+  }, [eventId])
+
+  // Mark the open conversation as read, including messages arriving while it is open
+  const openSession = openGroupId ? sessions[openGroupId] : null
+  useEffect(() => {
+    if (!openSession) {
+      return
+    }
+    const latestSentAt = getLatestSentAt(openSession.messages, 'team')
+    if (latestSentAt > openSession.organizersReadAt) {
+      markReadByOrganizers(eventId, openGroupId, latestSentAt)
+        .catch((error) => console.error('Error marking messages as read:', error))
+    }
+  }, [openSession])
+
+  const post = async (groupId, text) => {
+    setSubmitting(true)
+    setError('')
+    setMessage('')
+
+    try {
+      const result = await postOrganizerMessage(eventId, groupId, text)
+      if (!groupId) {
+        setMessage(`Announcement sent to ${result.groupCount} group(s).`)
+      }
+      return true
+    } catch (error) {
+      console.error('Error posting message:', error)
+      setError(error.message || 'Failed to send the message.')
+      return false
+    } finally {
+      setSubmitting(false)
+    }
+  }
+
+  const handleAnnouncement = async (e) => {
+    e.preventDefault()
+    if (await post(null, announcement)) {
+      setAnnouncement('')
+    }
+  }
+
+  const handleReply = async (e) => {
+    e.preventDefault()
+    if (await post(openGroupId, reply)) {
+      setReply('')
+    }
+  }
+
+  const toggleConversation = (groupId) => {
+    setOpenGroupId((current) => (current === groupId ? null : groupId))
+    setReply('')
+  }
+
+  const conversations = conversationList(sessions, groups)
+
+  return (
+    <div className="message-center">
+      {error && <div className="admin-error">{error}</div>}
+
+      <form className="message-center-announce" onSubmit={handleAnnouncement}>
+        <textarea
+          value={announcement}
+          onChange={(e) => setAnnouncement(e.target.value)}
+          className="admin-input"
+          placeholder="Announcement to all groups, e.g. Stage 4's clue has moved to the fountain"
+          maxLength={500}
+          rows={2}
+        />
+        {message && <div className="admin-actions-message">{message}</div>}
+        <div className="admin-actions-buttons">
+          <button type="submit" className="admin-button" disabled={submitting || !announcement.trim()}>
+            {submitting ? 'Sending...' : 'Send to all groups'}
+          </button>
+        </div>
+      </form>
+
+      <ul className="message-center-list">
+        {conversations.map((conversation) => (
+          <li
+            key={conversation.groupId}
+            className={`message-center-group ${conversation.needsHelp ? 'needs-help' : ''}`}
+          >
+            <button
+              type="button"
+              className="message-center-summary"
+              onClick={() => toggleConversation(conversation.groupId)}
+            >
+              <strong>{formatGroupLabel(findGroup(groups, conversation.groupId))}</strong>
+              {conversation.needsHelp && <span className="message-center-help">Help requested</span>}
+              {conversation.unreadCount > 0 && (
+                <span className="message-center-unread">{conversation.unreadCount} new</span>
+              )}
+              <span className="message-center-preview">
+                {conversation.lastMessage ? conversation.lastMessage.text : 'No messages'}
+              </span>
+            </button>
+
+            {openGroupId === conversation.groupId && (
+              <div className="message-center-thread">
+                {conversation.messages.map((item) => (
+                  <div
+                    key={item.messageId}
+                    className={`message-center-message from-${item.from} ${item.kind === 'help' ? 'help' : ''}`}
+                  >
+                    <span className="message-center-meta">
+                      {item.from === 'team'
+                        ? `${item.kind === 'help' ? '🆘 ' : ''}${item.senderName || 'Team'}`
+                        : `${item.kind === 'announcement' ? '📢 ' : ''}${item.senderName || 'Organizers'}`}
+                      {item.sentAt && ` · ${new Date(item.sentAt).toLocaleTimeString()}`}
+                    </span>
+                    <span>{item.text}</span>
+                  </div>
+                ))}
+                <form className="message-center-reply" onSubmit={handleReply}>
+                  <input
+                    type="text"
+                    value={reply}
+                    onChange={(e) => setReply(e.target.value)}
+                    className="admin-input"
+                    placeholder="Message to this group"
+                    maxLength={500}
+                  />
+                  <button type="submit" className="admin-button admin-button-small" disabled={submitting || !reply.trim()}>
+                    {submitting ? 'Sending...' : 'Send'}
+                  </button>
+                </form>
+              </div>
+            )}
+          </li>
+        ))}
+      </ul>
+    </div>
+  )
+}
+
+export default MessageCenter
@@ -0,0 +1,142 @@
+import React, { useEffect, useState } from 'react'
+import { httpsCallable } from 'firebase/functions'
+import { ref, onValue } from 'firebase/database'
+import { ref as storageRef, getDownloadURL } from 'firebase/storage'
+import { functions, database, storage } from '../firebase-config'
+import { findGroup, formatGroupLabel } from '../groups'
+import './PhotoReviewQueue.css'
+
+/**
+ * Flattens /events/{eventId}/photoReviews into a list of pending reviews,
+ * oldest submission first.
+ */
+function pendingReviews(photoReviews) {
+  const pending = []
+  Object.entries(photoReviews || {}).forEach(([groupId, stages]) => {
+    Object.entries(stages || {}).forEach(([stageId, review]) => {
+      if (review?.status === 'pending') {
+        pending.push({ groupId, stageId: Number(stageId), ...review })
+      }
+    })
+  })
+  return pending.sort((a, b) => (a.submittedAt || 0) - (b.submittedAt || 0))
+}
+
+/**
+ * Organizer queue of photos waiting for review (see
+ * backend_code/lib/photos.js). Approving completes the stage for the
+ * group; rejecting needs a comment, which the team sees in the game.
+ */
+function PhotoReviewQueue({ eventId, groups }) {
+  const [photoReviews, setPhotoReviews] = useState({})
+  const [photoUrls, setPhotoUrls] = useState({}) // photoPath -> download URL
+  const [comments, setComments] = useState({}) // `${groupId}/${stageId}` -> comment
+  const [submitting, setSubmitting] = useState(null)
+  const [error, setError] = useState('')
+
+  useEffect(() => {
+    if (!eventId) {
+      return
+    }
+
+    setPhotoReviews({})
+    const unsubscribe = onValue(
+      ref(database, `events/${eventId}/photoReviews`),
+      (snapshot) => setPhotoReviews(snapshot.val() || {}),
+      (error) => {
+        console.error('Error listening to photo reviews:', error)
+        setError('Failed to load the photo review queue.')
+      }
+    )
+    return () => unsubscribe()
+  }, [eventId])
+
+  const queue = pendingReviews(photoReviews)
+
+  // Resolve download URLs for photos that have not been loaded yet
+  useEffect(() => {
+    queue
+      .filter((review) => review.photoPath && !photoUrls[review.photoPath])
+      .forEach((review) => {
+        getDownloadURL(storageRef(storage, review.photoPath))
+          .then((url) => setPhotoUrls((current) => ({ ...current, [review.photoPath]: url })))
+          .catch((error) => console.error('Error loading photo:', error))
+      })
+  }, [photoReviews])
+
+  const handleReview = async (review, approved) => {
+    const key = `${review.groupId}/${review.stageId}`
+    setSubmitting(key)
+    setError('')
+
+    try {
+      const adminReviewPhoto = httpsCallable(functions, 'adminReviewPhoto')
+      await adminReviewPhoto({
+        eventId,
+        groupId: review.groupId,
+        stageId: review.stageId,
+        approved,
+        comment: comments[key] || ''
+      })
+      setComments((current) => ({ ...current, [key]: '' }))
+    } catch (error) {
+      console.error('Error reviewing photo:', error)
+      setError(error.message || 'Failed to review the photo.')
+    } finally {
+      setSubmitting(null)
+    }
+  }
+
+  return (
+    <div className="photo-queue">
+      {error && <div className="admin-error">{error}</div>}
+      {queue.length === 0 && <div className="photo-queue-empty">No photos waiting for review.</div>}
+      {queue.map((review) => {
+        const key = `${review.groupId}/${review.stageId}`
+        const comment = comments[key] || ''
+        return (
+          <div key={key} className="photo-queue-item">
+            {photoUrls[review.photoPath]
+              ? <img src={photoUrls[review.photoPath]} alt={`Stage ${review.stageId} photo`} className="photo-queue-image" />
+              : <div className="photo-queue-image photo-queue-loading">Loading photo...</div>}
+            <div className="photo-queue-details">
+              <strong>{formatGroupLabel(findGroup(groups, review.groupId))}</strong>
+              <span>Stage {review.stageId}</span>
+              {review.submittedAt && <span>{new Date(review.submittedAt).toLocaleTimeString()}</span>}
+              {review.previousComment && (
+                <span className="photo-queue-previous">Last rejected: {review.previousComment}</span>
+              )}
+              <input
+                type="text"
+                value={comment}
+                onChange={(e) => setComments((current) => ({ ...current, [key]: e.target.value }))}
+                className="admin-input"
+                placeholder="Comment (required to reject)"
+              />
+              <div className="admin-actions-buttons">
+                <button
+                  type="button"
+                  className="admin-button admin-button-small"
+                  disabled={submitting === key}
+                  onClick={() => handleReview(review, true)}
+                >
+                  Approve
+                </button>
+                <button
+                  type="button"
+                  className="admin-button admin-button-small admin-button-secondary"
+                  disabled={submitting === key || !comment.trim()}
+                  onClick={() => handleReview(review, false)}
+                >
+                  Reject
+                </button>
+              </div>
+            </div>
+          </div>
+        )
+      })}
+    </div>
+  )
+}
+
+export default PhotoReviewQueue
@@ -0,0 +1,124 @@
+import React, { useEffect, useRef, useState } from 'react'
+import jsQR from 'jsqr'
+import './QrScanner.css'
+
+// How often a camera frame is checked for a QR code
+const SCAN_INTERVAL_MS = 250
+
+/**
+ * Camera QR scanner. Uses the browser's BarcodeDetector where available
+ * and falls back to jsQR. Only codes accepted by `accept` are reported, so
+ * scanning an unrelated QR code on a poster does not cost an attempt.
+ */
+function QrScanner({ onScan, onClose, accept = () => true }) {
+  const videoRef = useRef(null)
+  const canvasRef = useRef(null)
+  const [error, setError] = useState('')
+  const [ignoredCode, setIgnoredCode] = useState(false)
+  // Keep the latest callbacks without restarting the camera on every render
+  const onScanRef = useRef(onScan)
+  const acceptRef = useRef(accept)
+  onScanRef.current = onScan
+  acceptRef.current = accept
+
+  useEffect(() => {
+    let stream = null
+    let interval = null
+    let stopped = false
+    const detector = 'BarcodeDetector' in window
+      ? new window.BarcodeDetector({ formats: ['qr_code'] })
+      : null
+
+    // Returns the text of a QR code in the current frame, or null
+    const detect = async () => {
+      const video = videoRef.current
+      if (!video || video.readyState < video.HAVE_ENOUGH_DATA) {
+        return null
+      }
+
+      if (detector) {
+        const codes = await detector.detect(video)
+        return codes.length > 0 ? codes[0].rawValue : null
+      }
+
+      const canvas = canvasRef.current
+      canvas.width = video.videoWidth
+      canvas.height = video.videoHeight
+      const context = canvas.getContext('2d', { willReadFrequently: true })
+      context.drawImage(video, 0, 0, canvas.width, canvas.height)
+      const image = context.getImageData(0, 0, canvas.width, canvas.height)
+      const code = jsQR(image.data, image.width, image.height, { inversionAttempts: 'dontInvert' })
+      return code ? code.data : null
+    }
+
+    const start = async () => {
+      try {
+        stream = await navigator.mediaDevices.getUserMedia({
+          video: { facingMode: 'environment' },
+          audio: false
+        })
+        if (stopped) {
+          stream.getTracks().forEach((track) => track.stop())
+          return
+        }
+        videoRef.current.srcObject = stream
+        await videoRef.current.play()
+
+        interval = setInterval(async () => {
+          try {
+            const text = await detect()
+            if (!text || stopped) {
+              return
+            }
+            if (!acceptRef.current(text)) {
+              setIgnoredCode(true)
+              return
+            }
+            stopped = true
+            clearInterval(interval)
+            onScanRef.current(text)
+          } catch (error) {
+            console.error('Error scanning QR code:', error)
+          }
+        }, SCAN_INTERVAL_MS)
+      } catch (error) {
+        console.error('Error starting camera:', error)
+        setError(error.name === 'NotAllowedError'
+          ? 'Camera access was denied. Allow camera access for this site and try again.'
+          : 'Could not start the camera.')
+      }
+    }
+
+    start()
+
+    return () => {
+      stopped = true
+      clearInterval(interval)
+      if (stream) {
+        stream.getTracks().forEach((track) => track.stop())
+      }
+    }
+  }, [])
+
+  return (
+    <div className="qr-scanner">
+      {error ? (
+        <div className="error-message">{error}</div>
+      ) : (
+        <div className="qr-scanner-viewport">
+          <video ref={videoRef} className="qr-scanner-video" playsInline muted />
+          <div className="qr-scanner-frame" />
+        </div>
+      )}
+      <canvas ref={canvasRef} className="qr-scanner-canvas" />
+      {ignoredCode && !error && (
+        <div className="qr-scanner-note">That is not a City Hunt code. Look for the checkpoint poster.</div>
+      )}
+      <button type="button" className="qr-scanner-close" onClick={onClose}>
+        Cancel
+      </button>
+    </div>
+  )
+}
+
+export default QrScanner
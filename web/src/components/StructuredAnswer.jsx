@@ -0,0 +1,146 @@
+import React, { useState } from 'react'
+import './StructuredAnswer.css'
+
+/**
+ * Answer input for the structured stage types (see
+ * backend_code/lib/answer-types.js):
+ *
+ * - choice: one button per option, submitted on tap
+ * - number: a decimal input with the stage's unit
+ * - sequence: the items (sent shuffled) with buttons to move them up and down
+ * - fields: one text input per field
+ *
+ * onSubmit receives the answer in the shape validateAnswer expects. Render
+ * it with a key per stage so the input is reset when the stage changes.
+ */
+function StructuredAnswer({ stageData, disabled, submitting, onSubmit }) {
+  const [number, setNumber] = useState('')
+  const [order, setOrder] = useState(() => stageData.items || [])
+  const [fieldValues, setFieldValues] = useState(() => (stageData.fields || []).map(() => ''))
+
+  const moveItem = (index, offset) => {
+    setOrder((current) => {
+      const next = [...current]
+      const [item] = next.splice(index, 1)
+      next.splice(index + offset, 0, item)
+      return next
+    })
+  }
+
+  const handleSubmit = (e, answerValue) => {
+    e.preventDefault()
+    onSubmit(answerValue)
+  }
+
+  const submitLabel = submitting ? 'Submitting...' : 'Submit'
+
+  if (stageData.type === 'choice') {
+    return (
+      <div className="choice-options">
+        {(stageData.options || []).map((option) => (
+          <button
+            key={option}
+            type="button"
+            className="choice-option"
+            onClick={() => onSubmit(option)}
+            disabled={disabled}
+          >
+            {option}
+          </button>
+        ))}
+      </div>
+    )
+  }
+
+  if (stageData.type === 'number') {
+    return (
+      <form onSubmit={(e) => handleSubmit(e, number.trim())} className="answer-form">
+        <div className="number-answer">
+          <input
+            type="text"
+            inputMode="decimal"
+            value={number}
+            onChange={(e) => setNumber(e.target.value)}
+            placeholder="Enter a number"
+            className="answer-input"
+            disabled={disabled}
+            maxLength={30}
+          />
+          {stageData.unit && <span className="number-unit">{stageData.unit}</span>}
+        </div>
+        <button type="submit" className="submit-button" disabled={disabled || !number.trim()}>
+          {submitLabel}
+        </button>
+      </form>
+    )
+  }
+
+  if (stageData.type === 'sequence') {
+    return (
+      <form onSubmit={(e) => handleSubmit(e, order)} className="answer-form">
+        <ol className="sequence-list">
+          {order.map((item, index) => (
+            <li key={item} className="sequence-item">
+              <span className="sequence-text">{item}</span>
+              <button
+                type="button"
+                className="sequence-move"
+                onClick={() => moveItem(index, -1)}
+                disabled={disabled || index === 0}
+                aria-label={`Move "${item}" up`}
+              >
+                ↑
+              </button>
+              <button
+                type="button"
+                className="sequence-move"
+                onClick={() => moveItem(index, 1)}
+                disabled={disabled || index === order.length - 1}
+                aria-label={`Move "${item}" down`}
+              >
+                ↓
+              </button>
+            </li>
+          ))}
+        </ol>
+        <button type="submit" className="submit-button" disabled={disabled}>
+          {submitLabel}
+        </button>
+      </form>
+    )
+  }
+
+  if (stageData.type === 'fields') {
+    return (
+      <form onSubmit={(e) => handleSubmit(e, fieldValues.map((value) => value.trim()))} className="answer-form">
+        {(stageData.fields || []).map((field, index) => (
+          <label key={index} className="field-answer">
+            <span className="field-label">{field.label}</span>
+            <input
+              type="text"
+              value={fieldValues[index]}
+              onChange={(e) => {
+                const value = e.target.value
+                setFieldValues((current) => current.map((currentValue, valueIndex) => (valueIndex === index ? value : currentValue)))
+              }}
+              className="answer-input"
+              disabled={disabled}
+              maxLength={200}
+            />
+          </label>
+        ))}
+        <button
+          type="submit"
+          className="submit-button"
+          disabled={disabled || fieldValues.some((value) => !value.trim())}
+        >
+          {submitLabel}
+        </button>
+      </form>
+    )
+  }
+
+  return null
+}
+
+export default StructuredAnswer
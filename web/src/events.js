@@ -0,0 +1,36 @@
+import { httpsCallable } from 'firebase/functions'
+import { functions } from './firebase-config'
+
+// Events rarely change during a session, so the list is fetched once and shared
+let eventsPromise = null
+
+/**
+ * Fetches the list of playable hunts (id and name) from the listEvents callable.
+ */
+export function fetchEvents() {
+  if (!eventsPromise) {
+    const listEvents = httpsCallable(functions, 'listEvents')
+    eventsPromise = listEvents()
+      .then((result) => result.data.events || [])
+      .catch((error) => {
+        // Allow a retry on the next call
+        eventsPromise = null
+        throw error
+      })
+  }
+  return eventsPromise
+}
+
+/**
+ * Event chosen through the URL, e.g. /cityhunt/login?event=spring-2026
+ */
+export function getEventFromUrl() {
+  return new URLSearchParams(window.location.search).get('event')
+}
+
+/**
+ * Event the player is logged into (set by the login page).
+ */
+export function getCurrentEventId() {
+  return localStorage.getItem('currentEvent')
+}
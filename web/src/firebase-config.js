@@ -3,6 +3,7 @@ import { getAuth } from 'firebase/auth'
 import { getFunctions } from 'firebase/functions'
 import { getFirestore } from 'firebase/firestore'
 import { getDatabase } from 'firebase/database'
+import { getStorage } from 'firebase/storage'
 
 // Firebase configuration
 // Replace these values with your actual Firebase project configuration
@@ -49,6 +50,7 @@ export const auth = getAuth(app)
 export const functions = getFunctions(app)
 export const firestore = getFirestore(app)
 export const database = getDatabase(app)
+export const storage = getStorage(app)
 
 export default app
 
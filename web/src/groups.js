@@ -0,0 +1,43 @@
+import { httpsCallable } from 'firebase/functions'
+import { functions } from './firebase-config'
+
+// Groups rarely change during a session, so each event's list is fetched once and shared
+const groupsPromises = {}
+
+/**
+ * Fetches an event's public group list (id, display name, colour, emoji)
+ * from the listGroups callable. PINs are never part of this data.
+ */
+export function fetchGroups(eventId) {
+  if (!groupsPromises[eventId]) {
+    const listGroups = httpsCallable(functions, 'listGroups')
+    groupsPromises[eventId] = listGroups({ eventId })
+      .then((result) => result.data.groups || [])
+      .catch((error) => {
+        // Allow a retry on the next call
+        delete groupsPromises[eventId]
+        throw error
+      })
+  }
+  return groupsPromises[eventId]
+}
+
+/**
+ * Finds a group's definition, falling back to a bare entry built from the
+ * ID so callers can always render something.
+ */
+export function findGroup(groups, groupId) {
+  return (groups || []).find((group) => group.groupId === groupId) || {
+    groupId: groupId,
+    displayName: groupId,
+    colour: null,
+    emoji: null
+  }
+}
+
+/**
+ * Label used in dropdowns and the top bar, e.g. "🧭 The Navigators".
+ */
+export function formatGroupLabel(group) {
+  return group.emoji ? `${group.emoji} ${group.displayName}` : group.displayName
+}
@@ -0,0 +1,107 @@
+import { ref, onValue, set } from 'firebase/database'
+import { httpsCallable } from 'firebase/functions'
+import { database, functions } from './firebase-config'
+
+/**
+ * Messages between organizers and teams. Each group's conversation is kept
+ * at /events/{eventId}/sessions/{groupId} in RTDB (see
+ * backend_code/lib/messages.js). Messages are posted through callables;
+ * clients only move their read markers.
+ */
+
+/**
+ * Normalizes a conversation as stored in RTDB: messages as a list sorted
+ * by sentAt, oldest first, each with its messageId.
+ */
+export function normalizeSession(value) {
+  const session = value || {}
+  const messages = Object.entries(session.messages || {})
+    .map(([messageId, message]) => ({ messageId, ...message }))
+    .sort((a, b) => (a.sentAt || 0) - (b.sentAt || 0))
+
+  return {
+    messages: messages,
+    readBy: session.readBy || {},
+    organizersReadAt: session.organizersReadAt || 0
+  }
+}
+
+/**
+ * Messages sent by `from` ('organizers' or 'team') after readAt.
+ */
+export function getUnreadMessages(messages, from, readAt) {
+  return messages.filter((message) => message.from === from && (message.sentAt || 0) > (readAt || 0))
+}
+
+/**
+ * sentAt of the newest message sent by `from`, or 0 if there is none.
+ */
+export function getLatestSentAt(messages, from) {
+  return messages
+    .filter((message) => message.from === from)
+    .reduce((latest, message) => Math.max(latest, message.sentAt || 0), 0)
+}
+
+/**
+ * Follows a group's conversation live. onChange receives the normalized
+ * conversation on every change. Returns a function that stops listening.
+ */
+export function subscribeToSession(eventId, groupId, onChange, onError) {
+  return onValue(
+    ref(database, `events/${eventId}/sessions/${groupId}`),
+    (snapshot) => onChange(normalizeSession(snapshot.val())),
+    onError
+  )
+}
+
+/**
+ * Organizers: follows every group's conversation. onChange receives
+ * { [groupId]: conversation }.
+ */
+export function subscribeToAllSessions(eventId, onChange, onError) {
+  return onValue(
+    ref(database, `events/${eventId}/sessions`),
+    (snapshot) => {
+      const sessions = {}
+      Object.entries(snapshot.val() || {}).forEach(([groupId, session]) => {
+        sessions[groupId] = normalizeSession(session)
+      })
+      onChange(sessions)
+    },
+    onError
+  )
+}
+
+/**
+ * Sends a team message, or a help request if help is set, through the
+ * sendGroupMessage callable.
+ */
+export async function sendGroupMessage(eventId, groupId, text, help = false) {
+  const send = httpsCallable(functions, 'sendGroupMessage')
+  const result = await send({ eventId, groupId, text, help })
+  return result.data
+}
+
+/**
+ * Organizers: posts a message to one group, or an announcement to every
+ * group if groupId is null, through the adminPostMessage callable.
+ */
+export async function postOrganizerMessage(eventId, groupId, text) {
+  const post = httpsCallable(functions, 'adminPostMessage')
+  const result = await post({ eventId, groupId, text })
+  return result.data
+}
+
+/**
+ * Marks the organizers' messages up to sentAt as read by this player.
+ */
+export function markReadByPlayer(eventId, groupId, uid, sentAt) {
+  return set(ref(database, `events/${eventId}/sessions/${groupId}/readBy/${uid}`), sentAt)
+}
+
+/**
+ * Marks a team's messages up to sentAt as read by the organizers.
+ */
+export function markReadByOrganizers(eventId, groupId, sentAt) {
+  return set(ref(database, `events/${eventId}/sessions/${groupId}/organizersReadAt`), sentAt)
+}
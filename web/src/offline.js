@@ -0,0 +1,68 @@
+/**
+ * Offline support for the game page. Stage content and progress are kept in
+ * localStorage per event and group, so stages a team has already unlocked
+ * can be shown without a connection. The app shell itself is cached by the
+ * service worker (public/sw.js).
+ */
+
+const cacheKey = (kind, eventId, groupId) => `${kind}:${eventId}:${groupId}`
+
+const readJson = (key, fallback) => {
+  try {
+    return JSON.parse(localStorage.getItem(key)) || fallback
+  } catch (error) {
+    return fallback
+  }
+}
+
+const writeJson = (key, value) => {
+  try {
+    localStorage.setItem(key, JSON.stringify(value))
+  } catch (error) {
+    // Storage full or disabled - the app still works online
+    console.error('Error saving offline data:', error)
+  }
+}
+
+/**
+ * True if a callable failed because the device could not reach the server,
+ * rather than because the server refused the call. The functions SDK
+ * reports a failed request as 'internal' with the bare message "internal";
+ * errors thrown by our functions always carry their own message.
+ */
+export function isNetworkError(error) {
+  if (!navigator.onLine) return true
+  if (['functions/unavailable', 'functions/deadline-exceeded'].includes(error?.code)) return true
+  return error?.code === 'functions/internal' && error.message === 'internal'
+}
+
+/**
+ * Saves the content of a stage as returned by getStageContent.
+ */
+export function cacheStage(eventId, groupId, stageId, stageData) {
+  const key = cacheKey('stageCache', eventId, groupId)
+  writeJson(key, { ...readJson(key, {}), [stageId]: stageData })
+}
+
+/**
+ * The saved content of a stage, or null if it was never loaded on this device.
+ */
+export function getCachedStage(eventId, groupId, stageId) {
+  return readJson(cacheKey('stageCache', eventId, groupId), {})[stageId] || null
+}
+
+export function cacheProgress(eventId, groupId, progress) {
+  writeJson(cacheKey('progressCache', eventId, groupId), progress)
+}
+
+export function getCachedProgress(eventId, groupId) {
+  return readJson(cacheKey('progressCache', eventId, groupId), null)
+}
+
+/**
+ * Removes everything saved for a group, e.g. on logout.
+ */
+export function clearOfflineData(eventId, groupId) {
+  localStorage.removeItem(cacheKey('stageCache', eventId, groupId))
+  localStorage.removeItem(cacheKey('progressCache', eventId, groupId))
+}
@@ -0,0 +1,692 @@
+import React, { useEffect, useState } from 'react'
+import { httpsCallable } from 'firebase/functions'
+import { ref, onValue } from 'firebase/database'
+import { collection, query, orderBy, limit, onSnapshot } from 'firebase/firestore'
+import { auth, functions, database, firestore } from '../firebase-config'
+import { formatGroupLabel, findGroup } from '../groups'
+import { getEventFromUrl } from '../events'
+import { fetchSchedule, getScheduleStatus, formatDuration } from '../schedule'
+import Leaderboard from '../components/Leaderboard'
+import PhotoReviewQueue from '../components/PhotoReviewQueue'
+import MessageCenter from '../components/MessageCenter'
+import './Admin.css'
+
+// Number of recent attempts the dashboard listens to
+const RECENT_ATTEMPTS_LIMIT = 100
+// Number of attempts shown per group in the table
+const ATTEMPTS_PER_GROUP = 5
+
+// Organizer actions and the callables that perform them
+const GROUP_ACTIONS = [
+  { value: 'completeStage', label: 'Mark stage complete', callable: 'adminSetStageCompletion', params: { completed: true }, needsStage: true },
+  { value: 'uncompleteStage', label: 'Mark stage incomplete', callable: 'adminSetStageCompletion', params: { completed: false }, needsStage: true },
+  { value: 'moveToStage', label: 'Move group to stage', callable: 'adminSetCurrentStage', needsStage: true },
+  { value: 'grantHint', label: 'Unlock next hint for free', callable: 'adminGrantHint', needsStage: true },
+  { value: 'clearLockout', label: 'Clear answer lockout', callable: 'adminClearLockout', needsStage: true },
+  { value: 'resetProgress', label: 'Reset all progress', callable: 'adminResetProgress', needsStage: false },
+  { value: 'revokeAccess', label: "Revoke a player's access", callable: 'adminSetGroupAccess', params: { revoked: true }, needsPlayer: true },
+  { value: 'restoreAccess', label: "Restore a player's access", callable: 'adminSetGroupAccess', params: { revoked: false }, needsPlayer: true }
+]
+
+// Labels for the hunt schedule status
+const HUNT_STATUS_LABELS = {
+  upcoming: 'Not started',
+  running: 'Running',
+  paused: 'Paused',
+  ended: 'Ended'
+}
+
+function Admin() {
+  const [isOrganizer, setIsOrganizer] = useState(null) // null = checking
+  const [organizerName, setOrganizerName] = useState('')
+  const [pin, setPin] = useState('')
+  const [error, setError] = useState('')
+  const [loading, setLoading] = useState(false)
+  const [events, setEvents] = useState([])
+  // Hunt being monitored - from ?event=... or the last one viewed on this device
+  const [selectedEvent, setSelectedEvent] = useState(getEventFromUrl() || localStorage.getItem('adminEvent') || '')
+  const [groups, setGroups] = useState([])
+  const [groupProgress, setGroupProgress] = useState({})
+  const [attempts, setAttempts] = useState([])
+  const [now, setNow] = useState(Date.now())
+  const [selectedGroupId, setSelectedGroupId] = useState(null)
+  const [actionType, setActionType] = useState(GROUP_ACTIONS[0].value)
+  const [actionStage, setActionStage] = useState('')
+  const [actionPlayer, setActionPlayer] = useState('')
+  const [groupPlayers, setGroupPlayers] = useState({})
+  const [actionReason, setActionReason] = useState('')
+  const [actionSubmitting, setActionSubmitting] = useState(false)
+  const [actionMessage, setActionMessage] = useState('')
+  const [schedule, setSchedule] = useState(null)
+  const [huntReason, setHuntReason] = useState('')
+  const [extendMinutes, setExtendMinutes] = useState('15')
+  const [huntSubmitting, setHuntSubmitting] = useState(false)
+  const [huntMessage, setHuntMessage] = useState('')
+  const [notifyGroupId, setNotifyGroupId] = useState('') // '' = every group
+  const [notifyTitle, setNotifyTitle] = useState('')
+  const [notifyBody, setNotifyBody] = useState('')
+  const [notifySubmitting, setNotifySubmitting] = useState(false)
+  const [notifyMessage, setNotifyMessage] = useState('')
+
+  // Check the organizer custom claim on the current (anonymous) user
+  useEffect(() => {
+    const checkClaims = async () => {
+      if (!auth.currentUser) {
+        setIsOrganizer(false)
+        return
+      }
+      const tokenResult = await auth.currentUser.getIdTokenResult()
+      // The claim expires (organizerExpiresAt) and then has to be renewed with the PIN
+      setIsOrganizer(tokenResult.claims.organizer === true && tokenResult.claims.organizerExpiresAt > Date.now())
+      setOrganizerName(tokenResult.claims.organizerName || '')
+    }
+
+    checkClaims().catch((error) => {
+      console.error('Error checking organizer claims:', error)
+      setIsOrganizer(false)
+    })
+  }, [])
+
+  // All hunts, including inactive ones
+  useEffect(() => {
+    if (!isOrganizer) {
+      return
+    }
+
+    const listEvents = httpsCallable(functions, 'listEvents')
+    listEvents({ includeInactive: true })
+      .then((result) => {
+        const eventList = result.data.events || []
+        setEvents(eventList)
+        setSelectedEvent((current) => current || eventList[0]?.eventId || '')
+      })
+      .catch((error) => console.error('Error loading events:', error))
+  }, [isOrganizer])
+
+  // Remember the selected hunt and clear data from the previous one
+  useEffect(() => {
+    if (selectedEvent) {
+      localStorage.setItem('adminEvent', selectedEvent)
+    }
+    setGroups([])
+    setGroupProgress({})
+    setAttempts([])
+    setSelectedGroupId(null)
+    setSchedule(null)
+    setHuntMessage('')
+    setNotifyGroupId('')
+    setNotifyMessage('')
+  }, [selectedEvent])
+
+  // Hunt start/end times and pause state
+  useEffect(() => {
+    if (!isOrganizer || !selectedEvent) {
+      return
+    }
+
+    fetchSchedule(selectedEvent)
+      .then(setSchedule)
+      .catch((error) => console.error('Error loading hunt schedule:', error))
+  }, [isOrganizer, selectedEvent])
+
+  // Group definitions, including inactive ones
+  useEffect(() => {
+    if (!isOrganizer || !selectedEvent) {
+      return
+    }
+
+    const listGroups = httpsCallable(functions, 'listGroups')
+    listGroups({ eventId: selectedEvent, includeInactive: true })
+      .then((result) => setGroups(result.data.groups || []))
+      .catch((error) => console.error('Error loading groups:', error))
+  }, [isOrganizer, selectedEvent])
+
+  // Live progress for every group (RTDB)
+  useEffect(() => {
+    if (!isOrganizer || !selectedEvent) {
+      return
+    }
+
+    const unsubscribe = onValue(
+      ref(database, `events/${selectedEvent}/groupProgress`),
+      (snapshot) => setGroupProgress(snapshot.val() || {}),
+      (error) => {
+        console.error('Error listening to group progress:', error)
+        setError('Failed to load group progress.')
+      }
+    )
+    return () => unsubscribe()
+  }, [isOrganizer, selectedEvent])
+
+  // Players logged in to the group being managed (RTDB)
+  useEffect(() => {
+    if (!isOrganizer || !selectedEvent || !selectedGroupId) {
+      setGroupPlayers({})
+      return
+    }
+
+    const unsubscribe = onValue(
+      ref(database, `events/${selectedEvent}/authorizations/${selectedGroupId}`),
+      (snapshot) => setGroupPlayers(snapshot.val() || {}),
+      (error) => console.error('Error listening to group players:', error)
+    )
+    return () => unsubscribe()
+  }, [isOrganizer, selectedEvent, selectedGroupId])
+
+  // Live recent attempts (Firestore)
+  useEffect(() => {
+    if (!isOrganizer || !selectedEvent) {
+      return
+    }
+
+    const attemptsQuery = query(
+      collection(firestore, 'events', selectedEvent, 'attempts'),
+      orderBy('createdAt', 'desc'),
+      limit(RECENT_ATTEMPTS_LIMIT)
+    )
+    const unsubscribe = onSnapshot(
+      attemptsQuery,
+      (snapshot) => {
+        setAttempts(snapshot.docs.map((doc) => {
+          const attempt = doc.data()
+          return {
+            id: doc.id,
+            ...attempt,
+            createdAt: attempt.createdAt ? attempt.createdAt.toMillis() : Date.now()
+          }
+        }))
+      },
+      (error) => {
+        console.error('Error listening to attempts:', error)
+        setError('Failed to load recent attempts.')
+      }
+    )
+    return () => unsubscribe()
+  }, [isOrganizer, selectedEvent])
+
+  // Refresh relative times every 15 seconds
+  useEffect(() => {
+    const interval = setInterval(() => setNow(Date.now()), 15000)
+    return () => clearInterval(interval)
+  }, [])
+
+  const handlePinChange = (e) => {
+    const value = e.target.value
+    // Only allow numeric input
+    if (value === '' || /^\d+$/.test(value)) {
+      setPin(value)
+      setError('')
+    }
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    setError('')
+    setLoading(true)
+
+    try {
+      const authorizeOrganizer = httpsCallable(functions, 'authorizeOrganizer')
+      const result = await authorizeOrganizer({ pin })
+
+      if (result.data.success) {
+        // Force a token refresh so the new custom claim is picked up
+        await auth.currentUser.getIdToken(true)
+        setOrganizerName(result.data.organizerName || '')
+        setIsOrganizer(true)
+        setPin('')
+      }
+    } catch (error) {
+      console.error('Organizer login error:', error)
+      setError(error.message || 'Invalid organizer PIN.')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const openActions = (groupId) => {
+    setSelectedGroupId(groupId)
+    setActionStage('')
+    setActionPlayer('')
+    setActionReason('')
+    setActionMessage('')
+  }
+
+  const handleActionSubmit = async (e) => {
+    e.preventDefault()
+    const action = GROUP_ACTIONS.find((groupAction) => groupAction.value === actionType)
+
+    if (action.value === 'resetProgress' &&
+        !window.confirm(`Reset all progress for ${selectedGroupId}? This cannot be undone.`)) {
+      return
+    }
+
+    setActionSubmitting(true)
+    setActionMessage('')
+
+    try {
+      const runAction = httpsCallable(functions, action.callable)
+      await runAction({
+        eventId: selectedEvent,
+        groupId: selectedGroupId,
+        reason: actionReason,
+        ...(action.needsStage ? { stageId: Number(actionStage) } : {}),
+        ...(action.needsPlayer ? { uid: actionPlayer } : {}),
+        ...(action.params || {})
+      })
+      setActionMessage(`${action.label} done for ${selectedGroupId}.`)
+      setActionReason('')
+    } catch (error) {
+      console.error('Organizer action error:', error)
+      setActionMessage(error.message || 'Action failed.')
+    } finally {
+      setActionSubmitting(false)
+    }
+  }
+
+  // Pause, resume or extend the selected hunt
+  const runHuntAction = async (callable, label, params = {}) => {
+    setHuntSubmitting(true)
+    setHuntMessage('')
+
+    try {
+      const runAction = httpsCallable(functions, callable)
+      await runAction({ eventId: selectedEvent, reason: huntReason, ...params })
+      setSchedule(await fetchSchedule(selectedEvent))
+      setHuntMessage(`${label} done.`)
+      setHuntReason('')
+    } catch (error) {
+      console.error('Hunt action error:', error)
+      setHuntMessage(error.message || 'Action failed.')
+    } finally {
+      setHuntSubmitting(false)
+    }
+  }
+
+  // Push a notification to every group or to one group
+  const handleSendNotification = async (e) => {
+    e.preventDefault()
+    setNotifySubmitting(true)
+    setNotifyMessage('')
+
+    try {
+      const sendNotification = httpsCallable(functions, 'adminSendNotification')
+      const result = await sendNotification({
+        eventId: selectedEvent,
+        groupId: notifyGroupId || null,
+        title: notifyTitle,
+        body: notifyBody
+      })
+      setNotifyMessage(result.data.recipients > 0
+        ? `Sent to ${result.data.delivered} of ${result.data.recipients} device(s).`
+        : 'No device has turned on notifications yet.')
+      setNotifyTitle('')
+      setNotifyBody('')
+    } catch (error) {
+      console.error('Error sending notification:', error)
+      setNotifyMessage(error.message || 'Failed to send the notification.')
+    } finally {
+      setNotifySubmitting(false)
+    }
+  }
+
+  // Recompute all scores, e.g. after changing the event's scoring weights
+  const handleRebuildLeaderboard = async () => {
+    try {
+      const rebuildLeaderboard = httpsCallable(functions, 'adminRebuildLeaderboard')
+      await rebuildLeaderboard({ eventId: selectedEvent })
+    } catch (error) {
+      console.error('Error rebuilding leaderboard:', error)
+      setError(error.message || 'Failed to rebuild the leaderboard.')
+    }
+  }
+
+  // Format a timestamp relative to now (e.g. "3m ago")
+  const formatRelativeTime = (timestamp) => {
+    if (!timestamp) return '—'
+    const seconds = Math.max(0, Math.floor((now - timestamp) / 1000))
+    if (seconds < 60) return `${seconds}s ago`
+    if (seconds < 3600) return `${Math.floor(seconds / 60)}m ago`
+    return `${Math.floor(seconds / 3600)}h ${Math.floor((seconds % 3600) / 60)}m ago`
+  }
+
+  if (isOrganizer === null) {
+    return null
+  }
+
+  if (!isOrganizer) {
+    return (
+      <div className="admin-login-container">
+        <div className="admin-login-card">
+          <h2 className="admin-title">Organizer Login</h2>
+          <form onSubmit={handleSubmit} className="admin-login-form">
+            <input
+              type="password"
+              inputMode="numeric"
+              pattern="[0-9]*"
+              value={pin}
+              onChange={handlePinChange}
+              className="admin-input"
+              placeholder="Organizer PIN"
+              required
+            />
+            {error && <div className="admin-error">{error}</div>}
+            <button type="submit" className="admin-button" disabled={loading || !pin}>
+              {loading ? 'Checking...' : 'Enter'}
+            </button>
+          </form>
+        </div>
+      </div>
+    )
+  }
+
+  // Group the recent attempts by group ID (already sorted newest first)
+  const attemptsByGroup = {}
+  attempts.forEach((attempt) => {
+    if (!attemptsByGroup[attempt.groupId]) {
+      attemptsByGroup[attempt.groupId] = []
+    }
+    attemptsByGroup[attempt.groupId].push(attempt)
+  })
+
+  // Show every configured group (in its configured order), then any other
+  // group that has progress or recent attempts
+  const configuredGroupIds = groups.map((group) => group.groupId)
+  const otherGroupIds = Array.from(new Set([
+    ...Object.keys(groupProgress),
+    ...Object.keys(attemptsByGroup)
+  ]))
+    .filter((groupId) => !configuredGroupIds.includes(groupId))
+    .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }))
+  const groupIds = [...configuredGroupIds, ...otherGroupIds]
+
+  const huntNow = now + (schedule?.clockOffset || 0)
+  const huntStatus = getScheduleStatus(schedule, huntNow)
+  const formatScheduleTime = (timestamp) => (
+    timestamp ? new Date(timestamp - schedule.clockOffset).toLocaleString() : 'Not set'
+  )
+
+  return (
+    <div className="admin-container">
+      <div className="admin-header">
+        <h2 className="admin-title">Organizer Dashboard</h2>
+        {organizerName && <div className="admin-subtitle">Signed in as {organizerName}</div>}
+        <select
+          value={selectedEvent}
+          onChange={(e) => setSelectedEvent(e.target.value)}
+          className="admin-input admin-event-select"
+        >
+          {!selectedEvent && <option value="">Choose a hunt...</option>}
+          {events.map((event) => (
+            <option key={event.eventId} value={event.eventId}>
+              {event.name}{event.active ? '' : ' (inactive)'}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      {error && <div className="admin-error">{error}</div>}
+
+      {schedule && (
+        <div className="admin-actions-panel admin-schedule-panel">
+          <h3 className="admin-actions-title">
+            Hunt: {HUNT_STATUS_LABELS[huntStatus]}
+            {huntStatus === 'running' && schedule.endsAt && ` (${formatDuration(schedule.endsAt - huntNow)} left)`}
+            {huntStatus === 'paused' && schedule.endsAt && ` (${formatDuration(schedule.endsAt - schedule.pausedAt)} left)`}
+          </h3>
+          <div className="admin-schedule-times">
+            <span>Starts: {formatScheduleTime(schedule.startsAt)}</span>
+            <span>Ends: {formatScheduleTime(schedule.endsAt)}</span>
+          </div>
+          <div className="admin-actions-fields">
+            <input
+              type="text"
+              value={huntReason}
+              onChange={(e) => setHuntReason(e.target.value)}
+              className="admin-input"
+              placeholder="Reason (recorded in the audit log)"
+            />
+            <input
+              type="number"
+              min="1"
+              value={extendMinutes}
+              onChange={(e) => setExtendMinutes(e.target.value)}
+              className="admin-input"
+              placeholder="Minutes"
+            />
+          </div>
+          {huntMessage && <div className="admin-actions-message">{huntMessage}</div>}
+          <div className="admin-actions-buttons">
+            {huntStatus === 'running' && (
+              <button
+                type="button"
+                className="admin-button"
+                disabled={huntSubmitting || !huntReason.trim()}
+                onClick={() => runHuntAction('adminPauseHunt', 'Pause')}
+              >
+                Pause
+              </button>
+            )}
+            {huntStatus === 'paused' && (
+              <button
+                type="button"
+                className="admin-button"
+                disabled={huntSubmitting || !huntReason.trim()}
+                onClick={() => runHuntAction('adminResumeHunt', 'Resume')}
+              >
+                Resume
+              </button>
+            )}
+            {schedule.endsAt && (
+              <button
+                type="button"
+                className="admin-button admin-button-secondary"
+                disabled={huntSubmitting || !huntReason.trim() || !(Number(extendMinutes) > 0)}
+                onClick={() => runHuntAction('adminExtendHunt', `Extend by ${extendMinutes} minutes`, { minutes: Number(extendMinutes) })}
+              >
+                Extend by {extendMinutes || 0} min
+              </button>
+            )}
+          </div>
+        </div>
+      )}
+
+      {selectedEvent && (
+        <form className="admin-actions-panel admin-notify-panel" onSubmit={handleSendNotification}>
+          <h3 className="admin-actions-title">Send notification</h3>
+          <div className="admin-actions-fields">
+            <select
+              value={notifyGroupId}
+              onChange={(e) => setNotifyGroupId(e.target.value)}
+              className="admin-input"
+            >
+              <option value="">All groups</option>
+              {groups.map((group) => (
+                <option key={group.groupId} value={group.groupId}>
+                  {formatGroupLabel(group)}
+                </option>
+              ))}
+            </select>
+            <input
+              type="text"
+              value={notifyTitle}
+              onChange={(e) => setNotifyTitle(e.target.value)}
+              className="admin-input"
+              placeholder="Title, e.g. 30 minutes left"
+              maxLength={80}
+              required
+            />
+            <input
+              type="text"
+              value={notifyBody}
+              onChange={(e) => setNotifyBody(e.target.value)}
+              className="admin-input"
+              placeholder="Message (optional)"
+              maxLength={300}
+            />
+          </div>
+          {notifyMessage && <div className="admin-actions-message">{notifyMessage}</div>}
+          <div className="admin-actions-buttons">
+            <button type="submit" className="admin-button" disabled={notifySubmitting || !notifyTitle.trim()}>
+              {notifySubmitting ? 'Sending...' : 'Send'}
+            </button>
+          </div>
+        </form>
+      )}
+
+      {selectedGroupId && (() => {
+        const selectedAction = GROUP_ACTIONS.find((groupAction) => groupAction.value === actionType)
+        return (
+          <form className="admin-actions-panel" onSubmit={handleActionSubmit}>
+            <h3 className="admin-actions-title">Manage {formatGroupLabel(findGroup(groups, selectedGroupId))}</h3>
+            <div className="admin-actions-fields">
+              <select
+                value={actionType}
+                onChange={(e) => setActionType(e.target.value)}
+                className="admin-input"
+              >
+                {GROUP_ACTIONS.map((groupAction) => (
+                  <option key={groupAction.value} value={groupAction.value}>
+                    {groupAction.label}
+                  </option>
+                ))}
+              </select>
+              {selectedAction.needsStage && (
+                <input
+                  type="number"
+                  min="1"
+                  value={actionStage}
+                  onChange={(e) => setActionStage(e.target.value)}
+                  className="admin-input"
+                  placeholder="Stage number"
+                  required
+                />
+              )}
+              {selectedAction.needsPlayer && (
+                <select
+                  value={actionPlayer}
+                  onChange={(e) => setActionPlayer(e.target.value)}
+                  className="admin-input"
+                  required
+                >
+                  <option value="">Choose a player</option>
+                  {Object.entries(groupPlayers).map(([uid, player]) => (
+                    <option key={uid} value={uid}>
+                      {player.playerName || uid.slice(0, 8)}{player.revoked ? ' (revoked)' : ''}
+                    </option>
+                  ))}
+                </select>
+              )}
+              <input
+                type="text"
+                value={actionReason}
+                onChange={(e) => setActionReason(e.target.value)}
+                className="admin-input"
+                placeholder="Reason (recorded in the audit log)"
+                required
+              />
+            </div>
+            {actionMessage && <div className="admin-actions-message">{actionMessage}</div>}
+            <div className="admin-actions-buttons">
+              <button type="submit" className="admin-button" disabled={actionSubmitting || !actionReason.trim()}>
+                {actionSubmitting ? 'Applying...' : 'Apply'}
+              </button>
+              <button type="button" className="admin-button admin-button-secondary" onClick={() => setSelectedGroupId(null)}>
+                Close
+              </button>
+            </div>
+          </form>
+        )
+      })()}
+
+      <div className="admin-table-wrapper">
+        <table className="admin-table">
+          <thead>
+            <tr>
+              <th>Group</th>
+              <th>Current Stage</th>
+              <th>Completed Stages</th>
+              <th>Last Activity</th>
+              <th>Recent Attempts</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {groupIds.length === 0 && (
+              <tr>
+                <td colSpan={6} className="admin-empty">No group activity yet.</td>
+              </tr>
+            )}
+            {groupIds.map((groupId) => {
+              const progress = groupProgress[groupId] || {}
+              const completedStages = Object.values(progress.completedStages || {}).sort((a, b) => a - b)
+              const groupAttempts = attemptsByGroup[groupId] || []
+              const lastActivity = Math.max(progress.lastUpdated || 0, groupAttempts[0]?.createdAt || 0)
+
+              return (
+                <tr key={groupId}>
+                  <td className="admin-group-cell">
+                    {formatGroupLabel(findGroup(groups, groupId))}
+                    {findGroup(groups, groupId).active === false && (
+                      <span className="admin-inactive"> (inactive)</span>
+                    )}
+                  </td>
+                  <td>{progress.currentStage || 0}</td>
+                  <td>{completedStages.length > 0 ? completedStages.join(', ') : '—'}</td>
+                  <td>{formatRelativeTime(lastActivity)}</td>
+                  <td>
+                    <ul className="admin-attempt-list">
+                      {groupAttempts.slice(0, ATTEMPTS_PER_GROUP).map((attempt) => (
+                        <li
+                          key={attempt.id}
+                          className={`admin-attempt ${attempt.correct ? 'correct' : 'incorrect'}`}
+                        >
+                          <span className="admin-attempt-mark">{attempt.correct ? '✓' : '✗'}</span>
+                          <span className="admin-attempt-stage">Stage {attempt.stageId}</span>
+                          <span className="admin-attempt-answer">{attempt.answerRedacted ? '(answer hidden)' : attempt.answer}</span>
+                          <span className="admin-attempt-time">{formatRelativeTime(attempt.createdAt)}</span>
+                        </li>
+                      ))}
+                    </ul>
+                  </td>
+                  <td>
+                    <button className="admin-button admin-button-small" onClick={() => openActions(groupId)}>
+                      Manage
+                    </button>
+                  </td>
+                </tr>
+              )
+            })}
+          </tbody>
+        </table>
+      </div>
+
+      {selectedEvent && (
+        <div className="admin-messages">
+          <h3 className="admin-actions-title">Messages</h3>
+          <MessageCenter eventId={selectedEvent} groups={groups} />
+        </div>
+      )}
+
+      {selectedEvent && (
+        <div className="admin-photo-queue">
+          <h3 className="admin-actions-title">Photos to review</h3>
+          <PhotoReviewQueue eventId={selectedEvent} groups={groups} />
+        </div>
+      )}
+
+      {selectedEvent && (
+        <div className="admin-leaderboard">
+          <div className="admin-leaderboard-header">
+            <h3 className="admin-actions-title">Leaderboard</h3>
+            <button className="admin-button admin-button-small admin-button-secondary" onClick={handleRebuildLeaderboard}>
+              Recalculate
+            </button>
+          </div>
+          <Leaderboard eventId={selectedEvent} showDetails />
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default Admin
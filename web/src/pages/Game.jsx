@@ -1,10 +1,61 @@
-import React, { useEffect, useState, useCallback } from 'react'
+import React, { useEffect, useState, useCallback, useRef } from 'react'
 import { useNavigate } from 'react-router-dom'
 import { httpsCallable } from 'firebase/functions'
-import { functions } from '../firebase-config'
+import { ref, onValue } from 'firebase/database'
+import { auth, functions, database } from '../firebase-config'
+import { getCurrentEventId } from '../events'
+import { fetchSchedule, getScheduleStatus, formatDuration } from '../schedule'
+import { subscribeToProgress } from '../progress'
+import { isNetworkError, cacheStage, getCachedStage, cacheProgress, getCachedProgress, clearOfflineData } from '../offline'
+import {
+  createSubmissionId,
+  getQueue,
+  subscribeToQueue,
+  hasQueuedSubmissions,
+  enqueueSubmission,
+  dismissSubmission,
+  sendSubmission,
+  flushQueue
+} from '../submission-queue'
+import { resizePhoto, uploadPhoto } from '../photos'
+import { isPushSupported, getPushPermission, enablePushNotifications } from '../push'
+import { subscribeToSession, getUnreadMessages, getLatestSentAt, sendGroupMessage, markReadByPlayer } from '../messages'
+import Leaderboard from '../components/Leaderboard'
+import QrScanner from '../components/QrScanner'
+import StructuredAnswer from '../components/StructuredAnswer'
 import './Game.css'
 
+// How often the hunt schedule is re-fetched, so pauses and extensions show up
+const SCHEDULE_REFRESH_MS = 30000
+// How long to wait for a GPS fix on location stages
+const GEOLOCATION_TIMEOUT_MS = 20000
+// How long a "solved by a teammate" toast stays on screen
+const TOAST_DURATION_MS = 5000
+// How often queued answers are retried while the connection looks up but requests fail
+const QUEUE_RETRY_MS = 15000
+
+// QR stages: only City Hunt checkpoint codes are submitted (see backend_code/lib/checkpoints.js)
+const isCheckpointCode = (text) => text.startsWith('CH1.')
+// Short text for an answer in the list of queued answers
+const describeAnswer = (answerValue) => {
+  if (Array.isArray(answerValue)) return answerValue.join(', ')
+  if (answerValue && typeof answerValue === 'object') return '📍 Location check-in'
+  if (isCheckpointCode(String(answerValue))) return '📷 Scanned QR code'
+  return String(answerValue)
+}
+const isPendingSubmission = (item) => item.status === 'queued' || item.status === 'sending'
+// Labels for the organizers' messages in the inbox, by kind
+const MESSAGE_LABELS = {
+  announcement: '📢 Announcement',
+  message: 'Organizers'
+}
+const formatMessageTime = (sentAt) => (sentAt ? new Date(sentAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }) : '')
+// Stage types with their own input (see backend_code/lib/answer-types.js)
+const STRUCTURED_ANSWER_TYPES = ['choice', 'number', 'sequence', 'fields']
+
 function Game({ setIsAuthenticated, setCurrentGroup }) {
+  // The hunt this device is logged into; it cannot change without logging in again
+  const [currentEvent] = useState(() => getCurrentEventId())
   const [currentGroup, setLocalCurrentGroup] = useState(null)
   const [currentStageId, setCurrentStageId] = useState(1)
   const [stageData, setStageData] = useState(null)
@@ -12,47 +63,100 @@ function Game({ setIsAuthenticated, setCurrentGroup }) {
   const [submitting, setSubmitting] = useState(false)
   const [answer, setAnswer] = useState('')
   const [error, setError] = useState('')
-  const [hint, setHint] = useState('')
+  const [requestingHint, setRequestingHint] = useState(false)
+  const [locating, setLocating] = useState(false)
+  const [locationAccuracy, setLocationAccuracy] = useState(null) // Accuracy of the last GPS fix in meters
+  const [scanning, setScanning] = useState(false)
+  const [photoReview, setPhotoReview] = useState(null) // Review of the team's photo on photo stages
+  const [photoPreview, setPhotoPreview] = useState(null) // Data URL of the photo sent from this device
+  const [uploadingPhoto, setUploadingPhoto] = useState(false)
   const [isCorrect, setIsCorrect] = useState(false)
   const [progress, setProgress] = useState({ currentStage: 0, completedStages: [], totalStages: 0 })
   const [hasInitialized, setHasInitialized] = useState(false)
-  const [activeTab, setActiveTab] = useState('game') // 'game' or 'profile'
+  const [activeTab, setActiveTab] = useState('game') // 'game', 'leaderboard', 'messages' or 'profile'
+  const [retryAt, setRetryAt] = useState(null) // Timestamp when the next attempt is allowed
+  const [retrySeconds, setRetrySeconds] = useState(0)
+  const [lockedOut, setLockedOut] = useState(false)
+  const [schedule, setSchedule] = useState(null) // Hunt start/end/pause times, see ../schedule.js
+  const [clock, setClock] = useState(Date.now())
+  const [toasts, setToasts] = useState([]) // Stages solved on teammates' devices
+  const [isOnline, setIsOnline] = useState(navigator.onLine)
+  const [showingCachedStage, setShowingCachedStage] = useState(false) // Stage shown from the offline copy
+  const [submissionQueue, setSubmissionQueue] = useState(getQueue) // Answers sent while offline, see ../submission-queue.js
+  const [pushStatus, setPushStatus] = useState(null) // null (not supported), 'off', 'enabling', 'on', 'blocked' or 'failed'
+  const [session, setSession] = useState({ messages: [], readBy: {} }) // Conversation with the organizers, see ../messages.js
+  const [messageText, setMessageText] = useState('')
+  const [sendingMessage, setSendingMessage] = useState(false)
+  const [messageError, setMessageError] = useState('')
   const navigate = useNavigate()
 
+  // The server rejects calls with 'unauthenticated' when this device's group
+  // authorization is missing, expired or revoked - send the player back to login
+  const handleAuthorizationError = useCallback((error) => {
+    if (error?.code !== 'functions/unauthenticated') {
+      return false
+    }
+    clearOfflineData(currentEvent, localStorage.getItem('currentGroup'))
+    localStorage.removeItem('currentGroup')
+    localStorage.removeItem('loginData')
+    if (setIsAuthenticated) {
+      setIsAuthenticated(false)
+    }
+    if (setCurrentGroup) {
+      setCurrentGroup(null)
+    }
+    navigate('/login', { replace: true, state: { message: error.message } })
+    return true
+  }, [navigate, setIsAuthenticated, setCurrentGroup, currentEvent])
+
   const loadProgress = useCallback(async (groupId, isInitial = false) => {
+    const applyProgress = (progressData) => {
+      setProgress(progressData)
+
+      // Only set current stage on initial load
+      if (isInitial) {
+        // Set current stage to the first unlocked stage (currentStage + 1, or 1 if no progress)
+        const firstUnlockedStage = progressData.currentStage === 0 ? 1 : progressData.currentStage + 1
+        // Allow navigation up to totalStages (includes finish stage)
+        setCurrentStageId(Math.min(firstUnlockedStage, progressData.totalStages || 1))
+      }
+    }
+
     try {
       const getGroupProgress = httpsCallable(functions, 'getGroupProgress')
-      const result = await getGroupProgress({ groupId })
+      const result = await getGroupProgress({ eventId: currentEvent, groupId })
       
       if (result.data.success) {
-        const progressData = {
+        applyProgress({
           currentStage: result.data.currentStage || 0,
           completedStages: result.data.completedStages || [],
           totalStages: result.data.totalStages || 0
-        }
-        setProgress(progressData)
-        
-        // Only set current stage on initial load
-        if (isInitial) {
-          // Set current stage to the first unlocked stage (currentStage + 1, or 1 if no progress)
-          const firstUnlockedStage = progressData.currentStage === 0 ? 1 : progressData.currentStage + 1
-          // Allow navigation up to totalStages (includes finish stage)
-          setCurrentStageId(Math.min(firstUnlockedStage, progressData.totalStages || 1))
-        }
+        })
       }
     } catch (error) {
       console.error('Error loading progress:', error)
+      if (handleAuthorizationError(error)) {
+        return
+      }
+      if (isNetworkError(error)) {
+        // Offline - use the progress saved on this device
+        const cachedProgress = getCachedProgress(currentEvent, groupId)
+        if (cachedProgress) {
+          applyProgress(cachedProgress)
+        }
+        return
+      }
       if (!isInitial) {
         // Only show error if not initial load (to avoid blocking initial render)
         setError('Failed to load progress. Please try again.')
       }
     }
-  }, [])
+  }, [currentEvent, handleAuthorizationError])
 
   // Check authentication and load progress on mount
   useEffect(() => {
     const storedGroup = localStorage.getItem('currentGroup')
-    if (!storedGroup) {
+    if (!storedGroup || !currentEvent) {
       navigate('/login', { replace: true })
       if (setIsAuthenticated) {
         setIsAuthenticated(false)
@@ -64,7 +168,32 @@ function Game({ setIsAuthenticated, setCurrentGroup }) {
         setHasInitialized(true)
       }
     }
-  }, [navigate, setIsAuthenticated, hasInitialized, loadProgress])
+  }, [navigate, setIsAuthenticated, hasInitialized, loadProgress, currentEvent])
+
+  // Save progress for offline use
+  useEffect(() => {
+    if (currentGroup && progress.totalStages) {
+      cacheProgress(currentEvent, currentGroup, progress)
+    }
+  }, [currentEvent, currentGroup, progress])
+
+  // Track the connection, and reload a stage shown from its offline copy once it is back
+  useEffect(() => {
+    const handleOnline = () => setIsOnline(true)
+    const handleOffline = () => setIsOnline(false)
+    window.addEventListener('online', handleOnline)
+    window.addEventListener('offline', handleOffline)
+    return () => {
+      window.removeEventListener('online', handleOnline)
+      window.removeEventListener('offline', handleOffline)
+    }
+  }, [])
+
+  useEffect(() => {
+    if (isOnline && showingCachedStage && currentGroup) {
+      loadStageContent(currentGroup, currentStageId)
+    }
+  }, [isOnline])
 
   // Load stage content when stage changes
   useEffect(() => {
@@ -73,20 +202,310 @@ function Game({ setIsAuthenticated, setCurrentGroup }) {
     }
   }, [currentGroup, currentStageId])
 
+  const loadSchedule = useCallback(async () => {
+    try {
+      setSchedule(await fetchSchedule(currentEvent))
+    } catch (error) {
+      console.error('Error loading hunt schedule:', error)
+    }
+  }, [currentEvent])
+
+  // Load the hunt schedule and keep it fresh
+  useEffect(() => {
+    if (!currentEvent) {
+      return
+    }
+
+    loadSchedule()
+    const interval = setInterval(loadSchedule, SCHEDULE_REFRESH_MS)
+    return () => clearInterval(interval)
+  }, [currentEvent, loadSchedule])
+
+  // Tick the hunt countdown once per second
+  useEffect(() => {
+    if (!schedule?.startsAt && !schedule?.endsAt) {
+      return
+    }
+
+    const interval = setInterval(() => setClock(Date.now()), 1000)
+    return () => clearInterval(interval)
+  }, [schedule])
+
+  // Current time on the server clock, and the hunt's status at that time
+  const huntNow = clock + (schedule?.clockOffset || 0)
+  const huntStatus = getScheduleStatus(schedule, huntNow)
+
+  // Stage content is refused before the start, so load it once the countdown ends
+  const previousHuntStatus = useRef(huntStatus)
+  useEffect(() => {
+    if (previousHuntStatus.current === 'upcoming' && huntStatus !== 'upcoming' && currentGroup) {
+      loadStageContent(currentGroup, currentStageId)
+    }
+    previousHuntStatus.current = huntStatus
+  }, [huntStatus])
+
+  // Follow the group's progress live, so a stage solved on a teammate's
+  // device shows up here without reloading. The stage being viewed switches
+  // to its success state and the player is told who solved it.
+  const currentStageRef = useRef(currentStageId)
+  currentStageRef.current = currentStageId
+  const completedStagesRef = useRef([])
+  completedStagesRef.current = progress.completedStages || []
+  useEffect(() => {
+    if (!currentGroup || !currentEvent) {
+      return
+    }
+
+    let knownCompletedStages = null // Unknown until the first snapshot
+    const unsubscribe = subscribeToProgress(
+      currentEvent,
+      currentGroup,
+      (liveProgress) => {
+        setProgress((current) => ({
+          ...current,
+          currentStage: liveProgress.currentStage,
+          completedStages: liveProgress.completedStages
+        }))
+
+        const newStages = knownCompletedStages
+          ? liveProgress.completedStages.filter((stageNum) => !knownCompletedStages.includes(stageNum))
+          : []
+        knownCompletedStages = liveProgress.completedStages
+
+        newStages.forEach((stageNum) => {
+          if (stageNum === currentStageRef.current) {
+            setIsCorrect(true)
+            setAnswer('')
+            setError('')
+          }
+
+          // Stages solved on this device need no toast; organizer changes have no solver
+          const solver = liveProgress.completedBy[stageNum]
+          if (!solver || solver.uid === auth.currentUser?.uid) {
+            return
+          }
+          const toast = { id: `${stageNum}-${Date.now()}`, text: `Stage ${stageNum} solved by ${solver.name || 'a teammate'}!` }
+          setToasts((current) => [...current, toast])
+          setTimeout(() => {
+            setToasts((current) => current.filter((item) => item.id !== toast.id))
+          }, TOAST_DURATION_MS)
+        })
+      },
+      (error) => console.error('Error listening to group progress:', error)
+    )
+    return () => unsubscribe()
+  }, [currentEvent, currentGroup])
+
+  // Send queued answers in order. The progress listener picks up the stages
+  // they solve; answers for stages solved in the meantime are not sent.
+  const flushSubmissions = () => {
+    if (!currentGroup) {
+      return
+    }
+    flushQueue({
+      eventId: currentEvent,
+      groupId: currentGroup,
+      isSolved: (item) => completedStagesRef.current.includes(item.stageId),
+      onResult: (item, data, error) => {
+        if (error) {
+          if (error.code === 'functions/resource-exhausted' && item.stageId === currentStageRef.current) {
+            // Rate limited - the queue waits, show the same countdown as a direct answer
+            applyRateLimit(error.details?.retryAfterSeconds, error.details?.lockedOut)
+          } else {
+            handleAuthorizationError(error)
+          }
+        } else if (data.correct && item.stageId === currentStageRef.current) {
+          setIsCorrect(true)
+        }
+      }
+    })
+  }
+
+  useEffect(() => subscribeToQueue(setSubmissionQueue), [])
+
+  // Send queued answers when the connection is back, and keep retrying while any are waiting
+  const hasPendingSubmissions = submissionQueue.some((item) => (
+    isPendingSubmission(item) && item.eventId === currentEvent && item.groupId === currentGroup
+  ))
+  useEffect(() => {
+    if (!hasPendingSubmissions || !isOnline) {
+      return
+    }
+
+    flushSubmissions()
+    const interval = setInterval(flushSubmissions, QUEUE_RETRY_MS)
+    return () => clearInterval(interval)
+  }, [hasPendingSubmissions, isOnline, currentGroup])
+
+  // Push notifications from the organizers. Once allowed, the device is
+  // registered again on every visit, since push tokens can change.
+  useEffect(() => {
+    if (!currentGroup) {
+      return
+    }
+
+    let cancelled = false
+    isPushSupported().then((supported) => {
+      if (cancelled || !supported) {
+        return
+      }
+      const permission = getPushPermission()
+      if (permission === 'granted') {
+        setPushStatus('on')
+        enablePushNotifications(currentEvent, currentGroup)
+          .catch((error) => console.error('Error registering for notifications:', error))
+      } else {
+        setPushStatus(permission === 'denied' ? 'blocked' : 'off')
+      }
+    })
+    return () => {
+      cancelled = true
+    }
+  }, [currentEvent, currentGroup])
+
+  const handleEnableNotifications = async () => {
+    setPushStatus('enabling')
+    try {
+      const enabled = await enablePushNotifications(currentEvent, currentGroup)
+      setPushStatus(enabled ? 'on' : getPushPermission() === 'denied' ? 'blocked' : 'off')
+    } catch (error) {
+      console.error('Error enabling notifications:', error)
+      if (handleAuthorizationError(error)) {
+        return
+      }
+      setPushStatus('failed')
+    }
+  }
+
+  // Follow the group's conversation with the organizers
+  useEffect(() => {
+    if (!currentGroup || !currentEvent) {
+      return
+    }
+
+    const unsubscribe = subscribeToSession(
+      currentEvent,
+      currentGroup,
+      setSession,
+      (error) => console.error('Error listening to messages:', error)
+    )
+    return () => unsubscribe()
+  }, [currentEvent, currentGroup])
+
+  // Organizer messages this player has not read yet; the newest is shown as a banner
+  const messagesReadAt = session.readBy[auth.currentUser?.uid] || 0
+  const unreadMessages = getUnreadMessages(session.messages, 'organizers', messagesReadAt)
+  const bannerMessage = unreadMessages[unreadMessages.length - 1]
+
+  const markMessagesRead = () => {
+    const latestSentAt = getLatestSentAt(session.messages, 'organizers')
+    if (latestSentAt > messagesReadAt && auth.currentUser) {
+      markReadByPlayer(currentEvent, currentGroup, auth.currentUser.uid, latestSentAt)
+        .catch((error) => console.error('Error marking messages as read:', error))
+    }
+  }
+
+  // Messages are read once the inbox is open
+  const messagesEndRef = useRef(null)
+  useEffect(() => {
+    if (activeTab !== 'messages') {
+      return
+    }
+    markMessagesRead()
+    messagesEndRef.current?.scrollIntoView({ block: 'end' })
+  }, [activeTab, session])
+
+  const handleSendMessage = async (help) => {
+    if (help && !window.confirm('Ask the organizers for help? They will see your message highlighted.')) {
+      return
+    }
+
+    setSendingMessage(true)
+    setMessageError('')
+    try {
+      await sendGroupMessage(currentEvent, currentGroup, messageText, help)
+      setMessageText('')
+    } catch (error) {
+      console.error('Error sending message:', error)
+      if (handleAuthorizationError(error)) {
+        return
+      }
+      setMessageError(isNetworkError(error)
+        ? "You're offline. Send the message again when you're back online."
+        : error.message || 'Failed to send the message. Please try again.')
+    } finally {
+      setSendingMessage(false)
+    }
+  }
+
+  // Photo stages: follow the organizer's review of the team's photo live
+  const isPhotoStage = stageData?.type === 'photo' && stageData?.stageId === currentStageId
+  useEffect(() => {
+    if (!isPhotoStage || !currentGroup) {
+      return
+    }
+
+    const unsubscribe = onValue(
+      ref(database, `events/${currentEvent}/photoReviews/${currentGroup}/${currentStageId}`),
+      (snapshot) => {
+        const review = snapshot.val()
+        setPhotoReview(review)
+        if (review?.status === 'approved') {
+          setIsCorrect(true) // The progress listener picks up the completed stage
+        }
+      },
+      (error) => console.error('Error listening to photo review:', error)
+    )
+    return () => unsubscribe()
+  }, [isPhotoStage, currentEvent, currentGroup, currentStageId])
+
+  // Tick the rate limit countdown once per second
+  useEffect(() => {
+    if (!retryAt) {
+      return
+    }
+
+    const tick = () => {
+      const remaining = Math.ceil((retryAt - Date.now()) / 1000)
+      if (remaining <= 0) {
+        setRetryAt(null)
+        setRetrySeconds(0)
+      } else {
+        setRetrySeconds(remaining)
+      }
+    }
+
+    tick()
+    const interval = setInterval(tick, 1000)
+    return () => clearInterval(interval)
+  }, [retryAt])
+
+  // Apply a wait reported by the server (resource-exhausted error or wrong answer response)
+  const applyRateLimit = (retryAfterSeconds, isLockedOut) => {
+    setLockedOut(!!isLockedOut)
+    setRetryAt(retryAfterSeconds ? Date.now() + retryAfterSeconds * 1000 : null)
+  }
+
   const loadStageContent = async (groupId, stageId) => {
     setLoading(true)
     setError('')
-    setHint('')
     setIsCorrect(false)
     setAnswer('')
+    setLocationAccuracy(null)
+    setScanning(false)
+    setPhotoReview(null)
+    setPhotoPreview(null)
+    applyRateLimit(null, false)
 
     try {
       const getStageContent = httpsCallable(functions, 'getStageContent')
-      const result = await getStageContent({ groupId, stageId })
+      const result = await getStageContent({ eventId: currentEvent, groupId, stageId })
 
       if (result.data.success) {
         setStageData(result.data)
-          setIsCorrect(result.data.isCompleted || false)
+        setIsCorrect(result.data.isCompleted || false)
+        setShowingCachedStage(false)
+        cacheStage(currentEvent, groupId, stageId, result.data)
         
         // Reload progress to get latest state (not initial load)
         await loadProgress(groupId, false)
@@ -95,8 +514,27 @@ function Game({ setIsAuthenticated, setCurrentGroup }) {
       }
     } catch (error) {
       console.error('Error loading stage content:', error)
+      if (handleAuthorizationError(error)) {
+        return
+      }
+      if (isNetworkError(error)) {
+        // Offline - show the copy saved when the stage was last loaded
+        const cachedStage = getCachedStage(currentEvent, groupId, stageId)
+        if (cachedStage) {
+          setStageData(cachedStage)
+          setIsCorrect(cachedStage.isCompleted || completedStagesRef.current.includes(stageId))
+          setShowingCachedStage(true)
+        } else {
+          setError('You are offline and this stage has not been opened on this device yet. It will load once you are back online.')
+        }
+        return
+      }
       if (error.code === 'functions/permission-denied') {
         setError('This stage is locked. Complete previous stages first.')
+      } else if (error.code === 'functions/failed-precondition') {
+        // The hunt has not started yet - the schedule decides what to show
+        setError(error.message)
+        loadSchedule()
       } else {
         setError('Failed to load stage content. Please try again.')
       }
@@ -106,13 +544,8 @@ function Game({ setIsAuthenticated, setCurrentGroup }) {
   }
 
   const handleAnswerChange = (e) => {
-    const value = e.target.value
-    // Only allow alphanumeric characters and spaces
-    if (/^[a-zA-Z0-9 ]*$/.test(value)) {
-      setAnswer(value)
-      setError('')
-      setHint('')
-    }
+    setAnswer(e.target.value)
+    setError('')
   }
 
   const handleSubmit = async (e) => {
@@ -123,41 +556,205 @@ function Game({ setIsAuthenticated, setCurrentGroup }) {
       return
     }
 
+    await submitAnswer(answer.trim())
+  }
+
+  // Location stages: send the device's position as the answer
+  const handleCheckIn = async () => {
+    if (!navigator.geolocation) {
+      setError('Your browser does not support location. Please ask an organizer for help.')
+      return
+    }
+
+    setLocating(true)
+    setError('')
+
+    try {
+      const position = await new Promise((resolve, reject) => {
+        navigator.geolocation.getCurrentPosition(resolve, reject, {
+          enableHighAccuracy: true,
+          timeout: GEOLOCATION_TIMEOUT_MS,
+          maximumAge: 0
+        })
+      })
+      setLocationAccuracy(Math.round(position.coords.accuracy))
+      setLocating(false)
+      await submitAnswer({
+        latitude: position.coords.latitude,
+        longitude: position.coords.longitude,
+        accuracy: position.coords.accuracy
+      })
+    } catch (error) {
+      console.error('Error getting location:', error)
+      setLocating(false)
+      setError(error.code === 1 // PERMISSION_DENIED
+        ? 'Location access was denied. Allow location for this site and try again.'
+        : 'Could not get your location. Please try again.')
+    }
+  }
+
+  // QR stages: submit the scanned checkpoint token
+  const handleQrScan = async (token) => {
+    setScanning(false)
+    await submitAnswer(token)
+  }
+
+  // Photo stages: resize the chosen photo on the device and send it for review
+  const handlePhotoSelected = async (e) => {
+    const file = e.target.files?.[0]
+    e.target.value = '' // Allow choosing the same file again
+    if (!file) {
+      return
+    }
+
+    setUploadingPhoto(true)
+    setError('')
+
+    try {
+      const dataUrl = await resizePhoto(file)
+      setPhotoPreview(dataUrl)
+      await uploadPhoto(currentEvent, currentGroup, currentStageId, dataUrl)
+      // The review listener picks up the pending status
+    } catch (error) {
+      console.error('Error submitting photo:', error)
+      setPhotoPreview(null)
+      if (handleAuthorizationError(error)) {
+        return
+      }
+      if (isNetworkError(error)) {
+        setError('You are offline. Send the photo again once you are back online.')
+        return
+      }
+      if (error.code === 'functions/failed-precondition' || error.code === 'functions/invalid-argument') {
+        setError(error.message)
+        loadSchedule()
+        return
+      }
+      setError('Failed to submit the photo. Please try again.')
+    } finally {
+      setUploadingPhoto(false)
+    }
+  }
+
+  // Submit a text answer, a position for location stages, a token for QR
+  // stages or the answer of a structured stage
+  const submitAnswer = async (answerValue) => {
     if (isCorrect) {
       return // Already answered correctly
     }
 
-    setSubmitting(true)
+    // The submissionId makes resending this answer safe (see ../submission-queue.js)
+    const submission = {
+      submissionId: createSubmissionId(),
+      eventId: currentEvent,
+      groupId: currentGroup,
+      stageId: currentStageId,
+      answer: answerValue,
+      label: describeAnswer(answerValue)
+    }
+
     setError('')
-    setHint('')
+
+    // Offline, or behind answers that are still waiting: queue it, so
+    // answers reach the server in the order they were given
+    if (!navigator.onLine || hasQueuedSubmissions(currentEvent, currentGroup)) {
+      enqueueSubmission(submission)
+      setAnswer('')
+      return
+    }
+
+    setSubmitting(true)
 
     try {
-      const validateAnswer = httpsCallable(functions, 'validateAnswer')
-      const result = await validateAnswer({
-        groupId: currentGroup,
-        stageId: currentStageId,
-        answer: answer.trim()
-      })
+      const data = await sendSubmission(submission)
 
-      if (result.data.success) {
-        if (result.data.correct) {
+      if (data.success) {
+        if (data.correct) {
           setIsCorrect(true)
           setAnswer('') // Clear answer after correct submission
-          // Reload progress to get updated state (not initial load)
-          await loadProgress(currentGroup, false)
+          // The progress listener picks up the completed stage
         } else {
-          setHint(result.data.hint || 'Try again!')
-          setError(result.data.message || 'Incorrect answer. Try again!')
+          setError(data.message || 'Incorrect answer. Try again!')
+          applyRateLimit(data.retryAfterSeconds, data.lockedOut)
         }
       }
     } catch (error) {
       console.error('Error validating answer:', error)
+      if (handleAuthorizationError(error)) {
+        return
+      }
+      if (isNetworkError(error)) {
+        // The connection dropped - the queue sends it again with the same submissionId
+        enqueueSubmission(submission)
+        setAnswer('')
+        return
+      }
+      if (error.code === 'functions/resource-exhausted') {
+        // Rate limited - show a countdown instead of an error
+        applyRateLimit(error.details?.retryAfterSeconds, error.details?.lockedOut)
+        return
+      }
+      if (error.code === 'functions/failed-precondition') {
+        // Hunt paused or over (or a stage without answers)
+        setError(error.message)
+        loadSchedule()
+        return
+      }
       setError('Failed to validate answer. Please try again.')
     } finally {
       setSubmitting(false)
     }
   }
 
+  // Unlock the next hint for the whole team. Hints cost points on the leaderboard.
+  const handleRequestHint = async () => {
+    const cost = stageData?.nextHintCost
+    const costText = cost ? `This hint costs ${cost} points.` : 'This hint is free.'
+    if (!window.confirm(`Get a hint? ${costText}`)) {
+      return
+    }
+
+    setRequestingHint(true)
+    setError('')
+
+    try {
+      const requestHint = httpsCallable(functions, 'requestHint')
+      const result = await requestHint({
+        eventId: currentEvent,
+        groupId: currentGroup,
+        stageId: currentStageId,
+        // Hints already shown, so a teammate's simultaneous request is not paid twice
+        tier: stageData?.hints?.length || 0
+      })
+
+      if (result.data.success) {
+        setStageData((current) => ({
+          ...current,
+          hints: result.data.hints,
+          totalHints: result.data.totalHints,
+          nextHintCost: result.data.nextHintCost
+        }))
+      }
+    } catch (error) {
+      console.error('Error requesting hint:', error)
+      if (handleAuthorizationError(error)) {
+        return
+      }
+      if (isNetworkError(error)) {
+        setError('You are offline. Hints can be requested once you are back online.')
+        return
+      }
+      if (error.code === 'functions/failed-precondition') {
+        setError(error.message)
+        loadSchedule()
+        return
+      }
+      setError('Failed to get a hint. Please try again.')
+    } finally {
+      setRequestingHint(false)
+    }
+  }
+
   const handleBack = () => {
     if (currentStageId > 1) {
       setCurrentStageId(currentStageId - 1)
@@ -177,6 +774,7 @@ function Game({ setIsAuthenticated, setCurrentGroup }) {
   }
 
   const handleLogout = () => {
+    clearOfflineData(currentEvent, currentGroup)
     localStorage.removeItem('currentGroup')
     localStorage.removeItem('loginData')
     
@@ -212,6 +810,38 @@ function Game({ setIsAuthenticated, setCurrentGroup }) {
                     (currentStageId === playableStages && allStagesCompleted)
   // Show submission form only if stage has an answer field (or hasAnswer is undefined for backward compatibility) and is not correct
   const showSubmissionForm = !isCorrect && (stageData?.hasAnswer !== false)
+  // Submissions are blocked while a rate limit countdown or lockout is active
+  const isRateLimited = lockedOut || retrySeconds > 0
+  // Answers are only accepted while the hunt is running (not paused or over)
+  const isHuntOpen = huntStatus === 'running'
+  // Time left in the hunt; frozen while paused
+  const timeRemaining = schedule?.endsAt
+    ? schedule.endsAt - (huntStatus === 'paused' ? schedule.pausedAt : huntNow)
+    : null
+  const huntDuration = schedule?.startsAt && schedule?.endsAt ? schedule.endsAt - schedule.startsAt : null
+
+  // Answers for this stage that went through the offline queue
+  const stageSubmissions = submissionQueue.filter((item) => (
+    item.eventId === currentEvent && item.groupId === currentGroup && item.stageId === currentStageId
+  ))
+  const describeSubmissionStatus = (item) => {
+    switch (item.status) {
+      case 'queued':
+        if (item.retryAt > Date.now()) return '⏳ Too many attempts - waiting to send'
+        return isOnline ? '⏳ Waiting to send' : '⏳ Waiting for connection'
+      case 'sending': return 'Sending...'
+      case 'correct': return '✓ Correct'
+      case 'incorrect': return '✗ Incorrect'
+      case 'skipped': return 'Not sent - stage already solved'
+      default: return `⚠ ${item.message || 'Could not be sent'}`
+    }
+  }
+
+  // Format seconds as m:ss for the rate limit countdown
+  const formatCountdown = (seconds) => {
+    const minutes = Math.floor(seconds / 60)
+    return `${minutes}:${String(seconds % 60).padStart(2, '0')}`
+  }
 
   // Render description with support for links and formatting
   const renderDescription = (description) => {
@@ -243,10 +873,53 @@ function Game({ setIsAuthenticated, setCurrentGroup }) {
     )
   }
 
+  // Newest unread organizer message, shown above the game
+  const renderMessageBanner = () => bannerMessage && (
+    <div className="message-banner" role="status">
+      <div className="message-banner-label">
+        {bannerMessage.kind === 'announcement' ? MESSAGE_LABELS.announcement : 'Message from the organizers'}
+        {unreadMessages.length > 1 && ` (+${unreadMessages.length - 1} more)`}
+      </div>
+      <div className="message-banner-text">{bannerMessage.text}</div>
+      <div className="message-banner-actions">
+        <button className="message-banner-button" onClick={() => setActiveTab('messages')}>
+          Open inbox
+        </button>
+        <button className="message-banner-button message-banner-dismiss" onClick={markMessagesRead}>
+          Dismiss
+        </button>
+      </div>
+    </div>
+  )
+
   return (
     <div className="game-container">
+      {/* Stages solved by teammates */}
+      {toasts.length > 0 && (
+        <div className="solve-toasts" role="status">
+          {toasts.map((toast) => (
+            <div key={toast.id} className="solve-toast">
+              <span className="tick-icon">✓</span>
+              <span>{toast.text}</span>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {/* Pre-start countdown */}
+      {activeTab === 'game' && huntStatus === 'upcoming' && (
+        <div className="prestart-container">
+          {renderMessageBanner()}
+          <h2 className="prestart-title">The hunt starts in</h2>
+          <div className="prestart-countdown">{formatDuration(schedule.startsAt - huntNow)}</div>
+          <p className="prestart-text">
+            Starts at {new Date(schedule.startsAt - schedule.clockOffset).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}. Stay close - the first stage appears here automatically.
+          </p>
+        </div>
+      )}
+
       {/* Game Tab Content */}
-      {activeTab === 'game' && (
+      {activeTab === 'game' && huntStatus !== 'upcoming' && (
         <>
           {/* Navigation Bar */}
           <div className="stage-navigation">
@@ -273,6 +946,36 @@ function Game({ setIsAuthenticated, setCurrentGroup }) {
 
           {/* Main Content Area */}
           <div className="game-content-wrapper">
+        {/* Unread organizer messages */}
+        {renderMessageBanner()}
+
+        {/* Offline notice */}
+        {(!isOnline || showingCachedStage) && (
+          <div className="offline-banner">
+            {!isOnline
+              ? "You're offline. Stages you've opened still work, and answers are sent when you're back online."
+              : 'Showing the copy of this stage saved on this device.'}
+          </div>
+        )}
+
+        {/* Time remaining */}
+        {(timeRemaining !== null || huntStatus === 'paused') && (
+          <div className={`hunt-timer hunt-timer-${huntStatus}`}>
+            <div className="hunt-timer-label">
+              {huntStatus === 'ended' && 'The hunt has ended'}
+              {huntStatus === 'paused' && `Hunt paused${timeRemaining !== null ? ` - ${formatDuration(timeRemaining)} left` : ''}`}
+              {huntStatus === 'running' && `${formatDuration(timeRemaining)} left`}
+            </div>
+            {huntDuration && (
+              <div className="hunt-timer-bar">
+                <div
+                  className="hunt-timer-fill"
+                  style={{ width: `${Math.min(100, Math.max(0, (timeRemaining / huntDuration) * 100))}%` }}
+                />
+              </div>
+            )}
+          </div>
+        )}
         {loading ? (
           <div className="loading-container">
             <div className="loading-spinner"></div>
@@ -331,7 +1034,9 @@ function Game({ setIsAuthenticated, setCurrentGroup }) {
               {isCorrect && stageData?.hasAnswer !== false && (
                 <div className="success-indicator">
                   <span className="tick-icon">✓</span>
-                  <span>{stageData.successMessage || 'Correct! You can proceed to the next stage.'}</span>
+                  <span>{stageData.successMessage || (stageData.type === 'photo'
+                    ? 'Photo approved! You can proceed to the next stage.'
+                    : 'Correct! You can proceed to the next stage.')}</span>
                 </div>
               )}
 
@@ -339,19 +1044,156 @@ function Game({ setIsAuthenticated, setCurrentGroup }) {
                 <div className="error-message">{error}</div>
               )}
 
-              {hint && (
-                <div className="hint-message">
-                  <strong>Hint:</strong> {hint}
+              {stageSubmissions.length > 0 && (
+                <ul className="queued-answers">
+                  {stageSubmissions.map((item) => (
+                    <li key={item.submissionId} className={`queued-answer queued-answer-${item.status}`}>
+                      <span className="queued-answer-text">{item.label}</span>
+                      <span className="queued-answer-status">{describeSubmissionStatus(item)}</span>
+                      {!isPendingSubmission(item) && (
+                        <button
+                          type="button"
+                          className="queued-answer-dismiss"
+                          onClick={() => dismissSubmission(item.submissionId)}
+                          aria-label="Dismiss"
+                        >
+                          ×
+                        </button>
+                      )}
+                    </li>
+                  ))}
+                </ul>
+              )}
+
+              {!isCorrect && stageData.hints?.map((stageHint, index) => (
+                <div key={index} className="hint-message">
+                  <strong>Hint {index + 1}{stageHint.free ? ' (free)' : ''}:</strong> {stageHint.text}
+                </div>
+              ))}
+
+              {showSubmissionForm && isHuntOpen && stageData.nextHintCost !== null && stageData.nextHintCost !== undefined && (
+                <button
+                  type="button"
+                  className="hint-button"
+                  onClick={handleRequestHint}
+                  disabled={requestingHint || loading}
+                >
+                  {requestingHint
+                    ? 'Getting hint...'
+                    : `Get a hint (${stageData.nextHintCost ? `-${stageData.nextHintCost} points` : 'free'}) · ${stageData.hints?.length || 0}/${stageData.totalHints} used`}
+                </button>
+              )}
+
+              {showSubmissionForm && !isHuntOpen && (
+                <div className="rate-limit-message">
+                  {huntStatus === 'ended'
+                    ? 'Time is up! No more answers are accepted.'
+                    : 'The hunt is paused. You can submit answers again once the organizers resume it.'}
+                </div>
+              )}
+
+              {showSubmissionForm && isHuntOpen && isRateLimited && (
+                <div className="rate-limit-message">
+                  {lockedOut
+                    ? 'Too many wrong answers. Your team is locked out of this stage - please contact an organizer.'
+                    : <>Too many attempts. You can try again in <strong>{formatCountdown(retrySeconds)}</strong>.</>}
+                </div>
+              )}
+
+              {showSubmissionForm && isHuntOpen && stageData.type === 'location' && (
+                <div className="check-in">
+                  <p className="check-in-instructions">Go to the place described above, then check in.</p>
+                  <button
+                    type="button"
+                    className="submit-button"
+                    onClick={handleCheckIn}
+                    disabled={locating || submitting || loading || isRateLimited}
+                  >
+                    {locating ? 'Getting your location...' : submitting ? 'Checking...' : '📍 Check in here'}
+                  </button>
+                  {locationAccuracy !== null && (
+                    <div className="location-accuracy">GPS accuracy: ±{locationAccuracy} m</div>
+                  )}
                 </div>
               )}
 
-              {showSubmissionForm && (
+              {showSubmissionForm && isHuntOpen && stageData.type === 'qr' && (
+                <div className="check-in">
+                  {scanning ? (
+                    <QrScanner
+                      onScan={handleQrScan}
+                      onClose={() => setScanning(false)}
+                      accept={isCheckpointCode}
+                    />
+                  ) : (
+                    <>
+                      <p className="check-in-instructions">Find the checkpoint poster and scan its QR code.</p>
+                      <button
+                        type="button"
+                        className="submit-button"
+                        onClick={() => {
+                          setError('')
+                          setScanning(true)
+                        }}
+                        disabled={submitting || loading || isRateLimited}
+                      >
+                        {submitting ? 'Checking...' : '📷 Scan QR code'}
+                      </button>
+                    </>
+                  )}
+                </div>
+              )}
+
+              {showSubmissionForm && stageData.type === 'photo' && photoReview?.status === 'pending' && (
+                <div className="photo-review photo-review-pending">
+                  {photoPreview && <img src={photoPreview} alt="Submitted photo" className="photo-preview" />}
+                  <p>📸 Photo submitted! Waiting for an organizer to review it.</p>
+                </div>
+              )}
+
+              {showSubmissionForm && stageData.type === 'photo' && photoReview?.status === 'rejected' && (
+                <div className="photo-review photo-review-rejected">
+                  <strong>Your photo was not accepted.</strong>
+                  {photoReview.comment && <p>{photoReview.comment}</p>}
+                </div>
+              )}
+
+              {showSubmissionForm && isHuntOpen && stageData.type === 'photo' && photoReview?.status !== 'pending' && (
+                <div className="check-in">
+                  <p className="check-in-instructions">
+                    {photoReview?.status === 'rejected' ? 'Take a new photo and send it again.' : 'Take a photo as described above and send it to the organizers.'}
+                  </p>
+                  <label className={`submit-button photo-button ${uploadingPhoto || loading ? 'disabled' : ''}`}>
+                    {uploadingPhoto ? 'Uploading...' : '📷 Take a photo'}
+                    <input
+                      type="file"
+                      accept="image/*"
+                      capture="environment"
+                      onChange={handlePhotoSelected}
+                      disabled={uploadingPhoto || loading}
+                      hidden
+                    />
+                  </label>
+                </div>
+              )}
+
+              {showSubmissionForm && isHuntOpen && STRUCTURED_ANSWER_TYPES.includes(stageData.type) && (
+                <StructuredAnswer
+                  key={`${currentStageId}-${stageData.type}`}
+                  stageData={stageData}
+                  disabled={isCorrect || submitting || loading || isRateLimited}
+                  submitting={submitting}
+                  onSubmit={submitAnswer}
+                />
+              )}
+
+              {showSubmissionForm && isHuntOpen && !['location', 'qr', 'photo', ...STRUCTURED_ANSWER_TYPES].includes(stageData.type) && (
                 <form onSubmit={handleSubmit} className="answer-form">
                   <input
                     type="text"
                     value={answer}
                     onChange={handleAnswerChange}
-                    placeholder="Enter your answer (letters, numbers, and spaces only)"
+                    placeholder="Enter your answer"
                     className="answer-input"
                     disabled={isCorrect || submitting || loading}
                     maxLength={200}
@@ -359,7 +1201,7 @@ function Game({ setIsAuthenticated, setCurrentGroup }) {
                   <button
                     type="submit"
                     className="submit-button"
-                    disabled={isCorrect || submitting || loading || !answer.trim()}
+                    disabled={isCorrect || submitting || loading || isRateLimited || !answer.trim()}
                   >
                     {submitting ? 'Submitting...' : 'Submit'}
                   </button>
@@ -379,6 +1221,72 @@ function Game({ setIsAuthenticated, setCurrentGroup }) {
         </>
       )}
 
+      {/* Leaderboard Tab Content */}
+      {activeTab === 'leaderboard' && (
+        <div className="leaderboard-content-wrapper">
+          <h2 className="leaderboard-title">Leaderboard</h2>
+          <Leaderboard eventId={currentEvent} highlightGroupId={currentGroup} />
+        </div>
+      )}
+
+      {/* Messages Tab Content */}
+      {activeTab === 'messages' && (
+        <div className="messages-content-wrapper">
+          <h2 className="leaderboard-title">Messages</h2>
+          <div className="messages-list">
+            {session.messages.length === 0 && (
+              <div className="messages-empty">
+                Announcements from the organizers appear here. You can also send them a message or ask for help.
+              </div>
+            )}
+            {session.messages.map((message) => (
+              <div
+                key={message.messageId}
+                className={`message message-${message.from === 'team' ? 'team' : 'organizers'} ${message.kind === 'help' ? 'message-help' : ''}`}
+              >
+                <div className="message-meta">
+                  <span>
+                    {message.from === 'team'
+                      ? `${message.kind === 'help' ? '🆘 Help request' : 'Your team'}${message.senderName ? ` · ${message.senderName}` : ''}`
+                      : MESSAGE_LABELS[message.kind] || MESSAGE_LABELS.message}
+                  </span>
+                  <span>{formatMessageTime(message.sentAt)}</span>
+                </div>
+                <div className="message-text">{message.text}</div>
+              </div>
+            ))}
+            <div ref={messagesEndRef} />
+          </div>
+          <div className="message-compose">
+            <textarea
+              value={messageText}
+              onChange={(e) => setMessageText(e.target.value)}
+              className="message-input"
+              placeholder="Message to the organizers"
+              maxLength={500}
+              rows={3}
+            />
+            {messageError && <div className="error-message">{messageError}</div>}
+            <div className="message-compose-buttons">
+              <button
+                className="message-send-button"
+                onClick={() => handleSendMessage(false)}
+                disabled={sendingMessage || !messageText.trim()}
+              >
+                {sendingMessage ? 'Sending...' : 'Send'}
+              </button>
+              <button
+                className="message-send-button message-help-button"
+                onClick={() => handleSendMessage(true)}
+                disabled={sendingMessage || !messageText.trim()}
+              >
+                Ask for help
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
       {/* Profile Tab Content */}
       {activeTab === 'profile' && (
         <div className="profile-content-wrapper">
@@ -398,6 +1306,27 @@ function Game({ setIsAuthenticated, setCurrentGroup }) {
                 })()}
               </div>
             </div>
+            {pushStatus && (
+              <div className="profile-item">
+                <h2 className="profile-label">Notifications</h2>
+                {pushStatus === 'on' && <div className="profile-value">On</div>}
+                {pushStatus === 'blocked' && (
+                  <p className="profile-note">Notifications are blocked. Allow them for this site in your browser settings.</p>
+                )}
+                {pushStatus === 'failed' && (
+                  <p className="profile-note">Could not turn on notifications. Please try again.</p>
+                )}
+                {['off', 'enabling', 'failed'].includes(pushStatus) && (
+                  <button
+                    className="profile-notifications-button"
+                    onClick={handleEnableNotifications}
+                    disabled={pushStatus === 'enabling'}
+                  >
+                    {pushStatus === 'enabling' ? 'Turning on...' : 'Turn on notifications'}
+                  </button>
+                )}
+              </div>
+            )}
             <div className="profile-item">
               <button className="profile-logout-button" onClick={handleLogout}>
                 Logout
@@ -418,6 +1347,29 @@ function Game({ setIsAuthenticated, setCurrentGroup }) {
           </svg>
           <span className="bottom-nav-label">Game</span>
         </button>
+        <button
+          className={`bottom-nav-item ${activeTab === 'leaderboard' ? 'active' : ''}`}
+          onClick={() => setActiveTab('leaderboard')}
+        >
+          <svg className="bottom-nav-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+            <path d="M8 21V11H3v10h5zM15 21V3H9v18h6zM21 21v-7h-5v7h5z"/>
+          </svg>
+          <span className="bottom-nav-label">Ranking</span>
+        </button>
+        <button
+          className={`bottom-nav-item ${activeTab === 'messages' ? 'active' : ''}`}
+          onClick={() => setActiveTab('messages')}
+        >
+          <svg className="bottom-nav-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+            <path d="M21 15a2 2 0 0 1-2 2H7l-4 4V5a2 2 0 0 1 2-2h14a2 2 0 0 1 2 2z"/>
+          </svg>
+          {unreadMessages.length > 0 && (
+            <span className="bottom-nav-badge" aria-label={`${unreadMessages.length} unread`}>
+              {unreadMessages.length > 9 ? '9+' : unreadMessages.length}
+            </span>
+          )}
+          <span className="bottom-nav-label">Messages</span>
+        </button>
         <button
           className={`bottom-nav-item ${activeTab === 'profile' ? 'active' : ''}`}
           onClick={() => setActiveTab('profile')}
@@ -1,34 +1,78 @@
 import React, { useState, useEffect } from 'react'
-import { useNavigate } from 'react-router-dom'
+import { useNavigate, useLocation } from 'react-router-dom'
 import { httpsCallable } from 'firebase/functions'
 import { functions } from '../firebase-config'
+import { fetchGroups, formatGroupLabel } from '../groups'
+import { fetchEvents, getEventFromUrl, getCurrentEventId } from '../events'
 import './Login.css'
 
 function Login({ setIsAuthenticated, setCurrentGroup }) {
+  // An event in the URL (?event=...) wins over the last event used on this device
+  const urlEvent = getEventFromUrl()
+  const [selectedEvent, setSelectedEvent] = useState(urlEvent || getCurrentEventId() || '')
+  const [events, setEvents] = useState([])
   const [selectedGroup, setSelectedGroup] = useState('')
   const [pin, setPin] = useState('')
-  const [error, setError] = useState('')
+  // Shown to teammates when this player solves a stage; remembered on this device
+  const [playerName, setPlayerName] = useState(() => localStorage.getItem('playerName') || '')
+  const location = useLocation()
+  // Game redirects here with a message when the group session expired or was revoked
+  const [error, setError] = useState(location.state?.message || '')
   const [loading, setLoading] = useState(false)
   const navigate = useNavigate()
 
-  // Check if user is already logged in
+  // Check if user is already logged in (to the event in the URL, if one is given)
   useEffect(() => {
     const currentGroup = localStorage.getItem('currentGroup')
-    if (currentGroup) {
+    const currentEvent = getCurrentEventId()
+    if (currentGroup && currentEvent && (!urlEvent || urlEvent === currentEvent)) {
       // User is already logged in, redirect to game
       navigate('/game', { replace: true })
       if (setIsAuthenticated) {
         setIsAuthenticated(true)
       }
     }
-  }, [navigate, setIsAuthenticated])
+  }, [navigate, setIsAuthenticated, urlEvent])
 
-  const groups = [
-    { value: 'group1', label: 'Group 1' },
-    { value: 'group2', label: 'Group 2' },
-    { value: 'group3', label: 'Group 3' },
-    { value: 'group4', label: 'Group 4' }
-  ]
+  const [groups, setGroups] = useState([])
+  const [groupsLoading, setGroupsLoading] = useState(true)
+
+  // Load the list of hunts; pick the only one automatically
+  useEffect(() => {
+    fetchEvents()
+      .then((eventList) => {
+        setEvents(eventList)
+        if (eventList.length === 1) {
+          setSelectedEvent((current) => current || eventList[0].eventId)
+        }
+      })
+      .catch((error) => {
+        console.error('Error loading events:', error)
+        setError('Failed to load events. Please refresh the page.')
+      })
+  }, [])
+
+  // Load the group list of the selected hunt from the backend
+  useEffect(() => {
+    setSelectedGroup('')
+    setGroups([])
+    if (!selectedEvent) {
+      setGroupsLoading(false)
+      return
+    }
+
+    setGroupsLoading(true)
+    fetchGroups(selectedEvent)
+      .then((groupList) => setGroups(groupList))
+      .catch((error) => {
+        console.error('Error loading groups:', error)
+        setError('Failed to load groups. Please refresh the page.')
+      })
+      .finally(() => setGroupsLoading(false))
+  }, [selectedEvent])
+
+  // The event selector is only needed when the URL doesn't pick one and there is a choice
+  const showEventSelect = !urlEvent && events.length !== 1
 
   const handlePinChange = (e) => {
     const value = e.target.value
@@ -44,8 +88,8 @@ function Login({ setIsAuthenticated, setCurrentGroup }) {
     setError('')
     setLoading(true)
 
-    if (!selectedGroup || !pin) {
-      setError('Please select a group and enter a PIN')
+    if (!selectedEvent || !selectedGroup || !pin) {
+      setError('Please select an event and a group and enter a PIN')
       setLoading(false)
       return
     }
@@ -53,17 +97,22 @@ function Login({ setIsAuthenticated, setCurrentGroup }) {
     try {
       const loginToGroup = httpsCallable(functions, 'authorizeGroupAccess')
       const result = await loginToGroup({ 
+        eventId: selectedEvent,
         groupId: selectedGroup, 
-        pin: pin 
+        pin: pin,
+        playerName: playerName.trim() || null
       })
 
       if (result.data.success) {
         // Login successful!
         // Save to local storage so user stays logged in on reload
         const loginData = {
+          eventId: selectedEvent,
           groupId: selectedGroup,
           timestamp: Date.now()
         }
+        localStorage.setItem('playerName', playerName.trim())
+        localStorage.setItem('currentEvent', selectedEvent)
         localStorage.setItem('currentGroup', selectedGroup)
         localStorage.setItem('loginData', JSON.stringify(loginData))
         
@@ -100,6 +149,28 @@ function Login({ setIsAuthenticated, setCurrentGroup }) {
       <div className="login-card">
         <h2 className="login-title">Login</h2>
         <form onSubmit={handleSubmit} className="login-form">
+          {showEventSelect && (
+            <div className="form-group">
+              <label htmlFor="event-select" className="form-label">
+                Select Hunt
+              </label>
+              <select
+                id="event-select"
+                value={selectedEvent}
+                onChange={(e) => setSelectedEvent(e.target.value)}
+                className="form-select"
+                required
+              >
+                <option value="">Choose a hunt...</option>
+                {events.map((event) => (
+                  <option key={event.eventId} value={event.eventId}>
+                    {event.name}
+                  </option>
+                ))}
+              </select>
+            </div>
+          )}
+
           <div className="form-group">
             <label htmlFor="group-select" className="form-label">
               Select Group
@@ -109,12 +180,13 @@ function Login({ setIsAuthenticated, setCurrentGroup }) {
               value={selectedGroup}
               onChange={(e) => setSelectedGroup(e.target.value)}
               className="form-select"
+              disabled={groupsLoading || !selectedEvent}
               required
             >
-              <option value="">Choose a group...</option>
+              <option value="">{groupsLoading ? 'Loading groups...' : 'Choose a group...'}</option>
               {groups.map((group) => (
-                <option key={group.value} value={group.value}>
-                  {group.label}
+                <option key={group.groupId} value={group.groupId}>
+                  {formatGroupLabel(group)}
                 </option>
               ))}
             </select>
@@ -137,6 +209,22 @@ function Login({ setIsAuthenticated, setCurrentGroup }) {
             />
           </div>
 
+          <div className="form-group">
+            <label htmlFor="player-name-input" className="form-label">
+              Your Name (optional)
+            </label>
+            <input
+              id="player-name-input"
+              type="text"
+              value={playerName}
+              onChange={(e) => setPlayerName(e.target.value)}
+              className="form-input"
+              placeholder="Shown to your team when you solve a stage"
+              maxLength={30}
+              autoComplete="nickname"
+            />
+          </div>
+
           {error && (
             <div className="error-message" style={{ 
               color: '#ff4444', 
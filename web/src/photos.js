@@ -0,0 +1,57 @@
+import { httpsCallable } from 'firebase/functions'
+import { functions } from './firebase-config'
+
+// Longest side of an uploaded photo in pixels; phone cameras produce far
+// more than organizers need to judge a photo
+const MAX_PHOTO_SIZE = 1600
+const PHOTO_QUALITY = 0.85
+
+function loadImage(file) {
+  return new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(file)
+    const image = new Image()
+    image.onload = () => {
+      URL.revokeObjectURL(url)
+      resolve(image)
+    }
+    image.onerror = () => {
+      URL.revokeObjectURL(url)
+      reject(new Error('The selected file is not an image.'))
+    }
+    image.src = url
+  })
+}
+
+/**
+ * Scales a photo down to at most MAX_PHOTO_SIZE pixels on its longest side
+ * and re-encodes it as JPEG. Returns a data URL.
+ */
+export async function resizePhoto(file) {
+  const image = await loadImage(file)
+  const scale = Math.min(1, MAX_PHOTO_SIZE / Math.max(image.naturalWidth, image.naturalHeight))
+
+  const canvas = document.createElement('canvas')
+  canvas.width = Math.round(image.naturalWidth * scale)
+  canvas.height = Math.round(image.naturalHeight * scale)
+  canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height)
+
+  return canvas.toDataURL('image/jpeg', PHOTO_QUALITY)
+}
+
+/**
+ * Sends a resized photo (data URL) for a photo stage through the
+ * submitPhoto callable (see backend_code/lib/photos.js).
+ */
+export async function uploadPhoto(eventId, groupId, stageId, dataUrl) {
+  const submitPhoto = httpsCallable(functions, 'submitPhoto')
+  const result = await submitPhoto({
+    eventId,
+    groupId,
+    stageId,
+    photo: {
+      contentType: 'image/jpeg',
+      data: dataUrl.slice(dataUrl.indexOf(',') + 1)
+    }
+  })
+  return result.data
+}
@@ -0,0 +1,43 @@
+import { ref, onValue } from 'firebase/database'
+import { database } from './firebase-config'
+
+// RTDB turns objects keyed by stage number into arrays (with gaps), so read
+// both shapes. Mirrors normalizeStageList in backend_code/lib/progress.js.
+const toEntries = (value) => {
+  if (!value) return []
+  return Array.isArray(value)
+    ? value.map((item, index) => [index, item]).filter(([, item]) => item !== null && item !== undefined)
+    : Object.entries(value).map(([key, item]) => [Number(key), item])
+}
+
+/**
+ * Normalizes a group's progress as stored in RTDB: completedStages as a
+ * sorted list of numbers and completedBy as { [stageNum]: { uid, name } }.
+ */
+export function normalizeProgress(value) {
+  const progress = value || {}
+  const completedBy = {}
+  toEntries(progress.completedBy).forEach(([stageNum, solver]) => {
+    completedBy[stageNum] = solver
+  })
+  return {
+    currentStage: progress.currentStage || 0,
+    completedStages: toEntries(progress.completedStages)
+      .map(([, stageNum]) => Number(stageNum))
+      .sort((a, b) => a - b),
+    completedBy: completedBy
+  }
+}
+
+/**
+ * Follows a group's progress live. onChange receives the normalized progress
+ * on every change, including stages completed on teammates' devices.
+ * Returns a function that stops listening.
+ */
+export function subscribeToProgress(eventId, groupId, onChange, onError) {
+  return onValue(
+    ref(database, `events/${eventId}/groupProgress/${groupId}`),
+    (snapshot) => onChange(normalizeProgress(snapshot.val())),
+    onError
+  )
+}
@@ -0,0 +1,52 @@
+import { getMessaging, getToken, isSupported } from 'firebase/messaging'
+import { httpsCallable } from 'firebase/functions'
+import app, { functions } from './firebase-config'
+
+/**
+ * Push notifications from the organizers. The device's FCM token is
+ * registered for the group it is logged in to (registerPushToken), and the
+ * service worker in public/sw.js shows the notifications.
+ *
+ * Needs VITE_FIREBASE_VAPID_KEY and a production build, since the service
+ * worker is not registered in development.
+ */
+
+const VAPID_KEY = import.meta.env.VITE_FIREBASE_VAPID_KEY
+
+/**
+ * Resolves to true if this browser and build can receive notifications.
+ */
+export async function isPushSupported() {
+  if (!VAPID_KEY || !import.meta.env.PROD || !('serviceWorker' in navigator) || !('Notification' in window)) {
+    return false
+  }
+  return isSupported()
+}
+
+/**
+ * 'granted', 'denied' or 'default' (not asked yet).
+ */
+export function getPushPermission() {
+  return 'Notification' in window ? Notification.permission : 'denied'
+}
+
+/**
+ * Asks for permission if needed and registers this device for the group's
+ * notifications. Resolves to false if the player declined.
+ */
+export async function enablePushNotifications(eventId, groupId) {
+  const permission = await Notification.requestPermission()
+  if (permission !== 'granted') {
+    return false
+  }
+
+  const registration = await navigator.serviceWorker.ready
+  const token = await getToken(getMessaging(app), {
+    vapidKey: VAPID_KEY,
+    serviceWorkerRegistration: registration
+  })
+
+  const registerPushToken = httpsCallable(functions, 'registerPushToken')
+  await registerPushToken({ eventId, groupId, token })
+  return true
+}
@@ -0,0 +1,43 @@
+import { httpsCallable } from 'firebase/functions'
+import { functions } from './firebase-config'
+
+/**
+ * Fetches an event's schedule from the getHuntSchedule callable.
+ * clockOffset is the difference between the server clock and this device's
+ * clock, so countdowns stay right on phones with a wrong time set.
+ */
+export async function fetchSchedule(eventId) {
+  const getHuntSchedule = httpsCallable(functions, 'getHuntSchedule')
+  const result = await getHuntSchedule({ eventId })
+  return {
+    startsAt: result.data.startsAt,
+    endsAt: result.data.endsAt,
+    pausedAt: result.data.pausedAt,
+    clockOffset: result.data.serverTime - Date.now()
+  }
+}
+
+/**
+ * Status of a schedule at `now` (server time): 'upcoming', 'running',
+ * 'paused' or 'ended'. Mirrors getSchedule in backend_code/lib/schedule.js.
+ */
+export function getScheduleStatus(schedule, now) {
+  if (!schedule) return 'running'
+  if (schedule.startsAt && now < schedule.startsAt) return 'upcoming'
+  if (schedule.endsAt && now >= schedule.endsAt) return 'ended'
+  if (schedule.pausedAt) return 'paused'
+  return 'running'
+}
+
+/**
+ * Formats a duration in ms as h:mm:ss (or m:ss under an hour).
+ */
+export function formatDuration(ms) {
+  const totalSeconds = Math.max(0, Math.ceil(ms / 1000))
+  const hours = Math.floor(totalSeconds / 3600)
+  const minutes = Math.floor((totalSeconds % 3600) / 60)
+  const seconds = String(totalSeconds % 60).padStart(2, '0')
+  return hours > 0
+    ? `${hours}:${String(minutes).padStart(2, '0')}:${seconds}`
+    : `${minutes}:${seconds}`
+}
@@ -0,0 +1,16 @@
+/**
+ * Registers the service worker in public/sw.js, which caches the app for
+ * offline play. Skipped in development, where Vite serves modules that
+ * change on every edit.
+ */
+export function registerServiceWorker() {
+  if (!('serviceWorker' in navigator) || !import.meta.env.PROD) {
+    return
+  }
+
+  window.addEventListener('load', () => {
+    navigator.serviceWorker
+      .register(`${import.meta.env.BASE_URL}sw.js`)
+      .catch((error) => console.error('Service worker registration failed:', error))
+  })
+}
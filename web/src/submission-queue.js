@@ -0,0 +1,191 @@
+import { httpsCallable } from 'firebase/functions'
+import { functions } from './firebase-config'
+import { isNetworkError } from './offline'
+
+/**
+ * Queue of answers submitted without a connection. Each answer gets a
+ * submissionId and is kept in localStorage until it has been sent, in the
+ * order it was submitted. The server processes every submissionId once
+ * (backend_code/lib/submissions.js), so resending after a dropped
+ * connection is safe.
+ *
+ * Item status: 'queued' -> 'sending' -> 'correct', 'incorrect', 'skipped'
+ * (the stage was solved before it was sent) or 'failed' (refused by the
+ * server, with its message). A rate limited item goes back to 'queued' with
+ * retryAt, and the group's queue waits until then.
+ */
+
+const STORAGE_KEY = 'submissionQueue'
+// Finished items are kept for the status list, up to this many
+const MAX_FINISHED_ITEMS = 20
+// Errors after which the same item is tried again later
+const RETRY_ERROR_CODES = ['functions/aborted']
+const RATE_LIMIT_ERROR_CODE = 'functions/resource-exhausted'
+
+const listeners = new Set()
+let flushing = null
+
+const readQueue = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY)) || []
+    // An item that was being sent when the page closed is sent again
+    return stored.map((item) => (item.status === 'sending' ? { ...item, status: 'queued' } : item))
+  } catch (error) {
+    return []
+  }
+}
+
+let queue = readQueue()
+
+const isPending = (item) => item.status === 'queued' || item.status === 'sending'
+
+const setQueue = (next) => {
+  const finished = next.filter((item) => !isPending(item))
+  const dropped = new Set(finished.slice(0, Math.max(0, finished.length - MAX_FINISHED_ITEMS)))
+  queue = next.filter((item) => !dropped.has(item))
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(queue))
+  } catch (error) {
+    console.error('Error saving submission queue:', error)
+  }
+  listeners.forEach((listener) => listener(queue))
+}
+
+const updateItem = (submissionId, changes) => {
+  setQueue(queue.map((item) => (item.submissionId === submissionId ? { ...item, ...changes } : item)))
+}
+
+/**
+ * A random ID for a new submission.
+ */
+export function createSubmissionId() {
+  if (crypto.randomUUID) {
+    return crypto.randomUUID()
+  }
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`
+}
+
+export function getQueue() {
+  return queue
+}
+
+/**
+ * Calls listener with the queue whenever it changes. Returns a function
+ * that stops listening.
+ */
+export function subscribeToQueue(listener) {
+  listeners.add(listener)
+  return () => listeners.delete(listener)
+}
+
+/**
+ * True if a group has answers waiting to be sent. New answers must queue
+ * behind them so they reach the server in order.
+ */
+export function hasQueuedSubmissions(eventId, groupId) {
+  return queue.some((item) => isPending(item) && item.eventId === eventId && item.groupId === groupId)
+}
+
+/**
+ * Adds a submission ({ submissionId, eventId, groupId, stageId, answer, label })
+ * to the end of the queue.
+ */
+export function enqueueSubmission(submission) {
+  const item = { ...submission, status: 'queued', message: '', queuedAt: Date.now() }
+  setQueue([...queue, item])
+  return item
+}
+
+/**
+ * Removes a finished item from the status list.
+ */
+export function dismissSubmission(submissionId) {
+  setQueue(queue.filter((item) => item.submissionId !== submissionId || isPending(item)))
+}
+
+/**
+ * Sends one submission to validateAnswer and returns the response data.
+ */
+export async function sendSubmission(submission) {
+  const validateAnswer = httpsCallable(functions, 'validateAnswer')
+  const result = await validateAnswer({
+    eventId: submission.eventId,
+    groupId: submission.groupId,
+    stageId: submission.stageId,
+    answer: submission.answer,
+    submissionId: submission.submissionId
+  })
+  return result.data
+}
+
+const runQueue = async ({ eventId, groupId, isSolved, onResult }) => {
+  const solvedStages = new Set()
+
+  for (;;) {
+    const item = queue.find((entry) => entry.status === 'queued' && entry.eventId === eventId && entry.groupId === groupId)
+    if (!item) {
+      return
+    }
+
+    // Once a stage is solved, the answers queued after it would only count as wrong
+    const stageKey = `${item.eventId}:${item.groupId}:${item.stageId}`
+    if (solvedStages.has(stageKey) || (isSolved && isSolved(item))) {
+      updateItem(item.submissionId, { status: 'skipped', message: 'Already solved' })
+      continue
+    }
+
+    // Rate limited - sending it or the answers behind it now would only be refused again
+    if (item.retryAt && item.retryAt > Date.now()) {
+      return
+    }
+
+    updateItem(item.submissionId, { status: 'sending' })
+    try {
+      const data = await sendSubmission(item)
+      updateItem(item.submissionId, {
+        status: data.correct ? 'correct' : 'incorrect',
+        message: data.message || ''
+      })
+      if (data.correct) {
+        solvedStages.add(stageKey)
+      }
+      if (onResult) onResult(item, data, null)
+    } catch (error) {
+      if (isNetworkError(error) || RETRY_ERROR_CODES.includes(error.code)) {
+        // Still offline (or the server is busy with it) - keep the order and try later
+        updateItem(item.submissionId, { status: 'queued' })
+        return
+      }
+      if (error.code === RATE_LIMIT_ERROR_CODE) {
+        updateItem(item.submissionId, {
+          status: 'queued',
+          retryAt: Date.now() + (error.details?.retryAfterSeconds || 0) * 1000
+        })
+        if (onResult) onResult(item, null, error)
+        return
+      }
+      updateItem(item.submissionId, { status: 'failed', message: error.message })
+      if (onResult) onResult(item, null, error)
+      if (error.code === 'functions/unauthenticated') {
+        return
+      }
+    }
+  }
+}
+
+/**
+ * Sends a group's queued submissions ({ eventId, groupId }) one by one, in
+ * order, until none are left, the connection fails or the group is rate
+ * limited. Only one flush runs at a time.
+ *
+ * isSolved(item) lets the caller skip items for stages it knows are solved;
+ * onResult(item, data, error) is called for every item the server answered.
+ */
+export function flushQueue(options) {
+  if (!flushing) {
+    flushing = runQueue(options).finally(() => {
+      flushing = null
+    })
+  }
+  return flushing
+}